@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const { spawn } = require('child_process');
+const { parseArgs } = require('util');
+const cli = require('./lib/cli');
+
+const argv = process.argv.slice(2);
+
+// serve starts one of the transports; their own flags (--root, --port, --watch, ...) pass through
+function serve(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      http: { type: 'boolean' },
+      stdio: { type: 'boolean' },
+    },
+    strict: false,
+  });
+  if (Boolean(values.http) === Boolean(values.stdio)) {
+    console.error('error: serve needs exactly one of --http or --stdio');
+    process.exitCode = cli.EXIT_ERROR;
+    return;
+  }
+
+  if (values.stdio) {
+    // mcp-server.js reads its settings and --watch from process.argv itself
+    require('./mcp-server');
+    return;
+  }
+  // server.js only reads flags when it is the entry point, so run it as one
+  const flags = args.filter((arg) => arg !== '--http');
+  const child = spawn(process.execPath, [path.join(__dirname, 'server.js'), ...flags], {
+    stdio: 'inherit',
+  });
+  ['SIGINT', 'SIGTERM'].forEach((signal) => process.on(signal, () => child.kill(signal)));
+  child.on('exit', (code, signal) => {
+    process.exitCode = signal ? 1 : code;
+  });
+}
+
+if (argv[0] === 'serve') {
+  serve(argv.slice(1));
+} else {
+  cli.run(argv).then((code) => {
+    process.exitCode = code;
+  });
+}
@@ -1,7 +1,7 @@
 module.exports = {
   testEnvironment: 'node',
   coverageDirectory: 'coverage',
-  collectCoverageFrom: ['server.js'],
+  collectCoverageFrom: ['server.js', 'mcp-server.js', 'lib/**/*.js', '!**/*.test.js'],
   testMatch: ['**/*.test.js'],
   testTimeout: 10000,
 };
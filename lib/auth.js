@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const { FormatterError } = require('./errors');
+const { TOOL_NAMES } = require('./config');
+const { createSandbox, isInside } = require('./sandbox');
+
+// Compare digests rather than tokens, so the comparison takes the same time whatever matches
+function digest(token) {
+  return crypto.createHash('sha256').update(token).digest();
+}
+
+/**
+ * Token sent with a request, as `Authorization: Bearer <token>` or as an
+ * `X-API-Key` header. Undefined when there is none.
+ */
+function requestToken(req) {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(req.get('Authorization') || '');
+  if (match) {
+    return match[1];
+  }
+  return req.get('X-API-Key') || undefined;
+}
+
+/**
+ * Build the clients allowed to call the HTTP server from the `clients`
+ * setting. Every client gets a sandbox of its own roots, which must lie
+ * within the server roots (default: the server sandbox), and may only call
+ * its `tools` (default: all). When no clients are configured, authentication
+ * is disabled and every request acts as the anonymous client, which has the
+ * server sandbox and every tool.
+ */
+function createAuth({ settings, sandbox }) {
+  const names = new Set();
+  const clients = settings.clients.map((client) => {
+    if (names.has(client.name)) {
+      throw new FormatterError('INVALID_CONFIG', `Duplicate client name: ${client.name}`);
+    }
+    names.add(client.name);
+
+    const outside = (client.roots || []).find(
+      (root) => !sandbox.roots.some((allowed) => isInside(allowed, root))
+    );
+    if (outside) {
+      throw new FormatterError(
+        'INVALID_CONFIG',
+        `Root of client ${client.name} is outside the server roots: ${outside}`
+      );
+    }
+    return {
+      name: client.name,
+      digest: digest(client.token),
+      sandbox: client.roots ? createSandbox(client.roots) : sandbox,
+      tools: client.tools || TOOL_NAMES,
+      rateLimit: { ...settings.rateLimit, ...client.rateLimit },
+    };
+  });
+
+  const anonymous = {
+    name: null,
+    sandbox,
+    tools: TOOL_NAMES,
+    rateLimit: settings.rateLimit,
+  };
+
+  // The client a token belongs to; every client is compared so timing reveals nothing
+  function findClient(token) {
+    const sent = digest(token);
+    return clients.reduce(
+      (found, client) => (crypto.timingSafeEqual(client.digest, sent) ? client : found),
+      undefined
+    );
+  }
+
+  /**
+   * The client a request acts as: the anonymous client when authentication
+   * is disabled, the client its token belongs to, or undefined when the
+   * token is missing or unknown.
+   */
+  function authenticate(req) {
+    if (clients.length === 0) {
+      return anonymous;
+    }
+    const token = requestToken(req);
+    return token ? findClient(token) : undefined;
+  }
+
+  return {
+    enabled: clients.length > 0,
+    anonymous,
+    clients: [anonymous, ...clients],
+    authenticate,
+  };
+}
+
+module.exports = { createAuth, requestToken };
@@ -0,0 +1,66 @@
+const path = require('path');
+const { createAuth, requestToken } = require('./auth');
+const { createSandbox } = require('./sandbox');
+
+// Just enough of an express request for authentication
+function fakeRequest(headers) {
+  return { get: (name) => headers[name.toLowerCase()] };
+}
+
+describe('auth', () => {
+  const root = path.resolve('/work/project');
+  const sandbox = createSandbox([root]);
+  const settings = {
+    rateLimit: { windowMs: 60000, max: 100 },
+    clients: [
+      { name: 'ci', token: 'ci-token-0123456789', tools: ['check_files'] },
+      {
+        name: 'dev',
+        token: 'dev-token-0123456789',
+        roots: [path.join(root, 'app')],
+        rateLimit: { max: 10 },
+      },
+    ],
+  };
+
+  it('should read bearer tokens and API keys', () => {
+    expect(requestToken(fakeRequest({ authorization: 'Bearer abc' }))).toBe('abc');
+    expect(requestToken(fakeRequest({ authorization: 'bearer  abc ' }))).toBe('abc');
+    expect(requestToken(fakeRequest({ 'x-api-key': 'abc' }))).toBe('abc');
+    expect(requestToken(fakeRequest({ authorization: 'Basic abc' }))).toBeUndefined();
+  });
+
+  it('should find the client a token belongs to', () => {
+    const auth = createAuth({ settings, sandbox });
+    const dev = auth.authenticate(fakeRequest({ 'x-api-key': 'dev-token-0123456789' }));
+
+    expect(auth.enabled).toBe(true);
+    expect(dev).toMatchObject({ name: 'dev', rateLimit: { windowMs: 60000, max: 10 } });
+    expect(dev.sandbox.cwd).toBe(path.join(root, 'app'));
+    expect(
+      auth.authenticate(fakeRequest({ authorization: 'Bearer ci-token-0123456789' }))
+    ).toMatchObject({ name: 'ci', tools: ['check_files'], sandbox });
+    expect(auth.authenticate(fakeRequest({ 'x-api-key': 'nope' }))).toBeUndefined();
+    expect(auth.authenticate(fakeRequest({}))).toBeUndefined();
+  });
+
+  it('should let every request through as the anonymous client without clients', () => {
+    const auth = createAuth({ settings: { ...settings, clients: [] }, sandbox });
+
+    expect(auth.enabled).toBe(false);
+    expect(auth.authenticate(fakeRequest({}))).toBe(auth.anonymous);
+    expect(auth.anonymous.tools).toContain('format_files');
+  });
+
+  it('should refuse duplicate names and roots outside the server roots', () => {
+    const duplicate = [settings.clients[0], { ...settings.clients[1], name: 'ci' }];
+    const outside = [{ ...settings.clients[1], roots: [path.resolve('/elsewhere')] }];
+
+    expect(() => createAuth({ settings: { ...settings, clients: duplicate }, sandbox })).toThrow(
+      'Duplicate client name: ci'
+    );
+    expect(() => createAuth({ settings: { ...settings, clients: outside }, sandbox })).toThrow(
+      expect.objectContaining({ code: 'INVALID_CONFIG' })
+    );
+  });
+});
@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const editorconfig = require('editorconfig');
+const { ensureStateDir, writeJson, STATE_DIR } = require('./state');
+
+// Cache files live in the state directory, one per kind of run
+const CACHE_DIR = 'cache';
+
+// Bumped whenever the meaning of cached results changes; older files are discarded
+const CACHE_VERSION = 2;
+
+// Once the cache holds more entries than this, only the ones used by the latest run are kept
+const MAX_ENTRIES = 100000;
+
+function sha256(contents) {
+  return crypto.createHash('sha256').update(contents).digest('hex');
+}
+
+async function readEntries(file) {
+  try {
+    const data = JSON.parse(await fs.readFile(file, 'utf8'));
+    return data.version === CACHE_VERSION && data.entries ? data.entries : {};
+  } catch {
+    // Missing or corrupt: start over
+    return {};
+  }
+}
+
+/**
+ * Open the result cache of one kind of run (`format` or `check`) for root.
+ * Results are keyed per file on the hash of its contents and a fingerprint of
+ * its configuration: the properties editorconfig resolves for the path and
+ * the contents of every .editorconfig consulted on the way up to `root = true`.
+ * Editing any of those files therefore invalidates the entries below it.
+ * lookup() resolves with the cached details or undefined and counts hits and
+ * misses; store() records the details for a file looked up in this run; save()
+ * writes the cache back when anything changed, and gives up quietly when it
+ * cannot. The modules of `plugins` are
+ * part of every fingerprint, so adding, removing or editing one invalidates
+ * the whole cache.
+ */
+async function openResultCache(root, kind, { plugins = [] } = {}) {
+  const file = path.join(root, STATE_DIR, CACHE_DIR, `${kind}.json`);
+  const entries = await readEntries(file);
+  const pluginFiles = await Promise.all(
+    plugins.map(async (plugin) => [plugin, sha256(await fs.readFile(plugin))])
+  );
+  const stats = { hits: 0, misses: 0 };
+  // Keys computed by lookup(), reused by store(), and the chain of .editorconfig files per directory
+  const keys = new Map();
+  const chains = new Map();
+  let dirty = false;
+
+  // [file, hash] of every .editorconfig from dir up to the one declaring root = true
+  function configChain(dir) {
+    if (!chains.has(dir)) {
+      chains.set(
+        dir,
+        (async () => {
+          const configFile = path.join(dir, '.editorconfig');
+          let contents = null;
+          try {
+            contents = await fs.readFile(configFile, 'utf8');
+          } catch {
+            // No .editorconfig at this level
+          }
+          const own = contents === null ? [] : [[configFile, sha256(contents)]];
+          const isRoot =
+            contents !== null &&
+            String(editorconfig.parseString(contents)[0][1].root || '').toLowerCase() === 'true';
+          const parent = path.dirname(dir);
+          if (isRoot || parent === dir) {
+            return own;
+          }
+          return [...own, ...(await configChain(parent))];
+        })()
+      );
+    }
+    return chains.get(dir);
+  }
+
+  async function keyOf(filePath, contents) {
+    const [properties, configFiles] = await Promise.all([
+      editorconfig.parse(filePath),
+      configChain(path.dirname(filePath)),
+    ]);
+    return {
+      content_sha256: sha256(contents),
+      config_sha256: sha256(JSON.stringify({ properties, configFiles, pluginFiles })),
+    };
+  }
+
+  function relative(filePath) {
+    return path.relative(root, filePath).split(path.sep).join('/');
+  }
+
+  async function lookup(filePath, contents) {
+    const key = await keyOf(filePath, contents);
+    keys.set(filePath, key);
+    const entry = entries[relative(filePath)];
+    if (
+      entry &&
+      entry.content_sha256 === key.content_sha256 &&
+      entry.config_sha256 === key.config_sha256
+    ) {
+      stats.hits++;
+      return entry.details;
+    }
+    stats.misses++;
+    if (entry) {
+      delete entries[relative(filePath)];
+      dirty = true;
+    }
+    return undefined;
+  }
+
+  function store(filePath, details) {
+    const key = keys.get(filePath);
+    if (key) {
+      entries[relative(filePath)] = { ...key, details };
+      dirty = true;
+    }
+  }
+
+  async function save() {
+    if (!dirty) {
+      return;
+    }
+    let saved = entries;
+    if (Object.keys(entries).length > MAX_ENTRIES) {
+      const used = new Set([...keys.keys()].map(relative));
+      saved = Object.fromEntries(Object.entries(entries).filter(([name]) => used.has(name)));
+    }
+    try {
+      await ensureStateDir(root, CACHE_DIR);
+      await writeJson(file, { version: CACHE_VERSION, entries: saved });
+    } catch {
+      // Read-only or locked-down checkouts: the run's results stand, the next run starts cold
+    }
+    dirty = false;
+  }
+
+  return { lookup, store, save, stats };
+}
+
+module.exports = { openResultCache };
@@ -0,0 +1,100 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const formatter = require('./formatter');
+
+describe('result cache', () => {
+  let root;
+  let sandbox;
+
+  beforeEach(async () => {
+    root = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'cache-')));
+    await fs.writeFile(
+      path.join(root, '.editorconfig'),
+      'root = true\n\n[*]\ninsert_final_newline = true\ntrim_trailing_whitespace = true\n'
+    );
+    await fs.mkdir(path.join(root, 'src'));
+    await fs.writeFile(path.join(root, 'a.js'), 'const a = 1;\n');
+    await fs.writeFile(path.join(root, 'src', 'b.js'), 'const b = 2;  \n');
+    sandbox = formatter.createSandbox([root]);
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('should answer unchanged files from the cache on the next run', async () => {
+    const first = await formatter.formatFiles('**/*.js', { sandbox });
+    const second = await formatter.formatFiles('**/*.js', { sandbox });
+    const events = [];
+    const third = await formatter.formatFiles('**/*.js', {
+      sandbox,
+      onProgress: (event) => events.push(event),
+    });
+
+    expect(first).toMatchObject({ changed: [path.join(root, 'src', 'b.js')] });
+    expect(first.cache).toEqual({ hits: 0, misses: 2 });
+    // b.js was rewritten, so its new contents are seen for the first time
+    expect(second.cache).toEqual({ hits: 1, misses: 1 });
+    expect(third.cache).toEqual({ hits: 2, misses: 0 });
+    expect(third.unchanged).toEqual([path.join(root, 'a.js'), path.join(root, 'src', 'b.js')]);
+    expect(events.every((event) => event.cached)).toBe(true);
+  });
+
+  it('should miss once the contents of a file change', async () => {
+    await formatter.formatFiles('*.js', { sandbox });
+    await fs.writeFile(path.join(root, 'a.js'), 'const a = 2;  \n');
+
+    const result = await formatter.formatFiles('*.js', { sandbox });
+
+    expect(result.cache).toEqual({ hits: 0, misses: 1 });
+    expect(result.changed).toEqual([path.join(root, 'a.js')]);
+  });
+
+  it('should invalidate entries when an .editorconfig along the path changes', async () => {
+    await formatter.checkFiles('**/*.js', { sandbox });
+    await fs.writeFile(path.join(root, 'src', '.editorconfig'), '# nothing yet\n');
+
+    const result = await formatter.checkFiles('**/*.js', { sandbox });
+
+    expect(result.cache).toEqual({ hits: 1, misses: 1 });
+  });
+
+  it('should return the same violations from the cache', async () => {
+    const uncached = await formatter.checkFiles('**/*.js', { sandbox, cache: false });
+    await formatter.checkFiles('**/*.js', { sandbox });
+    const cached = await formatter.checkFiles('**/*.js', { sandbox });
+
+    expect(uncached.cache).toBeUndefined();
+    expect(cached.cache).toEqual({ hits: 2, misses: 0 });
+    expect({ ...cached, cache: undefined }).toEqual(uncached);
+  });
+
+  it('should still return results when the cache cannot be saved', async () => {
+    // A file where the state directory should be, as in a read-only or odd checkout
+    await fs.writeFile(path.join(root, '.editorconfig-mcp'), '');
+
+    const result = await formatter.checkFiles('**/*.js', { sandbox });
+
+    expect(result.violations).toEqual([
+      expect.objectContaining({
+        file: path.join(root, 'src', 'b.js'),
+        rule: 'trim_trailing_whitespace',
+      }),
+    ]);
+    expect(result.cache).toEqual({ hits: 0, misses: 2 });
+  });
+
+  it('should keep the cache in the state directory', async () => {
+    await formatter.checkFiles('*.js', { sandbox });
+
+    const saved = JSON.parse(
+      await fs.readFile(path.join(root, '.editorconfig-mcp', 'cache', 'check.json'), 'utf8')
+    );
+    expect(saved.entries['a.js']).toMatchObject({
+      content_sha256: expect.any(String),
+      config_sha256: expect.any(String),
+      details: { violations: [] },
+    });
+  });
+});
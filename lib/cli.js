@@ -0,0 +1,317 @@
+const { parseArgs } = require('util');
+const formatter = require('./formatter');
+const { loadConfig, runOptions } = require('./config');
+const { createReport, relativeUri } = require('./report');
+const { createSandbox } = require('./sandbox');
+const { loadPlugins } = require('./plugins');
+const { allowedRoots, createWorkspaces } = require('./workspace');
+const { version } = require('../package.json');
+
+// Exit codes: success, violations found or files left to format, usage or runtime error
+const EXIT_OK = 0;
+const EXIT_FAILED = 1;
+const EXIT_ERROR = 2;
+
+// Output formats each command supports; the first one is the default
+const FORMATS = {
+  check: ['text', 'json', 'sarif', 'junit'],
+  fix: ['text', 'json'],
+  diff: ['text', 'json'],
+  resolve: ['text', 'json'],
+};
+
+const OPTIONS = {
+  format: { type: 'string', short: 'f' },
+  config: { type: 'string' },
+  root: { type: 'string', multiple: true },
+  workspace: { type: 'string', short: 'w' },
+  ignore: { type: 'string', multiple: true },
+  exclude: { type: 'string', multiple: true },
+  staged: { type: 'boolean' },
+  modified: { type: 'boolean' },
+  since: { type: 'string' },
+  'tracked-only': { type: 'boolean' },
+  'no-cache': { type: 'boolean' },
+  concurrency: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+  version: { type: 'boolean', short: 'v' },
+};
+
+const USAGE = `Usage: editorconfig-mcp <command> [options]
+
+Commands:
+  check [patterns...]    Report .editorconfig violations; exits 1 when there are any
+  fix [patterns...]      Format files in place
+  diff [patterns...]     Print the changes fix would make; exits 1 when there are any
+  resolve <file>         Show the properties that apply to a file and where they come from
+  serve --http|--stdio   Run the MCP server over HTTP or stdio
+
+Options:
+  -f, --format <format>  text (default), json, or sarif and junit for check
+  --config <file>        Settings file (default: editorconfig-mcp.config.json)
+  --root <dir>           Allowed project root, repeatable; the first one is the working root
+  -w, --workspace <name> Work in a configured workspace instead of the first root
+  --ignore <rule>        Default ignore rule, repeatable; replaces the built-in ones
+  --exclude <rule>       Extra gitignore-style exclude rule, repeatable
+  --staged               Only files with staged changes
+  --modified             Only files changed since HEAD, including untracked ones
+  --since <ref>          Only files changed since ref
+  --tracked-only         Only files tracked by git
+  --no-cache             Bypass the result cache
+  --concurrency <n>      Files processed in parallel
+  -h, --help             Show this help
+  -v, --version          Show the version
+
+Patterns default to **/* and are relative to the working root.
+`;
+
+class UsageError extends Error {}
+
+// Run a multi-file command for every pattern, following cursors until every batch is done
+async function runAll(run, patterns, options) {
+  const results = [];
+  for (const pattern of patterns.length > 0 ? patterns : ['**/*']) {
+    let cursor;
+    do {
+      const result = await run(pattern, { ...options, cursor });
+      results.push(result);
+      cursor = result.next_cursor;
+    } while (cursor);
+  }
+  return results;
+}
+
+// Merge the batch results of runAll into one result in the shape the tools return
+function combine(results, lists) {
+  const combined = { success: true, count: 0 };
+  results.forEach((result) => {
+    combined.count += result.count;
+    lists.forEach((key) => {
+      if (result[key]) {
+        combined[key] = [...(combined[key] || []), ...result[key]];
+      }
+    });
+    if (result.operation_id) {
+      combined.operation_ids = [...(combined.operation_ids || []), result.operation_id];
+    }
+    if (result.cache) {
+      combined.cache = {
+        hits: ((combined.cache && combined.cache.hits) || 0) + result.cache.hits,
+        misses: ((combined.cache && combined.cache.misses) || 0) + result.cache.misses,
+      };
+    }
+  });
+  return combined;
+}
+
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+// Files eclint could not process are not failures, but should not go unnoticed
+function noteSkipped(result, sandbox, out) {
+  (result.skipped || []).forEach((file) => out.note(`skipped ${relativeUri(sandbox.cwd, file)}`));
+}
+
+async function check(patterns, options, { sandbox, format, out }) {
+  // Reports list every checked file, which only progress events name across batches
+  const files = [];
+  const onProgress = ({ file, status }) => status === 'processed' && files.push(file);
+  const result = combine(await runAll(formatter.checkFiles, patterns, { ...options, onProgress }), [
+    'violations',
+    'skipped',
+    'excluded',
+  ]);
+  const violations = result.violations || [];
+  result.compliant = violations.length === 0;
+  result.violations = violations;
+
+  if (format === 'json') {
+    out.json(result);
+  } else if (format === 'sarif' || format === 'junit') {
+    const report = createReport(format, {
+      root: sandbox.cwd,
+      files,
+      violations,
+      skipped: result.skipped,
+    });
+    if (format === 'sarif') {
+      out.json(report);
+    } else {
+      out.write(report);
+    }
+  } else {
+    noteSkipped(result, sandbox, out);
+    violations.forEach(({ file, line, column, rule, message }) => {
+      out.line(`${relativeUri(sandbox.cwd, file)}:${line}:${column}  ${rule}  ${message}`);
+    });
+    const failing = new Set(violations.map(({ file }) => file)).size;
+    out.line(
+      result.compliant
+        ? `${plural(result.count, 'file')} checked, no violations`
+        : `${plural(violations.length, 'violation')} in ${plural(failing, 'file')} (${plural(result.count, 'file')} checked)`
+    );
+  }
+  return result.compliant ? EXIT_OK : EXIT_FAILED;
+}
+
+async function fix(patterns, options, { sandbox, format, out }) {
+  const result = combine(await runAll(formatter.formatFiles, patterns, options), [
+    'changed',
+    'unchanged',
+    'skipped',
+    'excluded',
+  ]);
+  const changed = result.changed || [];
+
+  if (format === 'json') {
+    out.json(result);
+  } else {
+    noteSkipped(result, sandbox, out);
+    changed.forEach((file) => out.line(`fixed ${relativeUri(sandbox.cwd, file)}`));
+    out.line(`${plural(changed.length, 'file')} changed (${plural(result.count, 'file')} checked)`);
+  }
+  return EXIT_OK;
+}
+
+async function diff(patterns, options, { sandbox, format, out }) {
+  const result = combine(
+    await runAll(formatter.formatFiles, patterns, { ...options, dryRun: true }),
+    ['changed', 'unchanged', 'diffs', 'skipped', 'excluded']
+  );
+  const diffs = result.diffs || [];
+
+  if (format === 'json') {
+    out.json({ ...result, dry_run: true });
+  } else {
+    noteSkipped(result, sandbox, out);
+    // Only the patch goes to stdout, so it can be piped into git apply
+    diffs.forEach(({ diff: patch }) => out.write(patch));
+    out.note(
+      `${plural(diffs.length, 'file')} would change (${plural(result.count, 'file')} checked)`
+    );
+  }
+  return diffs.length === 0 ? EXIT_OK : EXIT_FAILED;
+}
+
+async function resolve([filePath, ...rest], _options, { sandbox, format, out }) {
+  if (!filePath || rest.length > 0) {
+    throw new UsageError('resolve takes exactly one file');
+  }
+  const result = await formatter.resolveConfig(filePath, { sandbox });
+
+  if (format === 'json') {
+    out.json(result);
+    return EXIT_OK;
+  }
+  const entries = Object.entries(result.properties);
+  if (entries.length === 0) {
+    out.line(`No .editorconfig properties apply to ${filePath}`);
+  }
+  entries.forEach(([key, { value, file, section, derived_from: derivedFrom }]) => {
+    const origin = file ? `${relativeUri(sandbox.cwd, file)} [${section}]` : 'default';
+    const derived = derivedFrom ? `, derived from ${derivedFrom}` : '';
+    out.line(`${key} = ${value}  (${origin}${derived})`);
+  });
+  return EXIT_OK;
+}
+
+const COMMANDS = { check, fix, diff, resolve };
+
+// Options shared by format_files and check_files, from the settings, the workspace and the parsed flags
+function fileOptions(values, settings, { sandbox, ignore }) {
+  const options = { ...runOptions(settings), sandbox, ignore, exclude: values.exclude };
+  if (values.staged) {
+    options.staged = true;
+  }
+  if (values.modified) {
+    options.modified = true;
+  }
+  if (values.since !== undefined) {
+    options.since = values.since;
+  }
+  if (values['tracked-only']) {
+    options.trackedOnly = true;
+  }
+  if (values['no-cache']) {
+    options.cache = false;
+  }
+  return options;
+}
+
+function createOutput(stdout, stderr) {
+  return {
+    write: (text) => stdout.write(text),
+    line: (text) => stdout.write(`${text}\n`),
+    json: (data) => stdout.write(`${JSON.stringify(data, null, 2)}\n`),
+    note: (text) => stderr.write(`${text}\n`),
+  };
+}
+
+/**
+ * Run the check, fix, diff or resolve command given in argv (without the node
+ * binary and script) and resolve with the process exit code: 0 on success, 1
+ * when check finds violations or diff finds files to format, 2 on usage and
+ * runtime errors. Commands go through the same formatting core as the servers.
+ * `serve` is handled by the bin script, which owns the transports.
+ */
+async function run(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  const out = createOutput(stdout, stderr);
+  const [command, ...args] = argv;
+
+  if (command === '--version' || command === '-v') {
+    out.line(version);
+    return EXIT_OK;
+  }
+  if (!command || command === '--help' || command === '-h' || command === 'help') {
+    out.write(USAGE);
+    return command ? EXIT_OK : EXIT_ERROR;
+  }
+
+  try {
+    if (!COMMANDS[command]) {
+      throw new UsageError(`Unknown command: ${command}`);
+    }
+    let parsed;
+    try {
+      parsed = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+    const { values, positionals } = parsed;
+    if (values.help) {
+      out.write(USAGE);
+      return EXIT_OK;
+    }
+    if (values.version) {
+      out.line(version);
+      return EXIT_OK;
+    }
+    const format = values.format || FORMATS[command][0];
+    if (!FORMATS[command].includes(format)) {
+      throw new UsageError(`${command} does not support --format ${format}`);
+    }
+
+    // Roots, ignore rules and concurrency come from the same settings the servers use
+    const { settings } = loadConfig({ argv: args });
+    loadPlugins(settings.plugins);
+    const workspace = createWorkspaces(settings).resolve(
+      createSandbox(allowedRoots(settings)),
+      values.workspace
+    );
+    const { sandbox } = workspace;
+    return await COMMANDS[command](positionals, fileOptions(values, settings, workspace), {
+      sandbox,
+      format,
+      out,
+    });
+  } catch (error) {
+    out.note(`error: ${error.message}`);
+    if (error instanceof UsageError) {
+      out.note('Run editorconfig-mcp --help for usage.');
+    }
+    return EXIT_ERROR;
+  }
+}
+
+module.exports = { run, USAGE, EXIT_OK, EXIT_FAILED, EXIT_ERROR };
@@ -0,0 +1,151 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const cli = require('./cli');
+
+// Run the CLI in-process and capture what it writes
+async function runCli(args) {
+  const stdout = [];
+  const stderr = [];
+  const code = await cli.run(args, {
+    stdout: { write: (text) => stdout.push(text) },
+    stderr: { write: (text) => stderr.push(text) },
+  });
+  return { code, stdout: stdout.join(''), stderr: stderr.join('') };
+}
+
+describe('cli', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'cli-')));
+    await fs.writeFile(
+      path.join(root, '.editorconfig'),
+      'root = true\n\n[*]\ninsert_final_newline = true\ntrim_trailing_whitespace = true\n'
+    );
+    await fs.writeFile(path.join(root, 'good.js'), 'const good = 1;\n');
+    await fs.writeFile(path.join(root, 'bad.js'), 'const bad = 1;  \n');
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('should exit 1 and list violations when check finds any', async () => {
+    const failing = await runCli(['check', '*.js', '--root', root, '--no-cache']);
+    const passing = await runCli(['check', 'good.js', '--root', root, '--no-cache']);
+
+    expect(failing.code).toBe(1);
+    expect(failing.stdout).toContain('bad.js:1:15  trim_trailing_whitespace');
+    expect(failing.stdout).toContain('1 violation in 1 file (2 files checked)');
+    expect(passing).toMatchObject({ code: 0, stdout: '1 file checked, no violations\n' });
+  });
+
+  it('should report check violations as SARIF', async () => {
+    const { code, stdout } = await runCli(['check', '--root', root, '--format', 'sarif']);
+    const log = JSON.parse(stdout);
+
+    expect(code).toBe(1);
+    expect(log.version).toBe('2.1.0');
+    expect(log.runs[0].tool.driver.rules).toEqual([
+      expect.objectContaining({ id: 'trim_trailing_whitespace' }),
+    ]);
+    expect(log.runs[0].results).toEqual([
+      expect.objectContaining({
+        ruleId: 'trim_trailing_whitespace',
+        ruleIndex: 0,
+        locations: [
+          {
+            physicalLocation: {
+              artifactLocation: { uri: 'bad.js', uriBaseId: 'ROOT' },
+              region: { startLine: 1, startColumn: 15 },
+            },
+          },
+        ],
+      }),
+    ]);
+  });
+
+  it('should write a JUnit report with a test case per checked file', async () => {
+    const { code, stdout } = await runCli(['check', '--root', root, '--format', 'junit']);
+
+    expect(code).toBe(1);
+    expect(stdout).toContain('<testsuite name="editorconfig" tests="2" failures="1"');
+    expect(stdout).toContain('<testcase classname="editorconfig" name="good.js"/>');
+  });
+
+  it('should print a patch with diff and only write files with fix', async () => {
+    const diff = await runCli(['diff', '*.js', '--root', root]);
+    expect(diff.code).toBe(1);
+    expect(diff.stdout).toContain('+++ b/bad.js');
+    expect(diff.stderr).toBe('1 file would change (2 files checked)\n');
+    expect(await fs.readFile(path.join(root, 'bad.js'), 'utf8')).toBe('const bad = 1;  \n');
+
+    const fix = await runCli(['fix', '*.js', '--root', root, '--format', 'json']);
+    expect(fix.code).toBe(0);
+    expect(JSON.parse(fix.stdout)).toMatchObject({
+      count: 2,
+      changed: [path.join(root, 'bad.js')],
+      operation_ids: [expect.any(String)],
+    });
+    expect(await fs.readFile(path.join(root, 'bad.js'), 'utf8')).toBe('const bad = 1;\n');
+
+    expect((await runCli(['diff', '*.js', '--root', root])).code).toBe(0);
+  });
+
+  it('should work in the workspace given with --workspace', async () => {
+    await fs.mkdir(path.join(root, 'sub'));
+    await fs.writeFile(path.join(root, 'sub', 'bad.js'), 'const sub = 1;  \n');
+    const configFile = path.join(root, 'server.json');
+    await fs.writeFile(configFile, JSON.stringify({ workspaces: { sub: 'sub' } }));
+
+    const { code, stdout } = await runCli(['check', '--config', configFile, '-w', 'sub']);
+    const unknown = await runCli(['check', '--config', configFile, '--workspace', 'nope']);
+
+    expect(code).toBe(1);
+    expect(stdout).toBe(
+      'bad.js:1:15  trim_trailing_whitespace  unexpected trailing whitespace\n' +
+        '1 violation in 1 file (1 file checked)\n'
+    );
+    expect(unknown).toMatchObject({ code: 2, stderr: 'error: Unknown workspace: nope\n' });
+  });
+
+  it('should show where resolved properties come from', async () => {
+    const { code, stdout } = await runCli(['resolve', 'good.js', '--root', root]);
+
+    expect(code).toBe(0);
+    expect(stdout).toBe(
+      'trim_trailing_whitespace = true  (.editorconfig [*])\n' +
+        'insert_final_newline = true  (.editorconfig [*])\n'
+    );
+  });
+
+  it('should print the version before or after the command', async () => {
+    const { version } = require('../package.json');
+
+    await expect(runCli(['-v'])).resolves.toMatchObject({ code: 0, stdout: `${version}\n` });
+    await expect(runCli(['check', '-v'])).resolves.toMatchObject({
+      code: 0,
+      stdout: `${version}\n`,
+    });
+    await expect(runCli(['fix', '--version'])).resolves.toMatchObject({
+      code: 0,
+      stdout: `${version}\n`,
+    });
+  });
+
+  it('should exit 2 on usage and runtime errors', async () => {
+    const unknown = await runCli(['lint']);
+    const format = await runCli(['fix', '--format', 'sarif', '--root', root]);
+    const outside = await runCli(['check', '../**/*.js', '--root', root]);
+    const config = await runCli(['check', '--root', root, '--concurrency', '0']);
+
+    expect(unknown).toMatchObject({ code: 2, stderr: expect.stringContaining('Unknown command') });
+    expect(format).toMatchObject({ code: 2, stderr: expect.stringContaining('--format sarif') });
+    expect(outside).toMatchObject({ code: 2, stderr: expect.stringContaining('error: ') });
+    expect(config).toMatchObject({
+      code: 2,
+      stderr: expect.stringContaining('Invalid configuration in argv: --concurrency must be >= 1'),
+    });
+  });
+});
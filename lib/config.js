@@ -0,0 +1,487 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const { FormatterError } = require('./errors');
+const { DEFAULT_IGNORE } = require('./ignore');
+const { isInside } = require('./sandbox');
+const pool = require('./pool');
+
+// Project configuration file, looked up in the working directory
+const CONFIG_FILE = 'editorconfig-mcp.config.json';
+
+// Key of the same settings in package.json
+const PACKAGE_KEY = 'editorconfig-mcp';
+
+// Highest maxFiles a configuration may set
+const MAX_FILES_LIMIT = 100000;
+
+// Tools a client may be allowed to call
+const TOOL_NAMES = [
+  'format_file',
+  'format_files',
+  'format_content',
+  'check_file',
+  'check_files',
+  'resolve_config',
+  'revert_format',
+  'list_operations',
+  'start_watch',
+  'stop_watch',
+  'get_server_config',
+  'list_workspaces',
+];
+
+// Shown instead of client tokens by get_server_config
+const REDACTED = '[redacted]';
+
+// Sources of settings that are not a config file path
+const NAMED_SOURCES = ['default', 'package.json', 'env', 'argv'];
+
+/**
+ * Every setting with its environment variable and command line flag. `key`
+ * is the path of the setting in the configuration; lists are repeated flags,
+ * or separated by `separator` in the environment. Booleans may be given as a
+ * bare flag. Settings without either can only be set in files.
+ */
+const SETTINGS = [
+  { key: 'port', env: 'PORT', flag: '--port', type: 'integer' },
+  {
+    key: 'localhostOnly',
+    env: 'EDITORCONFIG_MCP_LOCALHOST_ONLY',
+    flag: '--localhost-only',
+    type: 'boolean',
+  },
+  {
+    key: 'roots',
+    env: 'EDITORCONFIG_MCP_ROOTS',
+    flag: '--root',
+    type: 'list',
+    separator: path.delimiter,
+  },
+  {
+    key: 'rateLimit.windowMs',
+    env: 'EDITORCONFIG_MCP_RATE_LIMIT_WINDOW_MS',
+    flag: '--rate-limit-window-ms',
+    type: 'integer',
+  },
+  {
+    key: 'rateLimit.max',
+    env: 'EDITORCONFIG_MCP_RATE_LIMIT_MAX',
+    flag: '--rate-limit-max',
+    type: 'integer',
+  },
+  { key: 'bodyLimit', env: 'EDITORCONFIG_MCP_BODY_LIMIT', flag: '--body-limit', type: 'string' },
+  { key: 'maxFiles', env: 'EDITORCONFIG_MCP_MAX_FILES', flag: '--max-files', type: 'integer' },
+  {
+    key: 'ignore',
+    env: 'EDITORCONFIG_MCP_IGNORE',
+    flag: '--ignore',
+    type: 'list',
+    separator: ',',
+  },
+  {
+    key: 'concurrency',
+    env: 'EDITORCONFIG_MCP_CONCURRENCY',
+    flag: '--concurrency',
+    type: 'integer',
+  },
+  // Named roots only fit in files
+  { key: 'workspaces' },
+  // Client tokens are secrets, so they stay out of the environment and argv
+  { key: 'clients' },
+  // Plugins run code, so like clients they are trusted to files only
+  { key: 'plugins' },
+];
+
+const ignoreSchema = {
+  type: 'array',
+  items: { type: 'string', minLength: 1 },
+  maxItems: 1000,
+};
+
+// A workspace is a root, or a root with its own ignore rules
+const workspaceSchema = {
+  oneOf: [
+    { type: 'string', minLength: 1 },
+    {
+      type: 'object',
+      properties: {
+        root: { type: 'string', minLength: 1 },
+        ignore: ignoreSchema,
+      },
+      required: ['root'],
+      additionalProperties: false,
+    },
+  ],
+};
+
+const rateLimitSchema = {
+  type: 'object',
+  properties: {
+    windowMs: { type: 'integer', minimum: 1000, maximum: 24 * 60 * 60 * 1000 },
+    max: { type: 'integer', minimum: 1, maximum: 1000000 },
+  },
+  additionalProperties: false,
+};
+
+const clientSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', pattern: '^[A-Za-z0-9_.-]+$', minLength: 1, maxLength: 64 },
+    token: { type: 'string', minLength: 16, maxLength: 1024 },
+    tokenEnv: { type: 'string', pattern: '^[A-Za-z_][A-Za-z0-9_]*$' },
+    roots: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 },
+    tools: { type: 'array', items: { type: 'string', enum: TOOL_NAMES }, uniqueItems: true },
+    rateLimit: rateLimitSchema,
+  },
+  required: ['name'],
+  oneOf: [{ required: ['token'] }, { required: ['tokenEnv'] }],
+  additionalProperties: false,
+};
+
+const settingsSchema = {
+  type: 'object',
+  properties: {
+    $schema: { type: 'string' },
+    port: { type: 'integer', minimum: 1, maximum: 65535 },
+    localhostOnly: { type: 'boolean' },
+    roots: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 },
+    rateLimit: rateLimitSchema,
+    bodyLimit: { type: 'string', pattern: '^[0-9]+(b|kb|mb)$' },
+    maxFiles: { type: 'integer', minimum: 1, maximum: MAX_FILES_LIMIT },
+    ignore: ignoreSchema,
+    concurrency: { type: 'integer', minimum: 1, maximum: pool.MAX_CONCURRENCY },
+    workspaces: {
+      type: 'object',
+      propertyNames: { pattern: '^[A-Za-z0-9_.-]+$', maxLength: 64 },
+      additionalProperties: workspaceSchema,
+      maxProperties: 100,
+    },
+    clients: { type: 'array', items: clientSchema, maxItems: 100 },
+    plugins: {
+      type: 'array',
+      items: { type: 'string', minLength: 1 },
+      uniqueItems: true,
+      maxItems: 100,
+    },
+  },
+  additionalProperties: false,
+};
+
+const validateSettings = new Ajv({ allErrors: true }).compile(settingsSchema);
+
+function defaultSettings(cwd) {
+  return {
+    port: 8432,
+    localhostOnly: false,
+    roots: [cwd],
+    rateLimit: { windowMs: 60 * 1000, max: 100 },
+    bodyLimit: '1mb',
+    maxFiles: 1000,
+    ignore: DEFAULT_IGNORE,
+    concurrency: pool.defaultConcurrency({}),
+    workspaces: {},
+    clients: [],
+    plugins: [],
+  };
+}
+
+function getPath(object, key) {
+  return key.split('.').reduce((value, part) => (value ? value[part] : undefined), object);
+}
+
+function setPath(object, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  const parent = parts.reduce((target, part) => (target[part] = target[part] || {}), object);
+  parent[last] = value;
+}
+
+// Values from the environment or the command line; anything unparsable is left for Ajv to reject
+function parseValue(value, type) {
+  if (type === 'integer') {
+    return /^-?[0-9]+$/.test(value) ? Number(value) : value;
+  }
+  if (type === 'boolean') {
+    return { true: true, 1: true, false: false, 0: false }[value] ?? value;
+  }
+  return value;
+}
+
+function fromEnv(env) {
+  const values = {};
+  SETTINGS.forEach(({ key, env: name, type, separator }) => {
+    if (!name || env[name] === undefined || env[name] === '') {
+      return;
+    }
+    if (type === 'list') {
+      setPath(values, key, env[name].split(separator).filter(Boolean));
+    } else {
+      setPath(values, key, parseValue(env[name], type));
+    }
+  });
+  return values;
+}
+
+/**
+ * Settings given as command line flags, as `--flag value` or `--flag=value`,
+ * plus the `--config` file. Flags that are not settings are left alone, so
+ * the servers can read theirs (such as --watch) from the same argv.
+ */
+function fromArgv(argv) {
+  const values = {};
+  let configFile;
+  argv.forEach((arg, index) => {
+    const [flag, inline] = arg.startsWith('--') ? arg.split(/=(.*)/s) : [arg];
+    const setting = SETTINGS.find((entry) => entry.flag && entry.flag === flag);
+    if (setting && setting.type === 'boolean') {
+      setPath(values, setting.key, inline === undefined ? true : parseValue(inline, 'boolean'));
+      return;
+    }
+    const value = inline !== undefined ? inline : argv[index + 1];
+    if (value === undefined) {
+      return;
+    }
+    if (flag === '--config') {
+      configFile = value;
+      return;
+    }
+    if (!setting) {
+      return;
+    }
+    if (setting.type === 'list') {
+      setPath(values, setting.key, [...(getPath(values, setting.key) || []), value]);
+    } else {
+      setPath(values, setting.key, parseValue(value, setting.type));
+    }
+  });
+  return { values, configFile };
+}
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return undefined;
+    }
+    throw new FormatterError('INVALID_CONFIG', `Unable to read ${file}: ${error.message}`);
+  }
+}
+
+// Name of the setting an Ajv error is about, as written in the source: variable, flag or path
+function settingName(error, kind) {
+  const setting = SETTINGS.find(({ key }) => {
+    const pointer = `/${key.replace('.', '/')}`;
+    return error.instancePath === pointer || error.instancePath.startsWith(`${pointer}/`);
+  });
+  if (setting && kind && setting[kind]) {
+    return setting[kind];
+  }
+  return error.instancePath || '/';
+}
+
+// Path of a plugin module, named by path (relative to base) or package name (installed below base)
+function resolvePlugin(source, plugin, base) {
+  try {
+    return require.resolve(plugin, { paths: [base] });
+  } catch {
+    throw new FormatterError(
+      'INVALID_CONFIG',
+      `Invalid configuration in ${source}: plugin not found: ${plugin}`
+    );
+  }
+}
+
+/**
+ * Check one source of settings and resolve its roots and plugins against the
+ * directory it came from. `kind` is `env` or `flag` when errors should name the
+ * variable or flag rather than the path of the setting.
+ */
+function checkLayer(source, values, base, kind) {
+  if (!validateSettings(values)) {
+    const problems = validateSettings.errors.map((error) =>
+      error.keyword === 'additionalProperties'
+        ? `unknown setting ${error.instancePath}/${error.params.additionalProperty}`
+        : `${settingName(error, kind)} ${error.message}`
+    );
+    throw new FormatterError(
+      'INVALID_CONFIG',
+      `Invalid configuration in ${source}: ${problems.join(', ')}`
+    );
+  }
+  const settings = { ...values };
+  delete settings.$schema;
+  if (settings.roots) {
+    settings.roots = settings.roots.map((root) => path.resolve(base, root));
+  }
+  if (settings.workspaces) {
+    settings.workspaces = Object.fromEntries(
+      Object.entries(settings.workspaces).map(([name, workspace]) => {
+        const { root, ...rest } = typeof workspace === 'string' ? { root: workspace } : workspace;
+        return [name, { root: path.resolve(base, root), ...rest }];
+      })
+    );
+  }
+  if (settings.clients) {
+    settings.clients = settings.clients.map((client) =>
+      client.roots
+        ? { ...client, roots: client.roots.map((root) => path.resolve(base, root)) }
+        : client
+    );
+  }
+  if (settings.plugins) {
+    settings.plugins = settings.plugins.map((plugin) => resolvePlugin(source, plugin, base));
+  }
+  return { source, values: settings };
+}
+
+// Read the tokens of clients configured with tokenEnv from the environment
+function resolveTokens(clients, env) {
+  return clients.map(({ tokenEnv, ...client }) => {
+    if (!tokenEnv) {
+      return client;
+    }
+    if (!env[tokenEnv]) {
+      throw new FormatterError(
+        'INVALID_CONFIG',
+        `Invalid configuration: ${tokenEnv} (the token of client ${client.name}) is not set`
+      );
+    }
+    return { ...client, token: env[tokenEnv], tokenEnv };
+  });
+}
+
+/**
+ * Load the server settings. Later sources override earlier ones, one setting
+ * at a time:
+ *
+ * 1. built-in defaults
+ * 2. the `editorconfig-mcp` key of package.json in cwd
+ * 3. editorconfig-mcp.config.json in cwd, or the file named by `--config`
+ *    or EDITORCONFIG_MCP_CONFIG (which must exist)
+ * 4. environment variables
+ * 5. command line flags in argv
+ *
+ * Every source is validated on its own, so errors name the file, variable
+ * or flag at fault. Relative roots and plugins are resolved against the
+ * directory of the file that lists them, or cwd. Returns the effective `settings`, the
+ * source each one came from (`default`, `package.json`, the config file,
+ * `env` or `argv`, keyed like rateLimit.max) and the files that were read.
+ */
+function loadConfig({ argv = [], env = process.env, cwd = process.cwd() } = {}) {
+  const args = fromArgv(argv);
+  const layers = [{ source: 'default', values: defaultSettings(cwd) }];
+  const files = [];
+
+  const packageFile = path.join(cwd, 'package.json');
+  const pkg = readJson(packageFile);
+  if (pkg && pkg[PACKAGE_KEY] !== undefined) {
+    files.push(packageFile);
+    layers.push(checkLayer('package.json', pkg[PACKAGE_KEY], cwd));
+  }
+
+  const named = args.configFile || env.EDITORCONFIG_MCP_CONFIG;
+  const configFile = path.resolve(cwd, named || CONFIG_FILE);
+  const config = readJson(configFile);
+  if (config === undefined && named) {
+    throw new FormatterError('INVALID_CONFIG', `Configuration file not found: ${named}`);
+  }
+  if (config !== undefined) {
+    files.push(configFile);
+    layers.push(
+      checkLayer(path.relative(cwd, configFile) || configFile, config, path.dirname(configFile))
+    );
+  }
+
+  layers.push(checkLayer('env', fromEnv(env), cwd, 'env'));
+  layers.push(checkLayer('argv', args.values, cwd, 'flag'));
+
+  const settings = {};
+  const sources = {};
+  SETTINGS.forEach(({ key }) => {
+    layers.forEach(({ source, values }) => {
+      const value = getPath(values, key);
+      if (value !== undefined) {
+        setPath(settings, key, value);
+        sources[key] = source;
+      }
+    });
+  });
+  settings.clients = resolveTokens(settings.clients, env);
+  return { settings, sources, files };
+}
+
+/**
+ * The configuration as get_server_config shows it to a caller: only the
+ * caller's own entry among the clients, with its token hidden, and only the
+ * workspaces inside the caller's sandbox. A client also only sees the roots,
+ * configuration files and plugins inside its sandbox, and the config file
+ * sources by file name. Callers that are not a client (no clients
+ * configured, stdio) see no client entries.
+ */
+function redactConfig(config, { client = null, sandbox } = {}) {
+  const visible = (target) =>
+    !sandbox || sandbox.roots.some((allowed) => isInside(allowed, target));
+  const scoped = (targets) => (client === null ? targets : targets.filter(visible));
+
+  const { settings } = config;
+  const clients = settings.clients
+    .filter(({ name }) => name === client)
+    .map((entry) => ({ ...entry, token: REDACTED }));
+  const workspaces = Object.fromEntries(
+    Object.entries(settings.workspaces).filter(([, { root }]) => visible(root))
+  );
+  const sources = Object.fromEntries(
+    Object.entries(config.sources).map(([key, source]) => [
+      key,
+      client === null || NAMED_SOURCES.includes(source) ? source : path.basename(source),
+    ])
+  );
+  return {
+    ...config,
+    sources,
+    settings: {
+      ...settings,
+      roots: scoped(settings.roots),
+      plugins: scoped(settings.plugins),
+      clients,
+      workspaces,
+    },
+    files: scoped(config.files),
+  };
+}
+
+// Size of a bodyLimit such as 512kb in bytes
+function parseSize(size) {
+  const [, amount, unit] = /^([0-9]+)(b|kb|mb)$/.exec(size);
+  return Number(amount) * { b: 1, kb: 1024, mb: 1024 * 1024 }[unit];
+}
+
+/**
+ * Options multi-file formatter calls take from the settings rather than the
+ * request: the file cap, the default ignore rules and the concurrency, which
+ * a request may still override, and the plugins, which every formatter call
+ * takes.
+ */
+function runOptions(settings) {
+  return {
+    maxFiles: settings.maxFiles,
+    ignore: settings.ignore,
+    concurrency: settings.concurrency,
+    plugins: settings.plugins,
+  };
+}
+
+module.exports = {
+  loadConfig,
+  redactConfig,
+  runOptions,
+  settingsSchema,
+  parseSize,
+  SETTINGS,
+  CONFIG_FILE,
+  PACKAGE_KEY,
+  MAX_FILES_LIMIT,
+  TOOL_NAMES,
+};
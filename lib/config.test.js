@@ -0,0 +1,185 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { loadConfig, parseSize, redactConfig, CONFIG_FILE } = require('./config');
+
+describe('config', () => {
+  let cwd;
+
+  beforeEach(async () => {
+    cwd = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'config-')));
+  });
+
+  afterEach(async () => {
+    await fs.rm(cwd, { recursive: true, force: true });
+  });
+
+  function writeJson(name, data) {
+    return fs.writeFile(path.join(cwd, name), JSON.stringify(data));
+  }
+
+  it('should fall back to the defaults', () => {
+    const { settings, sources, files } = loadConfig({ env: {}, cwd });
+
+    expect(settings).toMatchObject({
+      port: 8432,
+      roots: [cwd],
+      rateLimit: { windowMs: 60000, max: 100 },
+      bodyLimit: '1mb',
+      maxFiles: 1000,
+    });
+    expect(sources).toMatchObject({ port: 'default', 'rateLimit.max': 'default' });
+    expect(files).toEqual([]);
+  });
+
+  it('should apply package.json, the config file, env and argv in order', async () => {
+    await writeJson('package.json', {
+      name: 'project',
+      'editorconfig-mcp': { port: 1001, maxFiles: 10, rateLimit: { max: 5 } },
+    });
+    await writeJson(CONFIG_FILE, { port: 1002, maxFiles: 20, roots: ['src'] });
+
+    const { settings, sources, files } = loadConfig({
+      argv: ['--max-files=40', '--watch', '**/*.js'],
+      env: { PORT: '1003', EDITORCONFIG_MCP_MAX_FILES: '30' },
+      cwd,
+    });
+
+    expect(settings).toMatchObject({
+      port: 1003,
+      maxFiles: 40,
+      roots: [path.join(cwd, 'src')],
+      rateLimit: { windowMs: 60000, max: 5 },
+    });
+    expect(sources).toMatchObject({
+      port: 'env',
+      maxFiles: 'argv',
+      roots: CONFIG_FILE,
+      'rateLimit.max': 'package.json',
+      'rateLimit.windowMs': 'default',
+    });
+    expect(files).toEqual([path.join(cwd, 'package.json'), path.join(cwd, CONFIG_FILE)]);
+  });
+
+  it('should resolve roots against the directory of the file that lists them', async () => {
+    await fs.mkdir(path.join(cwd, 'conf'));
+    await writeJson(path.join('conf', 'server.json'), { roots: ['../app'] });
+
+    const fromFile = loadConfig({ argv: ['--config', 'conf/server.json'], env: {}, cwd });
+    const fromFlags = loadConfig({ argv: ['--root', 'a', '--root', 'b'], env: {}, cwd });
+
+    expect(fromFile.settings.roots).toEqual([path.join(cwd, 'app')]);
+    expect(fromFile.sources.roots).toBe(path.join('conf', 'server.json'));
+    expect(fromFlags.settings.roots).toEqual([path.join(cwd, 'a'), path.join(cwd, 'b')]);
+  });
+
+  it('should resolve workspace roots against the file that lists them', async () => {
+    await fs.mkdir(path.join(cwd, 'conf'));
+    await writeJson(path.join('conf', 'server.json'), {
+      workspaces: { app: '../app', lib: { root: '/srv/lib', ignore: ['dist/'] } },
+    });
+
+    const { settings } = loadConfig({ argv: ['--config', 'conf/server.json'], env: {}, cwd });
+
+    expect(settings.workspaces).toEqual({
+      app: { root: path.join(cwd, 'app') },
+      lib: { root: path.resolve('/srv/lib'), ignore: ['dist/'] },
+    });
+  });
+
+  it('should name the file, variable or flag of invalid settings', async () => {
+    await writeJson(CONFIG_FILE, { port: 'http', colour: true });
+
+    expect(() => loadConfig({ env: {}, cwd })).toThrow(
+      `Invalid configuration in ${CONFIG_FILE}: unknown setting /colour, /port must be integer`
+    );
+    await fs.rm(path.join(cwd, CONFIG_FILE));
+    expect(() => loadConfig({ env: { EDITORCONFIG_MCP_MAX_FILES: 'lots' }, cwd })).toThrow(
+      'Invalid configuration in env: EDITORCONFIG_MCP_MAX_FILES must be integer'
+    );
+    expect(() => loadConfig({ argv: ['--body-limit', '1gb'], env: {}, cwd })).toThrow(
+      'Invalid configuration in argv: --body-limit must match pattern'
+    );
+    expect(() => loadConfig({ env: { EDITORCONFIG_MCP_CONFIG: 'missing.json' }, cwd })).toThrow(
+      expect.objectContaining({
+        code: 'INVALID_CONFIG',
+        message: expect.stringContaining('missing.json'),
+      })
+    );
+  });
+
+  it('should take booleans as bare flags or values', () => {
+    const load = (argv, env = {}) => loadConfig({ argv, env, cwd }).settings.localhostOnly;
+
+    expect(load([])).toBe(false);
+    expect(load(['--localhost-only', '--port', '9000'])).toBe(true);
+    expect(load(['--localhost-only=false'], { EDITORCONFIG_MCP_LOCALHOST_ONLY: 'true' })).toBe(
+      false
+    );
+    expect(load([], { EDITORCONFIG_MCP_LOCALHOST_ONLY: '1' })).toBe(true);
+  });
+
+  it('should read client tokens from the environment and redact them', async () => {
+    await writeJson(CONFIG_FILE, {
+      clients: [
+        { name: 'ci', tokenEnv: 'CI_TOKEN', tools: ['check_files'], roots: ['app'] },
+        { name: 'dev', token: 'dev-token-0123456789' },
+      ],
+    });
+
+    const config = loadConfig({ env: { CI_TOKEN: 'ci-token-0123456789' }, cwd });
+
+    expect(config.settings.clients).toEqual([
+      {
+        name: 'ci',
+        token: 'ci-token-0123456789',
+        tokenEnv: 'CI_TOKEN',
+        tools: ['check_files'],
+        roots: [path.join(cwd, 'app')],
+      },
+      { name: 'dev', token: 'dev-token-0123456789' },
+    ]);
+    expect(JSON.stringify(redactConfig(config))).not.toMatch(/token-0123456789/);
+    expect(() => loadConfig({ env: {}, cwd })).toThrow(
+      'CI_TOKEN (the token of client ci) is not set'
+    );
+  });
+
+  it('should refuse clients with unknown tools or short tokens', async () => {
+    await writeJson(CONFIG_FILE, { clients: [{ name: 'ci', token: 'short', tools: ['rm'] }] });
+
+    expect(() => loadConfig({ env: {}, cwd })).toThrow(
+      /\/clients\/0\/token must NOT have fewer than 16 characters.*\/clients\/0\/tools\/0 must be equal to one of the allowed values/
+    );
+  });
+
+  it('should resolve plugins by path or package name from the file that lists them', async () => {
+    await fs.mkdir(path.join(cwd, 'config', 'node_modules', 'quote-plugin'), { recursive: true });
+    await fs.writeFile(path.join(cwd, 'config', 'local.js'), 'module.exports = {};');
+    await fs.writeFile(
+      path.join(cwd, 'config', 'node_modules', 'quote-plugin', 'index.js'),
+      'module.exports = {};'
+    );
+    await fs.writeFile(
+      path.join(cwd, 'config', 'server.json'),
+      JSON.stringify({ plugins: ['./local', 'quote-plugin'] })
+    );
+
+    const { settings } = loadConfig({ argv: ['--config', 'config/server.json'], env: {}, cwd });
+
+    expect(settings.plugins).toEqual([
+      path.join(cwd, 'config', 'local.js'),
+      path.join(cwd, 'config', 'node_modules', 'quote-plugin', 'index.js'),
+    ]);
+    await writeJson(CONFIG_FILE, { plugins: ['./missing'] });
+    expect(() => loadConfig({ env: {}, cwd })).toThrow(
+      `Invalid configuration in ${CONFIG_FILE}: plugin not found: ./missing`
+    );
+  });
+
+  it('should convert body limits to bytes', () => {
+    expect(parseSize('512b')).toBe(512);
+    expect(parseSize('2kb')).toBe(2048);
+    expect(parseSize('1mb')).toBe(1024 * 1024);
+  });
+});
@@ -0,0 +1,13 @@
+/**
+ * Error raised by the formatting core. `code` lets each transport map the
+ * failure onto its own error format (HTTP status, JSON-RPC error, ...).
+ */
+class FormatterError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'FormatterError';
+    this.code = code;
+  }
+}
+
+module.exports = { FormatterError };
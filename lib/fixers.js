@@ -0,0 +1,261 @@
+const { Readable } = require('stream');
+const eclint = require('eclint');
+const editorconfig = require('editorconfig');
+const Vinyl = require('vinyl');
+const { applyPlugins, loadPlugins } = require('./plugins');
+
+// Character sets EditorConfig defines; any other value is left alone
+const CHARSETS = ['latin1', 'utf-8', 'utf-8-bom', 'utf-16be', 'utf-16le'];
+
+const BOMS = {
+  'utf-8-bom': Buffer.from([0xef, 0xbb, 0xbf]),
+  'utf-16le': Buffer.from([0xff, 0xfe]),
+  'utf-16be': Buffer.from([0xfe, 0xff]),
+};
+
+const NEWLINES = { lf: '\n', crlf: '\r\n', cr: '\r' };
+
+const NEWLINE_NAMES = { '\n': 'lf', '\r\n': 'crlf', '\r': 'cr' };
+
+const LINE_BREAK = /\r\n|\r|\n/g;
+
+// eclint only splits lines at \n and \r\n, so a lone \r glues two lines together
+const LONE_CR = /\r(?!\n)/g;
+
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true, ignoreBOM: true });
+
+function isUtf8(buffer) {
+  try {
+    utf8Decoder.decode(buffer);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// UTF-16 text without a BOM: an even number of bytes, with the zero high byte of some ASCII
+function looksLikeUtf16(buffer, charset) {
+  const high = charset === 'utf-16le' ? 1 : 0;
+  return buffer.length % 2 === 0 && buffer.some((byte, i) => byte === 0 && i % 2 === high);
+}
+
+function swapBytes(buffer) {
+  return Buffer.from(buffer).swap16();
+}
+
+/**
+ * Decode file contents into text. The charset is taken from a byte order
+ * mark, then from `expected` when that is UTF-16 and the bytes look like it,
+ * and otherwise is UTF-8 when the bytes are valid UTF-8 and latin1 when not.
+ * ASCII counts as latin1 when latin1 is expected, since the bytes are the
+ * same. Returns `{ charset, bom, text }`; `bom` tells whether a byte order
+ * mark was present.
+ */
+function decode(buffer, expected) {
+  const bom = Object.keys(BOMS).find(
+    (charset) =>
+      buffer.subarray(0, BOMS[charset].length).equals(BOMS[charset]) &&
+      (charset === 'utf-8-bom' || buffer.length % 2 === 0)
+  );
+  if (bom) {
+    const body = buffer.subarray(BOMS[bom].length);
+    return { charset: bom, bom: true, text: decodeAs(body, bom) };
+  }
+  if ((expected === 'utf-16le' || expected === 'utf-16be') && looksLikeUtf16(buffer, expected)) {
+    return { charset: expected, bom: false, text: decodeAs(buffer, expected) };
+  }
+  if (isUtf8(buffer)) {
+    const ascii = buffer.every((byte) => byte < 0x80);
+    const charset = ascii && expected === 'latin1' ? 'latin1' : 'utf-8';
+    return { charset, bom: false, text: buffer.toString('utf8') };
+  }
+  return { charset: 'latin1', bom: false, text: buffer.toString('latin1') };
+}
+
+function decodeAs(body, charset) {
+  switch (charset) {
+    case 'utf-16le':
+      return body.toString('utf16le');
+    case 'utf-16be':
+      return swapBytes(body).toString('utf16le');
+    default:
+      return body.toString('utf8');
+  }
+}
+
+/**
+ * Encode text in charset, with a byte order mark for utf-8-bom and, unless
+ * `bom` is false, for UTF-16. Returns undefined when the text has characters
+ * latin1 cannot represent, rather than replacing them.
+ */
+function encode(text, charset, bom = true) {
+  switch (charset) {
+    case 'latin1':
+      return /[\u0100-\uffff]/.test(text) ? undefined : Buffer.from(text, 'latin1');
+    case 'utf-8-bom':
+      return Buffer.concat([BOMS['utf-8-bom'], Buffer.from(text, 'utf8')]);
+    case 'utf-16le':
+    case 'utf-16be': {
+      const body = Buffer.from(text, 'utf16le');
+      const bytes = charset === 'utf-16be' ? swapBytes(body) : body;
+      return bom ? Buffer.concat([BOMS[charset], bytes]) : bytes;
+    }
+    default:
+      return Buffer.from(text, 'utf8');
+  }
+}
+
+// Each line of text with its 1-based number and the line break that ends it
+function splitLines(text) {
+  const lines = [];
+  let offset = 0;
+  for (const match of text.matchAll(LINE_BREAK)) {
+    lines.push({
+      number: lines.length + 1,
+      text: text.slice(offset, match.index),
+      ending: match[0],
+    });
+    offset = match.index + match[0].length;
+  }
+  lines.push({ number: lines.length + 1, text: text.slice(offset), ending: '' });
+  return lines;
+}
+
+// Lengths and columns count characters, so a surrogate pair is one column
+function length(text) {
+  return Array.from(text).length;
+}
+
+function charsetErrors(decoded, charset) {
+  const errors = [];
+  const error = (message) => ({ lineNumber: 1, columnNumber: 1, rule: 'charset', message });
+  if (decoded.charset !== charset) {
+    errors.push(error(`invalid charset: ${decoded.charset}, expected: ${charset}`));
+  } else if (!decoded.bom && charset.startsWith('utf-16')) {
+    errors.push(error(`missing byte order mark, expected: ${charset}`));
+  }
+  if (charset === 'latin1') {
+    splitLines(decoded.text).forEach((line) => {
+      Array.from(line.text).forEach((character, i) => {
+        if (character.codePointAt(0) > 0xff) {
+          errors.push({
+            lineNumber: line.number,
+            columnNumber: i + 1,
+            rule: 'charset',
+            message: `character out of latin1 range: ${JSON.stringify(character)}`,
+          });
+        }
+      });
+    });
+  }
+  return errors;
+}
+
+function endOfLineErrors(text, endOfLine) {
+  return splitLines(text)
+    .filter((line) => line.ending && line.ending !== NEWLINES[endOfLine])
+    .map((line) => ({
+      lineNumber: line.number,
+      columnNumber: length(line.text) + 1,
+      rule: 'end_of_line',
+      message: `invalid newline: ${NEWLINE_NAMES[line.ending]}, expected: ${endOfLine}`,
+    }));
+}
+
+// Over-long lines cannot be fixed, only reported; details carry the numbers
+function maxLineLengthErrors(text, maxLineLength) {
+  return splitLines(text)
+    .filter((line) => length(line.text) > maxLineLength)
+    .map((line) => ({
+      lineNumber: line.number,
+      columnNumber: maxLineLength + 1,
+      rule: 'max_line_length',
+      message: `invalid line length: ${length(line.text)}, exceeds: ${maxLineLength}`,
+      details: { line_length: length(line.text), max_line_length: maxLineLength },
+    }));
+}
+
+// Run one file through eclint.fix() or eclint.check(), with some properties overridden
+function runEclint(mode, file, settings) {
+  return new Promise((resolve, reject) => {
+    let output = file;
+    Readable.from([file])
+      .pipe(eclint[mode]({ settings }))
+      .on('data', (result) => {
+        output = result;
+      })
+      .on('error', reject)
+      .on('end', () => resolve(output));
+  });
+}
+
+/**
+ * Fix or check one vinyl file, as `mode` says, and resolve with it: fixed
+ * contents in place of the original ones, and the errors found in
+ * `file.editorconfig.errors`. eclint handles most properties, but sees the
+ * text decoded to UTF-8; these are done here instead:
+ *
+ * - charset: files are decoded as decode() says and encoded in the configured
+ *   charset, adding or removing byte order marks. Text latin1 cannot
+ *   represent keeps its encoding and is reported character by character.
+ * - end_of_line: every line break is converted, lone \r included.
+ * - max_line_length: lines longer than the limit are reported, with their
+ *   length and the limit as details, and never changed.
+ *
+ * Files without a configured charset keep the one they have. Plugins (given
+ * as module paths, see plugins.js) handle their own properties on the
+ * decoded text: their fixes run after eclint's, and their violations join
+ * the others.
+ */
+async function processFile(mode, file, pluginPaths = []) {
+  const plugins = loadPlugins(pluginPaths);
+  const properties = await editorconfig.parse(file.path);
+  const charset = CHARSETS.includes(properties.charset) ? properties.charset : undefined;
+  const endOfLine = NEWLINES[properties.end_of_line] ? properties.end_of_line : undefined;
+  const maxLineLength =
+    Number.isInteger(properties.max_line_length) && properties.max_line_length > 0
+      ? properties.max_line_length
+      : undefined;
+
+  const decoded = decode(file.contents, charset);
+  const text = endOfLine ? decoded.text.replace(LONE_CR, '\n') : decoded.text;
+  const utf8 = new Vinyl({
+    cwd: file.cwd,
+    base: file.base,
+    path: file.path,
+    contents: Buffer.from(text, 'utf8'),
+  });
+  // insert_final_newline picks its line break from end_of_line, so fix keeps it
+  const settings = { charset: 'unset', max_line_length: 'unset' };
+  if (mode === 'check') {
+    settings.end_of_line = 'unset';
+  }
+  const result = await runEclint(mode, utf8, settings);
+  const errors = (result.editorconfig && result.editorconfig.errors) || [];
+  const context = { filePath: file.path, cwd: file.cwd, properties };
+
+  if (mode === 'check') {
+    const plugged = await applyPlugins(plugins, 'check', { ...context, text: decoded.text });
+    errors.push(
+      ...(charset ? charsetErrors(decoded, charset) : []),
+      ...(endOfLine ? endOfLineErrors(decoded.text, endOfLine) : []),
+      ...(maxLineLength ? maxLineLengthErrors(decoded.text, maxLineLength) : []),
+      ...plugged.errors
+    );
+  } else {
+    const plugged = await applyPlugins(plugins, 'fix', {
+      ...context,
+      text: result.contents.toString('utf8'),
+    });
+    let fixed = plugged.text;
+    if (endOfLine) {
+      fixed = fixed.replace(LINE_BREAK, NEWLINES[endOfLine]);
+    }
+    file.contents =
+      (charset && encode(fixed, charset)) || encode(fixed, decoded.charset, decoded.bom);
+  }
+  file.editorconfig = { errors };
+  return file;
+}
+
+module.exports = { processFile, decode, encode, CHARSETS };
@@ -0,0 +1,235 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Vinyl = require('vinyl');
+const { decode, encode, processFile } = require('./fixers');
+const formatter = require('./formatter');
+
+const BOM = {
+  le: Buffer.from([0xff, 0xfe]),
+  be: Buffer.from([0xfe, 0xff]),
+};
+
+function utf16be(text) {
+  return Buffer.from(text, 'utf16le').swap16();
+}
+
+describe('extended fixers', () => {
+  let root;
+
+  beforeAll(async () => {
+    root = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'fixers-')));
+  });
+
+  afterAll(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  // Fix and check contents as a file of root governed by the given properties
+  async function run(properties, contents) {
+    await fs.writeFile(path.join(root, '.editorconfig'), `root = true\n\n[*]\n${properties}\n`);
+    const file = () => new Vinyl({ cwd: root, path: path.join(root, 'a.txt'), contents });
+    const fixed = await processFile('fix', file());
+    const checked = await processFile('check', file());
+    return {
+      fixed: fixed.contents,
+      errors: checked.editorconfig.errors.map(({ rule, message, lineNumber, columnNumber }) => [
+        rule,
+        message,
+        lineNumber,
+        columnNumber,
+      ]),
+    };
+  }
+
+  describe('charset', () => {
+    it.each([
+      ['utf-8 to utf-8-bom', 'utf-8-bom', Buffer.from('é\n'), Buffer.from('\uFEFFé\n')],
+      ['utf-8-bom to utf-8', 'utf-8', Buffer.from('\uFEFFé\n'), Buffer.from('é\n')],
+      ['utf-8 to latin1', 'latin1', Buffer.from('é\n'), Buffer.from([0xe9, 0x0a])],
+      ['latin1 to utf-8', 'utf-8', Buffer.from([0xe9, 0x0a]), Buffer.from('é\n')],
+      [
+        'utf-8 to utf-16le',
+        'utf-16le',
+        Buffer.from('é\n'),
+        Buffer.concat([BOM.le, Buffer.from('é\n', 'utf16le')]),
+      ],
+      [
+        'utf-8 to utf-16be',
+        'utf-16be',
+        Buffer.from('é\n'),
+        Buffer.concat([BOM.be, utf16be('é\n')]),
+      ],
+      [
+        'utf-16le to utf-16be',
+        'utf-16be',
+        Buffer.concat([BOM.le, Buffer.from('é\n', 'utf16le')]),
+        Buffer.concat([BOM.be, utf16be('é\n')]),
+      ],
+      [
+        'utf-16be to utf-8-bom',
+        'utf-8-bom',
+        Buffer.concat([BOM.be, utf16be('é\n')]),
+        Buffer.from('\uFEFFé\n'),
+      ],
+      [
+        'utf-16le without a BOM to one with',
+        'utf-16le',
+        Buffer.from('a\n', 'utf16le'),
+        Buffer.concat([BOM.le, Buffer.from('a\n', 'utf16le')]),
+      ],
+    ])('should convert %s', async (_name, charset, contents, expected) => {
+      const { fixed, errors } = await run(`charset = ${charset}`, contents);
+
+      expect(fixed).toEqual(expected);
+      expect(errors).toEqual([['charset', expect.any(String), 1, 1]]);
+      expect((await run(`charset = ${charset}`, fixed)).errors).toEqual([]);
+    });
+
+    it.each([
+      ['latin1', Buffer.from([0x63, 0x61, 0x66, 0xe9, 0x0a])],
+      ['latin1', Buffer.from('plain ascii\n')],
+      ['utf-8', Buffer.from('café\n')],
+      ['utf-8-bom', Buffer.from('\uFEFFcafé\n')],
+      ['utf-16le', Buffer.concat([BOM.le, Buffer.from('café\n', 'utf16le')])],
+      ['utf-16be', Buffer.concat([BOM.be, utf16be('café\n')])],
+    ])('should leave compliant %s files alone', async (charset, contents) => {
+      const { fixed, errors } = await run(`charset = ${charset}`, contents);
+
+      expect(fixed).toEqual(contents);
+      expect(errors).toEqual([]);
+    });
+
+    it('should keep the encoding of text latin1 cannot represent and report it', async () => {
+      const contents = Buffer.from('€ é\n');
+      const { fixed, errors } = await run('charset = latin1', contents);
+
+      expect(fixed).toEqual(contents);
+      expect(errors).toEqual([
+        ['charset', 'invalid charset: utf-8, expected: latin1', 1, 1],
+        ['charset', 'character out of latin1 range: "€"', 1, 1],
+      ]);
+    });
+
+    it('should keep the charset of files without a configured one', async () => {
+      const contents = Buffer.concat([BOM.le, Buffer.from('a  \n', 'utf16le')]);
+      const { fixed } = await run('trim_trailing_whitespace = true', contents);
+
+      expect(fixed).toEqual(Buffer.concat([BOM.le, Buffer.from('a\n', 'utf16le')]));
+    });
+  });
+
+  describe('end_of_line', () => {
+    it.each([
+      ['lf', 'a\r\nb\rc\n', 'a\nb\nc\n'],
+      ['crlf', 'a\nb\rc\r\n', 'a\r\nb\r\nc\r\n'],
+      ['cr', 'a\nb\r\nc\r', 'a\rb\rc\r'],
+    ])('should convert every line break to %s', async (endOfLine, contents, expected) => {
+      const { fixed, errors } = await run(`end_of_line = ${endOfLine}`, Buffer.from(contents));
+
+      expect(fixed.toString()).toBe(expected);
+      expect(errors).toHaveLength(2);
+      expect(errors[0]).toEqual(['end_of_line', expect.stringContaining(endOfLine), 1, 2]);
+    });
+
+    it('should fix the other properties of files with cr line breaks', async () => {
+      const properties =
+        'end_of_line = cr\ninsert_final_newline = true\ntrim_trailing_whitespace = true';
+      const { fixed, errors } = await run(properties, Buffer.from('a  \rb  '));
+
+      expect(fixed.toString()).toBe('a\rb\r');
+      expect(errors.map(([rule, , line]) => [rule, line])).toEqual([
+        ['insert_final_newline', 2],
+        ['trim_trailing_whitespace', 1],
+        ['trim_trailing_whitespace', 2],
+      ]);
+    });
+
+    it('should convert line breaks in utf-16', async () => {
+      const contents = Buffer.concat([BOM.le, Buffer.from('a\r\nb\r\n', 'utf16le')]);
+      const { fixed } = await run('end_of_line = lf\ncharset = utf-16le', contents);
+
+      expect(fixed).toEqual(Buffer.concat([BOM.le, Buffer.from('a\nb\n', 'utf16le')]));
+    });
+  });
+
+  describe('max_line_length', () => {
+    it.each([
+      ['a line over the limit', 'abcdefgh\nabc\n', [[1, 8]]],
+      ['characters, not bytes', 'ééééé\nüüüüüüü\n', [[2, 7]]],
+      [
+        'every over-long line',
+        'abcdefgh\r\nok\r\nabcdefghi',
+        [
+          [1, 8],
+          [3, 9],
+        ],
+      ],
+      ['nothing within the limit', 'abcdef\n\n', []],
+    ])('should report %s', async (_name, contents, expected) => {
+      await fs.writeFile(
+        path.join(root, '.editorconfig'),
+        'root = true\n\n[*]\nmax_line_length = 6\n'
+      );
+      const file = new Vinyl({
+        cwd: root,
+        path: path.join(root, 'a.txt'),
+        contents: Buffer.from(contents),
+      });
+      const checked = await processFile('check', file);
+
+      expect(checked.editorconfig.errors).toEqual(
+        expected.map(([line, length]) => ({
+          lineNumber: line,
+          columnNumber: 7,
+          rule: 'max_line_length',
+          message: `invalid line length: ${length}, exceeds: 6`,
+          details: { line_length: length, max_line_length: 6 },
+        }))
+      );
+      expect((await run('max_line_length = 6', Buffer.from(contents))).fixed.toString()).toBe(
+        contents
+      );
+    });
+
+    it('should report the length and limit as violation details', async () => {
+      const dir = path.join(root, 'long');
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(
+        path.join(dir, '.editorconfig'),
+        'root = true\n\n[*]\nmax_line_length = 10\n'
+      );
+      await fs.writeFile(path.join(dir, 'a.txt'), 'short\nthis line is too long\n');
+
+      const { violations } = await formatter.checkFiles('*.txt', {
+        sandbox: formatter.createSandbox([dir]),
+        cache: false,
+        concurrency: 1,
+      });
+
+      expect(violations).toEqual([
+        {
+          file: path.join(dir, 'a.txt'),
+          line: 2,
+          column: 11,
+          rule: 'max_line_length',
+          message: 'invalid line length: 21, exceeds: 10',
+          line_length: 21,
+          max_line_length: 10,
+        },
+      ]);
+    });
+  });
+
+  it('should round-trip contents through decode and encode', () => {
+    [
+      Buffer.from([0xe9, 0xff, 0x0a]),
+      Buffer.from('\uFEFF😀\n'),
+      Buffer.concat([BOM.be, utf16be('😀\n')]),
+    ].forEach((contents) => {
+      const { charset, bom, text } = decode(contents);
+      expect(encode(text, charset, bom)).toEqual(contents);
+    });
+    expect(encode('€', 'latin1')).toBeUndefined();
+  });
+});
@@ -0,0 +1,1095 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { Readable, Transform, Writable } = require('stream');
+const editorconfig = require('editorconfig');
+const vfs = require('vinyl-fs');
+const Vinyl = require('vinyl');
+const { createTwoFilesPatch } = require('diff');
+const picomatch = require('picomatch');
+const { FormatterError } = require('./errors');
+const fixers = require('./fixers');
+const git = require('./git');
+const { openResultCache } = require('./cache');
+const { createIgnoreMatcher, DEFAULT_IGNORE } = require('./ignore');
+const operations = require('./operations');
+const pool = require('./pool');
+const { resolvePrettier } = require('./prettier');
+const { assertReportFormat, createReport, REPORT_FORMATS } = require('./report');
+const { createSandbox } = require('./sandbox');
+const { STATE_DIR } = require('./state');
+const { writeFileAtomic } = require('./write');
+
+// Large directories the glob does not descend into while the active ignore
+// rules exclude them: listing every file below only to exclude each one would
+// be wasted work. The server's own state directory is never descended into.
+const PRUNABLE_DIRECTORIES = ['node_modules', '.git'];
+
+// Default and maximum number of files processed in one batch
+const MAX_FILES = 1000;
+
+// Maximum size of in-memory content, matching the HTTP body limit
+const MAX_CONTENT_BYTES = 1024 * 1024;
+
+let defaultSandbox;
+let workerPool;
+
+// Sandbox used when the caller does not pass one: EDITORCONFIG_MCP_ROOTS or the cwd
+function getDefaultSandbox() {
+  if (!defaultSandbox) {
+    defaultSandbox = createSandbox();
+  }
+  return defaultSandbox;
+}
+
+// Worker threads shared by every multi-file run, started on first use
+function getWorkerPool() {
+  if (!workerPool) {
+    workerPool = pool.createWorkerPool();
+  }
+  return workerPool;
+}
+
+async function assertFileExists(absolutePath, filePath) {
+  try {
+    await fs.access(absolutePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new FormatterError('FILE_NOT_FOUND', `File not found: ${filePath}`);
+    }
+    throw error;
+  }
+}
+
+// Globs of the directories to leave out of a glob, given the active ignore rules
+function prunedDirectories(sandbox, isExcluded) {
+  const excluded = PRUNABLE_DIRECTORIES.filter((dir) =>
+    isExcluded({ path: path.join(sandbox.cwd, dir), isDirectory: () => true })
+  );
+  return [...excluded, STATE_DIR].map((dir) => `${dir}/**`);
+}
+
+// Absolute paths of the files a glob matches, without reading them
+function globFiles(pattern, sandbox, isExcluded) {
+  return new Promise((resolve, reject) => {
+    const files = [];
+    const ignore = prunedDirectories(sandbox, isExcluded);
+    vfs
+      .src(pattern, { cwd: sandbox.cwd, ignore, read: false })
+      .on('data', (file) => {
+        // vinyl-fs has no option to leave directories out of a glob
+        if (!file.isDirectory()) {
+          files.push(file.path);
+        }
+      })
+      .on('error', reject)
+      .on('end', () => resolve(files));
+  });
+}
+
+/**
+ * Absolute paths of the files picked by the git selection options that also
+ * match pattern. .gitignore applies instead of DEFAULT_IGNORE, since git only
+ * lists tracked and non-ignored files.
+ */
+async function gitFiles(pattern, sandbox, selection) {
+  const isMatch = picomatch(pattern.split(path.sep).join('/'));
+  const absolutePattern = path.isAbsolute(pattern);
+  return (await git.listFiles(sandbox.cwd, selection))
+    .map((file) => path.join(sandbox.cwd, file))
+    .filter((file) =>
+      isMatch(absolutePattern ? file.split(path.sep).join('/') : relativeKey(sandbox, file))
+    );
+}
+
+// Sort key and cursor position of a file: its posix path relative to the primary root
+function relativeKey(sandbox, file) {
+  return path.relative(sandbox.cwd, file).split(path.sep).join('/');
+}
+
+// Cursors are opaque to callers. They hold the pattern they were issued for
+// and the key of the first file of the next batch.
+function encodeCursor(pattern, from) {
+  return Buffer.from(JSON.stringify({ pattern, from })).toString('base64url');
+}
+
+function decodeCursor(cursor, pattern) {
+  let decoded = null;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    // Reported below
+  }
+  if (!decoded || typeof decoded.from !== 'string' || decoded.pattern !== pattern) {
+    throw new FormatterError('INVALID_CURSOR', `Invalid cursor for pattern ${pattern}`);
+  }
+  return decoded.from;
+}
+
+// A single file, byte for byte like readBatch reads them: vinyl-fs would
+// strip a UTF-8 byte order mark the charset rules need to see
+function srcFile(absolutePath) {
+  return vfs.src(absolutePath, { encoding: false });
+}
+
+/**
+ * Read the selected files in order, one at a time so a cancelled run stops
+ * reading early. Excluded files are reported through onExcluded. Reading
+ * stops once `limit` files have been produced; if another file remains,
+ * `batch.nextCursor` points at it.
+ */
+async function* readBatch(files, { sandbox, pattern, limit, isExcluded, onExcluded, batch }) {
+  let count = 0;
+  for (const { file: absolutePath, key } of files) {
+    let file;
+    try {
+      const [contents, stat] = await Promise.all([
+        fs.readFile(absolutePath),
+        fs.stat(absolutePath),
+      ]);
+      file = new Vinyl({ cwd: sandbox.cwd, base: sandbox.cwd, path: absolutePath, contents, stat });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      // Deleted since it was listed
+      continue;
+    }
+
+    const match = isExcluded(file);
+    if (match) {
+      onExcluded(absolutePath, match);
+      continue;
+    }
+    if (count === limit) {
+      batch.nextCursor = encodeCursor(pattern, key);
+      return;
+    }
+    count++;
+    yield file;
+  }
+}
+
+/**
+ * Pick one batch of files for a multi-file run: the glob matches, or the git
+ * selection when any git option is set, in path order starting at `cursor`
+ * and at most `limit` long (up to `maxFiles`). Excluded files are collected
+ * in excludedFiles and reported through onProgress. The default `ignore`
+ * rules only apply to globs; git already honors .gitignore.
+ */
+async function selectFiles(
+  pattern,
+  sandbox,
+  {
+    exclude,
+    ignore = DEFAULT_IGNORE,
+    cursor,
+    maxFiles = MAX_FILES,
+    limit = maxFiles,
+    onProgress = () => {},
+    ...selection
+  }
+) {
+  await sandbox.assertGlob(pattern);
+  if (!Number.isInteger(limit) || limit < 1 || limit > maxFiles) {
+    throw new FormatterError('INVALID_LIMIT', `limit must be between 1 and ${maxFiles}`);
+  }
+  const from = cursor === undefined ? '' : decodeCursor(cursor, pattern);
+
+  const useGit = git.hasSelection(selection);
+  const isExcluded = await createIgnoreMatcher(sandbox.cwd, {
+    exclude,
+    defaults: useGit ? false : ignore,
+  });
+  const matches = useGit
+    ? await gitFiles(pattern, sandbox, selection)
+    : await globFiles(pattern, sandbox, isExcluded);
+  const files = [...new Set(matches)]
+    .map((file) => ({ file, key: relativeKey(sandbox, file) }))
+    .filter(({ key }) => key >= from)
+    .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+
+  const excludedFiles = [];
+  const batch = {};
+  const source = Readable.from(
+    readBatch(files, {
+      sandbox,
+      pattern,
+      limit,
+      isExcluded,
+      onExcluded: (file, match) => {
+        excludedFiles.push({ file, ...match });
+        onProgress({ file, status: 'excluded', ...match });
+      },
+      batch,
+    })
+  );
+  return { source, excludedFiles, batch };
+}
+
+// Optional list fields are left out of responses when empty
+function nonEmpty(list) {
+  return list.length > 0 ? list : undefined;
+}
+
+// Convert eclint errors attached to a vinyl file into plain violation objects
+function toViolations(file) {
+  const errors = (file.editorconfig && file.editorconfig.errors) || [];
+  return errors
+    .map((err) => ({
+      file: file.path,
+      line: err.lineNumber,
+      column: err.columnNumber,
+      rule: err.rule,
+      message: err.message,
+      ...err.details,
+    }))
+    .sort((a, b) => a.line - b.line || a.column - b.column);
+}
+
+// Run eclint and the extended fixers in process, one file at a time
+function inProcessTransform(mode, plugins, onError) {
+  return new Transform({
+    objectMode: true,
+    transform(file, _enc, callback) {
+      fixers.processFile(mode, file, plugins).then(
+        (result) => callback(null, result),
+        (error) => {
+          onError(file, error);
+          callback();
+        }
+      );
+    },
+  });
+}
+
+// Drop files whose real path lies outside the sandbox (e.g. reached through a symlink)
+function sandboxFilter(sandbox, onRefused) {
+  return new Transform({
+    objectMode: true,
+    transform(file, _enc, callback) {
+      sandbox.contains(file.path).then((allowed) => {
+        if (allowed) {
+          callback(null, file);
+        } else {
+          onRefused(file.path);
+          callback();
+        }
+      }, callback);
+    },
+  });
+}
+
+// Take files the cache has an answer for out of the stream, before eclint sees them
+function cacheFilter(cache, onHit) {
+  return new Transform({
+    objectMode: true,
+    transform(file, _enc, callback) {
+      cache.lookup(file.path, file.contents).then((details) => {
+        if (details) {
+          onHit(file, details);
+          callback();
+        } else {
+          callback(null, file);
+        }
+      }, callback);
+    },
+  });
+}
+
+// Which passes changed a file that went through Prettier too, and why Prettier skipped it
+function passDetails(file, original) {
+  if (!file.prettier) {
+    return {};
+  }
+  const { before, skipped } = file.prettier;
+  const changedBy = [];
+  if (!before.equals(original)) {
+    changedBy.push('editorconfig');
+  }
+  if (!file.contents.equals(before)) {
+    changedBy.push('prettier');
+  }
+  return { changed_by: changedBy, ...(skipped && { prettier_skipped: skipped }) };
+}
+
+/**
+ * Run eclint on the worker pool, up to `concurrency` files at a time, and pass
+ * the results on in the order the files came in, whichever worker finishes
+ * first. Files eclint fails on go to onError and are dropped. In the
+ * `prettier` mode the pool runs the Prettier of the project in `root` instead,
+ * and each file keeps the contents it started from in `file.prettier`.
+ */
+function workerTransform(mode, concurrency, { plugins, root }, onError) {
+  const pending = [];
+  return new Transform({
+    objectMode: true,
+    transform(file, _enc, callback) {
+      const task = { done: false };
+      const cwd = root || file.cwd;
+      task.promise = getWorkerPool()
+        .run({ mode, cwd, path: file.path, contents: file.contents, plugins })
+        .then(
+          ({ contents, errors, skipped }) => {
+            if (mode === 'prettier') {
+              file.prettier = { before: file.contents, skipped };
+            } else {
+              file.editorconfig = { errors };
+            }
+            file.contents = contents;
+            return file;
+          },
+          (error) => {
+            onError(file, error);
+            return null;
+          }
+        )
+        .then((result) => {
+          task.done = true;
+          task.result = result;
+        });
+      pending.push(task);
+
+      const pushSettled = () => {
+        while (pending.length > 0 && pending[0].done) {
+          const { result } = pending.shift();
+          if (result) {
+            this.push(result);
+          }
+        }
+      };
+      pushSettled();
+      if (pending.length < concurrency) {
+        callback();
+        return;
+      }
+      pending[0].promise.then(() => {
+        pushSettled();
+        callback();
+      });
+    },
+    flush(callback) {
+      Promise.all(pending.map((task) => task.promise)).then(() => {
+        pending.splice(0).forEach(({ result }) => {
+          if (result) {
+            this.push(result);
+          }
+        });
+        callback();
+      });
+    },
+  });
+}
+
+/**
+ * Pipe a vinyl source stream through eclint.fix() or eclint.check(), as
+ * `mode` says, along with the extended fixers and the `plugins` (module
+ * paths; see fixers.js). With `concurrency`, eclint runs on worker threads
+ * (see workerTransform), so the event loop stays free for other requests;
+ * without it, in process. onFile receives each processed file along with its
+ * original contents and may return extra details for the progress event; `changed: true` among them marks the file as
+ * changed. onProgress is called once per matched file with
+ * `{ file, status: 'processed' | 'skipped', reason? }`. When `write` is set,
+ * changed files are written back atomically and unchanged ones are left alone;
+ * `snapshot` is awaited with the original and new contents before each write.
+ * With a result `cache`, the details of unchanged files are stored, and files
+ * the cache already knows skip eclint: onCached receives them with their
+ * cached details instead of onFile, and their progress events carry
+ * `cached: true`. Processed files are reported in source order either way.
+ * In fix mode, `prettier` (the root of a project with Prettier installed)
+ * adds a Prettier pass after eclint's, always on the worker pool; the details
+ * of each file then carry `changed_by` and `prettier_skipped` (see
+ * passDetails), and are returned by path in `passes`.
+ */
+function runPipeline(
+  srcStream,
+  mode,
+  {
+    sandbox,
+    signal,
+    concurrency,
+    onFile = () => {},
+    onCached = () => {},
+    onProgress = () => {},
+    write = false,
+    snapshot = async () => {},
+    cache,
+    plugins = [],
+    prettier,
+  }
+) {
+  const matchedFiles = [];
+  const processedFiles = [];
+  const skippedFiles = [];
+  const changedFiles = [];
+  const originals = new Map();
+  const passes = new Map();
+
+  const skip = (filePath, reason) => {
+    skippedFiles.push(filePath);
+    onProgress({ file: filePath, status: 'skipped', reason });
+  };
+
+  const onError = (file, error) =>
+    skip(
+      file.path,
+      error.code === 'PLUGIN_FAILED'
+        ? `plugin error: ${error.message}`
+        : `eclint error: ${error.message}`
+    );
+  const transform = concurrency
+    ? workerTransform(mode, concurrency, { plugins }, onError)
+    : inProcessTransform(mode, plugins, onError);
+
+  return new Promise((resolve, reject) => {
+    // Stop reading new files as soon as the caller gives up. Files already
+    // written stay written; nothing new is started.
+    const onAbort = () => {
+      srcStream.destroy();
+      reject(new FormatterError('CANCELLED', 'Operation cancelled'));
+    };
+    if (signal) {
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    const done = () => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      // Check for files that matched but weren't processed
+      const processedSet = new Set(processedFiles);
+      matchedFiles.forEach((filePath) => {
+        if (!processedSet.has(filePath) && !skippedFiles.includes(filePath)) {
+          skip(filePath, 'processing error');
+        }
+      });
+      // Cache hits overtake the files still inside eclint
+      const order = new Map(matchedFiles.map((filePath, index) => [filePath, index]));
+      const inSourceOrder = (files) => files.sort((a, b) => order.get(a) - order.get(b));
+      resolve({
+        processedFiles: inSourceOrder(processedFiles),
+        skippedFiles,
+        changedFiles: inSourceOrder(changedFiles),
+        passes: prettier ? passes : undefined,
+      });
+    };
+
+    const onHit = (file, details) => {
+      onCached(file, details);
+      processedFiles.push(file.path);
+      onProgress({ file: file.path, status: 'processed', cached: true, ...details });
+    };
+
+    // A file counts as processed once it has been written, if it needed to be
+    const sink = new Writable({
+      objectMode: true,
+      write(file, _enc, callback) {
+        const original = originals.get(file.path);
+        const details = { ...onFile(file, original), ...passDetails(file, original) };
+        if (file.prettier) {
+          passes.set(file.path, details);
+        }
+        const finish = () => {
+          processedFiles.push(file.path);
+          if (details.changed) {
+            changedFiles.push(file.path);
+          } else if (cache) {
+            cache.store(file.path, details);
+          }
+          onProgress({ file: file.path, status: 'processed', ...details });
+          callback();
+        };
+        if (!write || !details.changed) {
+          finish();
+          return;
+        }
+        snapshot(file.path, original, file.contents)
+          .then(() => writeFileAtomic(file.path, file.contents))
+          .then(finish, (error) => {
+            skip(file.path, `write error: ${error.message}`);
+            callback();
+          });
+      },
+    });
+
+    let stream = srcStream
+      .on('data', (file) => {
+        matchedFiles.push(file.path);
+        originals.set(file.path, file.contents);
+      })
+      .on('error', reject)
+      .pipe(sandboxFilter(sandbox, (filePath) => skip(filePath, 'outside sandbox')))
+      .on('error', reject);
+    if (cache) {
+      stream = stream.pipe(cacheFilter(cache, onHit)).on('error', reject);
+    }
+    stream = stream.pipe(transform).on('error', (err, file) => {
+      // Handle individual file errors
+      if (file && file.path) {
+        skip(file.path, `eclint error: ${err.message}`);
+      }
+    });
+    if (prettier && mode === 'fix') {
+      const onPrettierError = (file, error) => skip(file.path, `prettier error: ${error.message}`);
+      stream = stream.pipe(
+        workerTransform('prettier', concurrency || 1, { root: prettier }, onPrettierError)
+      );
+    }
+    stream.pipe(sink).on('finish', done).on('error', reject);
+  });
+}
+
+// onFile for fix runs: report whether eclint changed the contents
+function detectChange(file, original) {
+  return { changed: !file.contents.equals(original) };
+}
+
+// Run a writing pipeline while snapshotting originals for revert_format
+async function recordOperation(sandbox, details, run) {
+  const operation = operations.createOperation(sandbox.cwd, details);
+  let result;
+  try {
+    result = await run(operation.record);
+  } catch (error) {
+    // Whatever was written before a failure or cancellation stays revertible
+    await operation.finish();
+    throw error;
+  }
+  return { ...result, operationId: await operation.finish() };
+}
+
+// Split processed files into the changed ones and the rest, keeping their order
+function partition(processedFiles, changedFiles) {
+  const changed = new Set(changedFiles);
+  return {
+    changed: changedFiles,
+    unchanged: processedFiles.filter((file) => !changed.has(file)),
+  };
+}
+
+function unifiedDiff(root, filePath, before, after) {
+  const name = path.relative(root, filePath).split(path.sep).join('/');
+  return createTwoFilesPatch(`a/${name}`, `b/${name}`, before, after);
+}
+
+// Run the eclint fix pipeline in memory and collect a unified diff per changed file
+async function previewPipeline(srcStream, options) {
+  const diffs = [];
+  const result = await runPipeline(srcStream, 'fix', {
+    ...options,
+    onFile: (file, original) => {
+      const before = original.toString('utf8');
+      const after = file.contents.toString('utf8');
+      if (before === after) {
+        return { changed: false };
+      }
+      const diff = unifiedDiff(options.sandbox.cwd, file.path, before, after);
+      diffs.push({ file: file.path, diff });
+      return { changed: true, diff };
+    },
+  });
+  return { ...result, diffs };
+}
+
+// Run eclint checks and collect violations, in file order
+async function checkPipeline(srcStream, options) {
+  const byFile = new Map();
+  const result = await runPipeline(srcStream, 'check', {
+    ...options,
+    onFile: (file) => {
+      const violations = toViolations(file);
+      byFile.set(file.path, violations);
+      return { violations };
+    },
+    onCached: (file, details) => {
+      byFile.set(
+        file.path,
+        details.violations.map((violation) => ({ ...violation, file: file.path }))
+      );
+    },
+  });
+  const violations = result.processedFiles.flatMap((file) => byFile.get(file));
+  return { ...result, violations };
+}
+
+// Open the result cache for a multi-file run, unless the caller opted out
+function openCache(sandbox, kind, enabled, plugins) {
+  return enabled ? openResultCache(sandbox.cwd, kind, { plugins }) : undefined;
+}
+
+// Root of the Prettier pass of a run in the sandbox, when the caller asked for one.
+// Fails early when the project has no Prettier to run.
+function openPrettier(sandbox, enabled) {
+  if (!enabled) {
+    return undefined;
+  }
+  resolvePrettier(sandbox.cwd);
+  return sandbox.cwd;
+}
+
+// Response fields of a run with a Prettier pass: the passes that changed each
+// changed file, and the files Prettier skipped with the reason
+function passReport(passes) {
+  if (!passes) {
+    return {};
+  }
+  const changedBy = {};
+  const skipped = [];
+  passes.forEach((details, file) => {
+    if (details.changed_by.length > 0) {
+      changedBy[file] = details.changed_by;
+    }
+    if (details.prettier_skipped) {
+      skipped.push({ file, reason: details.prettier_skipped });
+    }
+  });
+  return { changed_by: changedBy, prettier_skipped: nonEmpty(skipped) };
+}
+
+// The same fields for a single file
+function filePassReport(passes) {
+  const [details] = passes ? [...passes.values()] : [];
+  if (!details) {
+    return {};
+  }
+  return { changed_by: details.changed_by, prettier_skipped: details.prettier_skipped };
+}
+
+// Persist the cache of a finished run and report its counts
+async function closeCache(cache) {
+  if (!cache) {
+    return undefined;
+  }
+  await cache.save();
+  return { ...cache.stats };
+}
+
+/**
+ * Format a single file in place, or return a unified diff when dryRun is set.
+ * The file is only rewritten when formatting changes it; the original is then
+ * kept under the returned operation_id for revertFormat. `plugins` are the
+ * module paths of property plugins (see plugins.js), as every formatting and
+ * checking call takes them. `tool` is the tool the operation is recorded
+ * for; watches record their writes as operations.WATCH_TOOL, which are
+ * pruned apart from the others. With `prettier` set, the project's own Prettier
+ * formats the file after the editorconfig pass (see prettier.js), and the
+ * result tells which passes changed it in `changed_by` and why Prettier left
+ * it alone, if it did, in `prettier_skipped`.
+ */
+async function formatFile(
+  filePath,
+  {
+    dryRun = false,
+    prettier = false,
+    tool = 'format_file',
+    sandbox = getDefaultSandbox(),
+    plugins = [],
+  } = {}
+) {
+  const absolutePath = await sandbox.resolvePath(filePath);
+  await assertFileExists(absolutePath, filePath);
+  const prettierRoot = openPrettier(sandbox, prettier);
+
+  if (dryRun) {
+    const { diffs, passes } = await previewPipeline(srcFile(absolutePath), {
+      sandbox,
+      plugins,
+      prettier: prettierRoot,
+    });
+    return {
+      success: true,
+      file_path: filePath,
+      dry_run: true,
+      changed: diffs.length > 0,
+      diff: diffs.length > 0 ? diffs[0].diff : '',
+      ...filePassReport(passes),
+    };
+  }
+
+  const { changedFiles, passes, operationId } = await recordOperation(
+    sandbox,
+    { tool, target: filePath },
+    (snapshot) =>
+      runPipeline(srcFile(absolutePath), 'fix', {
+        sandbox,
+        plugins,
+        prettier: prettierRoot,
+        onFile: detectChange,
+        write: true,
+        snapshot,
+      })
+  );
+
+  const stats = await fs.stat(absolutePath);
+  return {
+    success: true,
+    file_path: filePath,
+    changed: changedFiles.length > 0,
+    ...filePassReport(passes),
+    bytes: stats.size,
+    operation_id: operationId,
+  };
+}
+
+/**
+ * Format every file matching a glob pattern, or return unified diffs for the
+ * files that would change when dryRun is set. Pass an AbortSignal as `signal`
+ * to stop a long run early, and `onProgress` to hear about each file as soon
+ * as it has been processed, skipped or excluded. The git selection options
+ * `staged`, `modified`, `since` (a ref) and `trackedOnly` narrow the matches
+ * to files git reports; see git.listFiles. `exclude` adds gitignore-style
+ * rules on top of the defaults and the project's .editorconfigignore, and
+ * binary files are always excluded. At most `limit` files are processed per
+ * call; pass the returned `next_cursor` back as `cursor` to continue. Only
+ * files that formatting changes are rewritten, and the result lists them in
+ * `changed`, apart from the `unchanged` ones. Their originals are kept under
+ * the returned operation_id for revertFormat. Files already known to be
+ * formatted, with the same contents and .editorconfig rules, are taken from
+ * the on-disk result cache without running eclint; `cache: false` bypasses it.
+ * The result counts cache hits and misses. The other files are formatted on
+ * worker threads, `concurrency` at a time; the results come back in path
+ * order all the same. `prettier` adds a Prettier pass as for formatFile; the
+ * result then maps each changed file to the passes that changed it in
+ * `changed_by` and lists the files Prettier skipped in `prettier_skipped`.
+ * The cache knows nothing of Prettier's configuration, so such runs bypass it.
+ */
+async function formatFiles(
+  pattern = '**/*',
+  {
+    dryRun = false,
+    prettier = false,
+    cache: useCache = true,
+    concurrency = pool.defaultConcurrency(),
+    sandbox = getDefaultSandbox(),
+    plugins = [],
+    signal,
+    onProgress,
+    ...selection
+  } = {}
+) {
+  pool.assertConcurrency(concurrency);
+  const prettierRoot = openPrettier(sandbox, prettier);
+  const { source, excludedFiles, batch } = await selectFiles(pattern, sandbox, {
+    ...selection,
+    onProgress,
+  });
+  const cache = await openCache(sandbox, 'format', useCache && !prettier, plugins);
+
+  if (dryRun) {
+    const { processedFiles, skippedFiles, changedFiles, passes, diffs } = await previewPipeline(
+      source,
+      { sandbox, signal, onProgress, cache, concurrency, plugins, prettier: prettierRoot }
+    );
+    return {
+      success: true,
+      pattern,
+      dry_run: true,
+      count: processedFiles.length,
+      ...partition(processedFiles, changedFiles),
+      ...passReport(passes),
+      diffs,
+      skipped: nonEmpty(skippedFiles),
+      excluded: nonEmpty(excludedFiles),
+      next_cursor: batch.nextCursor,
+      cache: await closeCache(cache),
+    };
+  }
+
+  const { processedFiles, skippedFiles, changedFiles, passes, operationId } = await recordOperation(
+    sandbox,
+    { tool: 'format_files', target: pattern },
+    (snapshot) =>
+      runPipeline(source, 'fix', {
+        sandbox,
+        signal,
+        onFile: detectChange,
+        onProgress,
+        write: true,
+        snapshot,
+        cache,
+        concurrency,
+        plugins,
+        prettier: prettierRoot,
+      })
+  );
+  return {
+    success: true,
+    pattern,
+    count: processedFiles.length,
+    ...partition(processedFiles, changedFiles),
+    ...passReport(passes),
+    skipped: nonEmpty(skippedFiles),
+    excluded: nonEmpty(excludedFiles),
+    next_cursor: batch.nextCursor,
+    operation_id: operationId,
+    cache: await closeCache(cache),
+  };
+}
+
+/**
+ * Format in-memory content as if it lived at filePath. The file does not need
+ * to exist; it is only used to resolve the .editorconfig sections.
+ */
+async function formatContent(
+  content,
+  filePath,
+  { maxBytes = MAX_CONTENT_BYTES, sandbox = getDefaultSandbox(), plugins = [] } = {}
+) {
+  const absolutePath = await sandbox.resolvePath(filePath);
+  if (Buffer.byteLength(content, 'utf8') > maxBytes) {
+    throw new FormatterError('CONTENT_TOO_LARGE', `Content exceeds the ${maxBytes} byte limit`);
+  }
+
+  const file = new Vinyl({
+    cwd: sandbox.cwd,
+    path: absolutePath,
+    contents: Buffer.from(content, 'utf8'),
+  });
+
+  let formatted;
+  const { skippedFiles } = await runPipeline(Readable.from([file]), 'fix', {
+    sandbox,
+    plugins,
+    onFile: (fixed) => {
+      // Content is text, so it comes back decoded whatever charset applies
+      formatted = fixers.decode(fixed.contents).text;
+    },
+  });
+  if (skippedFiles.length > 0 || formatted === undefined) {
+    throw new Error(`Unable to format content for ${filePath}`);
+  }
+
+  return {
+    success: true,
+    file_path: filePath,
+    changed: formatted !== content,
+    content: formatted,
+  };
+}
+
+/**
+ * Report violations in a single file without modifying it. With a
+ * `reportFormat` of `sarif` or `junit` the result also carries the violations
+ * as a SARIF log or JUnit XML in `report`.
+ */
+async function checkFile(
+  filePath,
+  { reportFormat = 'json', sandbox = getDefaultSandbox(), plugins = [] } = {}
+) {
+  assertReportFormat(reportFormat);
+  const absolutePath = await sandbox.resolvePath(filePath);
+  await assertFileExists(absolutePath, filePath);
+
+  const { processedFiles, skippedFiles, violations } = await checkPipeline(srcFile(absolutePath), {
+    sandbox,
+    plugins,
+  });
+  return {
+    success: true,
+    file_path: filePath,
+    compliant: violations.length === 0,
+    violations,
+    report: createReport(reportFormat, {
+      root: sandbox.cwd,
+      files: processedFiles,
+      violations,
+      skipped: skippedFiles,
+    }),
+  };
+}
+
+/**
+ * Report violations in every file matching a glob pattern without modifying
+ * them. Accepts the same git selection, exclude, batch, cache and concurrency
+ * options as formatFiles, and the `reportFormat` of checkFile; `compliant`
+ * and the report cover the files of this batch only.
+ */
+async function checkFiles(
+  pattern = '**/*',
+  {
+    reportFormat = 'json',
+    cache: useCache = true,
+    concurrency = pool.defaultConcurrency(),
+    sandbox = getDefaultSandbox(),
+    plugins = [],
+    signal,
+    onProgress,
+    ...selection
+  } = {}
+) {
+  pool.assertConcurrency(concurrency);
+  assertReportFormat(reportFormat);
+  const { source, excludedFiles, batch } = await selectFiles(pattern, sandbox, {
+    ...selection,
+    onProgress,
+  });
+  const cache = await openCache(sandbox, 'check', useCache, plugins);
+
+  const { processedFiles, skippedFiles, violations } = await checkPipeline(source, {
+    sandbox,
+    signal,
+    onProgress,
+    cache,
+    concurrency,
+    plugins,
+  });
+  return {
+    success: true,
+    pattern,
+    count: processedFiles.length,
+    compliant: violations.length === 0,
+    violations,
+    skipped: nonEmpty(skippedFiles),
+    excluded: nonEmpty(excludedFiles),
+    next_cursor: batch.nextCursor,
+    cache: await closeCache(cache),
+    report: createReport(reportFormat, {
+      root: sandbox.cwd,
+      files: processedFiles,
+      violations,
+      skipped: skippedFiles,
+    }),
+  };
+}
+
+/**
+ * Restore the files changed by a format_file or format_files run. Files
+ * edited since then are reported as conflicts and left alone unless `force`
+ * is set; the operation only counts as reverted once nothing conflicts.
+ */
+async function revertFormat(operationId, { force = false, sandbox = getDefaultSandbox() } = {}) {
+  const { restored, conflicts } = await operations.revertOperation(sandbox.cwd, operationId, {
+    force,
+    contains: sandbox.contains,
+  });
+  return {
+    success: conflicts.length === 0,
+    operation_id: operationId,
+    restored,
+    conflicts: nonEmpty(conflicts),
+  };
+}
+
+/**
+ * List recent formatting runs that can be reverted, newest first.
+ */
+async function listOperations({ limit, sandbox = getDefaultSandbox() } = {}) {
+  return {
+    success: true,
+    operations: await operations.listOperations(sandbox.cwd, { limit }),
+  };
+}
+
+// Properties reported by resolve_config
+const RESOLVED_PROPERTIES = [
+  'indent_style',
+  'indent_size',
+  'tab_width',
+  'end_of_line',
+  'charset',
+  'trim_trailing_whitespace',
+  'insert_final_newline',
+  'max_line_length',
+];
+
+// Test whether a section glob in configFile applies to target, using editorconfig's own matcher
+function sectionMatches(target, configFile, glob) {
+  const probe = editorconfig.parseFromFilesSync(target, [
+    { name: configFile, contents: `[${glob}]\n__probe = true\n` },
+  ]);
+  return probe.__probe === true;
+}
+
+/**
+ * Resolve the effective .editorconfig properties for a path and report which
+ * file and section supplied each one.
+ */
+async function resolveConfig(filePath, { sandbox = getDefaultSandbox() } = {}) {
+  const target = await sandbox.resolvePath(filePath);
+
+  // Collect .editorconfig files from the nearest directory up to root = true
+  const configFiles = [];
+  let dir = path.dirname(target);
+  for (;;) {
+    const configFile = path.join(dir, '.editorconfig');
+    let contents = null;
+    try {
+      contents = await fs.readFile(configFile, 'utf8');
+    } catch {
+      // No .editorconfig at this level
+    }
+    if (contents !== null) {
+      const sections = editorconfig.parseString(contents);
+      configFiles.push({ file: configFile, sections });
+      if (String(sections[0][1].root || '').toLowerCase() === 'true') {
+        break;
+      }
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      break;
+    }
+    dir = parent;
+  }
+
+  // Later files and sections override earlier ones, so walk from the outermost file inwards
+  const sources = {};
+  [...configFiles].reverse().forEach(({ file, sections }) => {
+    sections.forEach(([glob, props]) => {
+      if (!glob || !sectionMatches(target, file, glob)) {
+        return;
+      }
+      Object.keys(props).forEach((key) => {
+        sources[key.toLowerCase()] = { file, section: glob };
+      });
+    });
+  });
+
+  const effective = await editorconfig.parse(target);
+  const properties = {};
+  RESOLVED_PROPERTIES.forEach((key) => {
+    if (effective[key] === undefined) {
+      return;
+    }
+    if (sources[key]) {
+      properties[key] = { value: effective[key], ...sources[key] };
+      return;
+    }
+    // editorconfig derives tab_width and indent_size from each other when only one is set
+    const origin = key === 'tab_width' ? 'indent_size' : 'tab_width';
+    properties[key] = {
+      value: effective[key],
+      ...(sources[origin] || sources.indent_style),
+      derived_from: sources[origin] ? origin : 'indent_style',
+    };
+  });
+
+  return {
+    success: true,
+    file_path: filePath,
+    config_files: configFiles.map(({ file }) => file),
+    properties,
+  };
+}
+
+module.exports = {
+  formatFile,
+  formatFiles,
+  formatContent,
+  checkFile,
+  checkFiles,
+  resolveConfig,
+  revertFormat,
+  listOperations,
+  createSandbox,
+  FormatterError,
+  DEFAULT_IGNORE,
+  MAX_FILES,
+  MAX_CONTENT_BYTES,
+  MAX_OPERATIONS: operations.MAX_OPERATIONS,
+  MAX_CONCURRENCY: pool.MAX_CONCURRENCY,
+  REPORT_FORMATS,
+};
@@ -0,0 +1,258 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const formatter = require('./formatter');
+
+describe('formatting core', () => {
+  let root;
+  let sandbox;
+  let testDir;
+  let testFile;
+
+  // A project of its own, so operation snapshots and the cache stay out of the checkout
+  beforeAll(async () => {
+    root = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'formatter-')));
+    sandbox = formatter.createSandbox([root]);
+    testDir = path.join(root, 'test-files-core');
+    testFile = path.join(testDir, 'nested', 'test.js');
+    await fs.writeFile(
+      path.join(root, '.editorconfig'),
+      'root = true\n\n[*]\ninsert_final_newline = true\ntrim_trailing_whitespace = true\n'
+    );
+  });
+
+  beforeEach(async () => {
+    await fs.mkdir(path.dirname(testFile), { recursive: true });
+    await fs.writeFile(testFile, 'const a = 1;  \n// No newline');
+  });
+
+  afterAll(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('should be the package entry point', () => {
+    const pkg = require('../package.json');
+    const api = require(path.join('..', pkg.main));
+
+    expect(api.formatFile).toBe(formatter.formatFile);
+    expect(api.formatFiles).toBe(formatter.formatFiles);
+    expect(api.checkFiles).toBe(formatter.checkFiles);
+    expect(api.resolveConfig).toBe(formatter.resolveConfig);
+  });
+
+  describe('formatFiles', () => {
+    it('should write files back to the directory they were read from', async () => {
+      const result = await formatter.formatFiles('test-files-core/**/*.js', { sandbox });
+
+      expect(result).toMatchObject({ success: true, count: 1, changed: [testFile], unchanged: [] });
+      expect(await fs.readFile(testFile, 'utf8')).toBe('const a = 1;\n// No newline\n');
+      await expect(fs.access(path.join(root, 'nested'))).rejects.toThrow();
+    });
+
+    it('should leave files that are already compliant untouched', async () => {
+      await fs.writeFile(testFile, 'const a = 1;\n');
+      const past = new Date('2020-01-01T00:00:00Z');
+      await fs.utimes(testFile, past, past);
+
+      const result = await formatter.formatFiles('test-files-core/**/*.js', { sandbox });
+
+      expect(result).toMatchObject({ count: 1, changed: [], unchanged: [testFile] });
+      expect((await fs.stat(testFile)).mtime).toEqual(past);
+    });
+
+    it('should report skipped files without logging them', async () => {
+      const outside = await fs.mkdtemp(path.join(os.tmpdir(), 'outside-'));
+      await fs.writeFile(path.join(outside, 'secret.js'), 'x  \n');
+      await fs.symlink(path.join(outside, 'secret.js'), path.join(testDir, 'nested', 'link.js'));
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const events = [];
+
+      try {
+        const result = await formatter.formatFiles('test-files-core/**/*.js', {
+          sandbox,
+          onProgress: (event) => events.push(event),
+        });
+
+        const link = path.join(testDir, 'nested', 'link.js');
+        expect(result.skipped).toEqual([link]);
+        expect(events).toContainEqual({ file: link, status: 'skipped', reason: 'outside sandbox' });
+        expect(warn).not.toHaveBeenCalled();
+      } finally {
+        warn.mockRestore();
+        await fs.rm(path.join(testDir, 'nested', 'link.js'));
+        await fs.rm(outside, { recursive: true, force: true });
+      }
+    });
+
+    it('should return diffs without writing in dry run mode', async () => {
+      const result = await formatter.formatFiles('test-files-core/**/*.js', {
+        sandbox,
+        dryRun: true,
+      });
+
+      expect(result.diffs).toHaveLength(1);
+      expect(result.diffs[0].diff).toContain('+++ b/test-files-core/nested/test.js');
+      expect(await fs.readFile(testFile, 'utf8')).toBe('const a = 1;  \n// No newline');
+    });
+  });
+
+  describe('batches', () => {
+    const names = ['a.js', 'b.js', 'c.js', 'd.js', 'e.js'];
+    let batchDir;
+
+    beforeEach(async () => {
+      batchDir = path.join(testDir, 'batch');
+      await fs.mkdir(batchDir, { recursive: true });
+      await Promise.all(names.map((name) => fs.writeFile(path.join(batchDir, name), 'x  \n')));
+    });
+
+    it('should work through every file in order with next_cursor', async () => {
+      const pattern = 'test-files-core/batch/*.js';
+      const seen = [];
+      let cursor;
+      let calls = 0;
+      do {
+        const result = await formatter.formatFiles(pattern, { sandbox, limit: 2, cursor });
+        seen.push(...result.changed);
+        cursor = result.next_cursor;
+        calls++;
+      } while (cursor);
+
+      expect(calls).toBe(3);
+      expect(seen).toEqual(names.map((name) => path.join(batchDir, name)));
+      expect(await fs.readFile(path.join(batchDir, 'e.js'), 'utf8')).toBe('x\n');
+    });
+
+    it('should leave next_cursor out when the last batch is full', async () => {
+      const result = await formatter.checkFiles('test-files-core/batch/*.js', {
+        sandbox,
+        limit: 5,
+      });
+
+      expect(result.count).toBe(5);
+      expect(result.next_cursor).toBeUndefined();
+    });
+
+    it('should reject cursors issued for another pattern', async () => {
+      const { next_cursor } = await formatter.checkFiles('test-files-core/batch/*.js', {
+        sandbox,
+        limit: 1,
+      });
+
+      await expect(
+        formatter.checkFiles('test-files-core/**/*.js', { sandbox, cursor: next_cursor })
+      ).rejects.toMatchObject({ code: 'INVALID_CURSOR' });
+      await expect(
+        formatter.checkFiles('test-files-core/batch/*.js', { sandbox, cursor: 'not a cursor' })
+      ).rejects.toMatchObject({ code: 'INVALID_CURSOR' });
+    });
+
+    it('should reject limits outside 1 to MAX_FILES', async () => {
+      await expect(
+        formatter.checkFiles('test-files-core/batch/*.js', {
+          sandbox,
+          limit: formatter.MAX_FILES + 1,
+        })
+      ).rejects.toMatchObject({ code: 'INVALID_LIMIT' });
+    });
+  });
+
+  describe('formatFile', () => {
+    it('should report whether the file changed', async () => {
+      await expect(formatter.formatFile(testFile, { sandbox })).resolves.toMatchObject({
+        changed: true,
+      });
+      await expect(formatter.formatFile(testFile, { sandbox })).resolves.toMatchObject({
+        changed: false,
+      });
+    });
+  });
+
+  describe('byte order marks', () => {
+    const utf8Bom = Buffer.from('\uFEFFconst a = 1;\n');
+    const utf16le = Buffer.concat([
+      Buffer.from([0xff, 0xfe]),
+      Buffer.from('const a = 1;\n', 'utf16le'),
+    ]);
+    let bomDir;
+
+    beforeAll(async () => {
+      bomDir = path.join(root, 'bom');
+      await fs.mkdir(bomDir);
+      await fs.writeFile(
+        path.join(bomDir, '.editorconfig'),
+        '[bom.js]\ncharset = utf-8-bom\n\n[le.js]\ncharset = utf-16le\n'
+      );
+    });
+
+    it('should check files with the BOM of their charset as compliant', async () => {
+      await fs.writeFile(path.join(bomDir, 'bom.js'), utf8Bom);
+      await fs.writeFile(path.join(bomDir, 'le.js'), utf16le);
+
+      const bom = await formatter.checkFile('bom/bom.js', { sandbox });
+      const le = await formatter.checkFile('bom/le.js', { sandbox });
+
+      expect(bom).toMatchObject({ compliant: true, violations: [] });
+      expect(le).toMatchObject({ compliant: true, violations: [] });
+    });
+
+    it('should check UTF-16 files in multi-file runs', async () => {
+      await fs.writeFile(path.join(bomDir, 'le.js'), utf16le);
+
+      const result = await formatter.checkFiles('bom/le.js', { sandbox, cache: false });
+
+      expect(result).toMatchObject({ compliant: true, count: 1 });
+      expect(result.excluded).toBeUndefined();
+    });
+
+    it('should leave the BOM of compliant files and files without a charset alone', async () => {
+      await fs.writeFile(path.join(bomDir, 'bom.js'), utf8Bom);
+      await fs.writeFile(path.join(bomDir, 'other.js'), utf8Bom);
+
+      const bom = await formatter.formatFile('bom/bom.js', { sandbox });
+      const other = await formatter.formatFile('bom/other.js', { sandbox });
+
+      expect(bom).toMatchObject({ changed: false, operation_id: undefined });
+      expect(other).toMatchObject({ changed: false, operation_id: undefined });
+      expect(await fs.readFile(path.join(bomDir, 'bom.js'))).toEqual(utf8Bom);
+      expect(await fs.readFile(path.join(bomDir, 'other.js'))).toEqual(utf8Bom);
+    });
+
+    it('should restore the BOM on revert', async () => {
+      const file = path.join(bomDir, 'other.js');
+      await fs.writeFile(file, Buffer.from('\uFEFFconst a = 1;  \n'));
+
+      const { changed, operation_id } = await formatter.formatFile('bom/other.js', { sandbox });
+      expect(changed).toBe(true);
+      expect(await fs.readFile(file)).toEqual(utf8Bom);
+
+      await formatter.revertFormat(operation_id, { sandbox });
+      expect(await fs.readFile(file)).toEqual(Buffer.from('\uFEFFconst a = 1;  \n'));
+    });
+  });
+
+  describe('errors', () => {
+    it('should raise FILE_NOT_FOUND for missing files', async () => {
+      await expect(
+        formatter.formatFile('test-files-core/missing.js', { sandbox })
+      ).rejects.toMatchObject({
+        name: 'FormatterError',
+        code: 'FILE_NOT_FOUND',
+      });
+    });
+
+    it('should raise FORBIDDEN_PATH outside the project', async () => {
+      await expect(formatter.checkFile('../outside.js', { sandbox })).rejects.toMatchObject({
+        code: 'FORBIDDEN_PATH',
+      });
+    });
+
+    it('should raise CONTENT_TOO_LARGE for oversized content', async () => {
+      const content = 'x'.repeat(formatter.MAX_CONTENT_BYTES + 1);
+
+      await expect(formatter.formatContent(content, 'big.txt', { sandbox })).rejects.toMatchObject({
+        code: 'CONTENT_TOO_LARGE',
+      });
+    });
+  });
+});
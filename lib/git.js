@@ -0,0 +1,121 @@
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+const { FormatterError } = require('./errors');
+
+// Path listings of large repositories easily exceed execFile's default buffer
+const MAX_BUFFER = 64 * 1024 * 1024;
+
+// Only report files that still have content: added, copied, modified, renamed, type changed
+const DIFF_FILTER = '--diff-filter=ACMRT';
+
+// Run the local git binary in cwd and resolve with its stdout
+function git(args, cwd) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, maxBuffer: MAX_BUFFER }, (error, stdout, stderr) => {
+      if (!error) {
+        resolve(stdout);
+        return;
+      }
+      const message =
+        error.code === 'ENOENT' ? 'git executable not found' : stderr.trim() || error.message;
+      reject(new FormatterError('GIT_ERROR', message));
+    });
+  });
+}
+
+// Split NUL-separated (-z) output into paths
+function splitPaths(stdout) {
+  return stdout.split('\0').filter(Boolean);
+}
+
+// Changed paths relative to cwd; --relative also drops changes outside cwd
+async function diffNames(cwd, args) {
+  return splitPaths(
+    await git(['diff', '--name-only', '--relative', '-z', DIFF_FILTER, ...args], cwd)
+  );
+}
+
+// Resolve a user supplied ref to a commit sha so it can never be read as an option
+async function resolveCommit(cwd, ref) {
+  if (typeof ref !== 'string' || ref === '' || ref.startsWith('-')) {
+    throw new FormatterError('GIT_ERROR', `Invalid ref: ${ref}`);
+  }
+  try {
+    return (await git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], cwd)).trim();
+  } catch {
+    throw new FormatterError('GIT_ERROR', `Unknown ref: ${ref}`);
+  }
+}
+
+// Whether HEAD points at a commit; it does not in a repository without any yet
+async function hasHead(cwd) {
+  try {
+    await git(['rev-parse', '--verify', '--quiet', 'HEAD'], cwd);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether any git selection option is set.
+ */
+function hasSelection({ staged, modified, since, trackedOnly } = {}) {
+  return Boolean(staged || modified || since || trackedOnly);
+}
+
+/**
+ * List the files under cwd picked by the git selection options, relative to
+ * cwd and sorted. `staged`, `modified` and `since` are combined as a union;
+ * `modified` includes untracked files that are not ignored unless
+ * `trackedOnly` is set. `trackedOnly` on its own selects every tracked file.
+ * Paths come from git, so .gitignore is honored and deleted files are left out.
+ */
+async function listFiles(cwd, { staged, modified, since, trackedOnly } = {}) {
+  try {
+    await git(['rev-parse', '--is-inside-work-tree'], cwd);
+  } catch (error) {
+    throw new FormatterError('GIT_ERROR', `Not a git work tree: ${cwd} (${error.message})`);
+  }
+
+  const selected = new Set();
+  const add = (paths) => paths.forEach((file) => selected.add(file));
+
+  if (staged) {
+    add(await diffNames(cwd, ['--cached']));
+  }
+  if (modified) {
+    if (await hasHead(cwd)) {
+      add(await diffNames(cwd, ['HEAD']));
+    } else {
+      // Without a commit, everything staged or changed since is new
+      add(await diffNames(cwd, ['--cached']));
+      add(await diffNames(cwd, []));
+    }
+    if (!trackedOnly) {
+      add(splitPaths(await git(['ls-files', '-z', '--others', '--exclude-standard'], cwd)));
+    }
+  }
+  if (since) {
+    add(await diffNames(cwd, [await resolveCommit(cwd, since)]));
+  }
+  if (trackedOnly && !staged && !modified && !since) {
+    add(splitPaths(await git(['ls-files', '-z', '--cached'], cwd)));
+  }
+
+  // Drop entries without a regular file in the work tree (deleted files, submodules)
+  const files = [];
+  for (const file of [...selected].sort()) {
+    try {
+      if ((await fs.stat(path.join(cwd, file))).isFile()) {
+        files.push(file);
+      }
+    } catch {
+      // Gone from the work tree
+    }
+  }
+  return files;
+}
+
+module.exports = { hasSelection, listFiles };
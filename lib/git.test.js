@@ -0,0 +1,181 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const git = require('./git');
+const formatter = require('./formatter');
+
+describe('git selection', () => {
+  let repo;
+  let sandbox;
+
+  const run = (...args) =>
+    execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], {
+      cwd: repo,
+      stdio: 'pipe',
+    });
+  const write = (file, contents) => fs.writeFile(path.join(repo, file), contents);
+
+  beforeEach(async () => {
+    repo = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'git-select-')));
+    run('init', '-q');
+    await fs.mkdir(path.join(repo, 'src'));
+    await write('.editorconfig', 'root = true\n\n[*]\ntrim_trailing_whitespace = true\n');
+    await write('.gitignore', 'build/\n');
+    await write('src/committed.js', 'const a = 1;\n');
+    await write('src/untouched.js', 'const b = 2;  \n');
+    run('add', '.');
+    run('commit', '-q', '-m', 'initial');
+    run('tag', 'v1');
+
+    await write('src/committed.js', 'const a = 1;  \n');
+    await write('src/staged.js', 'const c = 3;  \n');
+    run('add', 'src/staged.js');
+    await write('src/untracked.js', 'const d = 4;  \n');
+    await fs.mkdir(path.join(repo, 'build'));
+    await write('build/ignored.js', 'const e = 5;  \n');
+
+    sandbox = formatter.createSandbox([repo]);
+  });
+
+  afterEach(async () => {
+    await fs.rm(repo, { recursive: true, force: true });
+  });
+
+  describe('listFiles', () => {
+    it('should list staged files', async () => {
+      await expect(git.listFiles(repo, { staged: true })).resolves.toEqual(['src/staged.js']);
+    });
+
+    it('should list modified and untracked files but not ignored ones', async () => {
+      await expect(git.listFiles(repo, { modified: true })).resolves.toEqual([
+        'src/committed.js',
+        'src/staged.js',
+        'src/untracked.js',
+      ]);
+    });
+
+    it('should leave untracked files out with trackedOnly', async () => {
+      await expect(git.listFiles(repo, { modified: true, trackedOnly: true })).resolves.toEqual([
+        'src/committed.js',
+        'src/staged.js',
+      ]);
+    });
+
+    it('should list files changed since a ref', async () => {
+      run('add', '.');
+      run('commit', '-q', '-m', 'second');
+      await write('src/later.js', 'const f = 6;\n');
+
+      await expect(git.listFiles(repo, { since: 'v1' })).resolves.toEqual([
+        'src/committed.js',
+        'src/staged.js',
+        'src/untracked.js',
+      ]);
+    });
+
+    it('should list every tracked file with trackedOnly alone', async () => {
+      await expect(git.listFiles(repo, { trackedOnly: true })).resolves.toEqual([
+        '.editorconfig',
+        '.gitignore',
+        'src/committed.js',
+        'src/staged.js',
+        'src/untouched.js',
+      ]);
+    });
+
+    it('should report paths relative to a subdirectory and ignore changes outside it', async () => {
+      await write('top.js', 'const g = 7;\n');
+
+      await expect(git.listFiles(path.join(repo, 'src'), { modified: true })).resolves.toEqual([
+        'committed.js',
+        'staged.js',
+        'untracked.js',
+      ]);
+    });
+
+    it('should leave out files deleted from the work tree', async () => {
+      await fs.rm(path.join(repo, 'src', 'staged.js'));
+
+      await expect(git.listFiles(repo, { staged: true })).resolves.toEqual([]);
+    });
+
+    it('should refuse refs that look like options', async () => {
+      await expect(git.listFiles(repo, { since: '--output=/tmp/x' })).rejects.toMatchObject({
+        code: 'GIT_ERROR',
+        message: 'Invalid ref: --output=/tmp/x',
+      });
+    });
+
+    it('should report unknown refs', async () => {
+      await expect(git.listFiles(repo, { since: 'no-such-ref' })).rejects.toMatchObject({
+        code: 'GIT_ERROR',
+        message: 'Unknown ref: no-such-ref',
+      });
+    });
+
+    it('should list new files in a repository without commits', async () => {
+      const fresh = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'git-fresh-')));
+      try {
+        execFileSync('git', ['init', '-q'], { cwd: fresh, stdio: 'pipe' });
+        await fs.writeFile(path.join(fresh, 'staged.js'), 'const a = 1;\n');
+        await fs.writeFile(path.join(fresh, 'untracked.js'), 'const b = 2;\n');
+        execFileSync('git', ['add', 'staged.js'], { cwd: fresh, stdio: 'pipe' });
+        await fs.writeFile(path.join(fresh, 'staged.js'), 'const a = 3;\n');
+
+        await expect(git.listFiles(fresh, { modified: true })).resolves.toEqual([
+          'staged.js',
+          'untracked.js',
+        ]);
+        await expect(git.listFiles(fresh, { modified: true, trackedOnly: true })).resolves.toEqual([
+          'staged.js',
+        ]);
+      } finally {
+        await fs.rm(fresh, { recursive: true, force: true });
+      }
+    });
+
+    it('should fail outside a git work tree', async () => {
+      const plain = await fs.mkdtemp(path.join(os.tmpdir(), 'git-plain-'));
+      try {
+        await expect(git.listFiles(plain, { staged: true })).rejects.toMatchObject({
+          code: 'GIT_ERROR',
+        });
+      } finally {
+        await fs.rm(plain, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('formatFiles and checkFiles', () => {
+    it('should only format staged files', async () => {
+      const result = await formatter.formatFiles('**/*', { sandbox, staged: true });
+
+      expect(result.changed).toEqual([path.join(repo, 'src', 'staged.js')]);
+      expect(await fs.readFile(path.join(repo, 'src', 'staged.js'), 'utf8')).toBe('const c = 3;\n');
+      expect(await fs.readFile(path.join(repo, 'src', 'untouched.js'), 'utf8')).toBe(
+        'const b = 2;  \n'
+      );
+    });
+
+    it('should apply the pattern to the git selection', async () => {
+      const result = await formatter.formatFiles('src/un*.js', {
+        sandbox,
+        modified: true,
+        dryRun: true,
+      });
+
+      expect(result.changed).toEqual([path.join(repo, 'src', 'untracked.js')]);
+    });
+
+    it('should honor .gitignore instead of the default ignore list', async () => {
+      const result = await formatter.checkFiles('**/*.js', { sandbox, modified: true });
+
+      expect(result.violations.map((v) => path.relative(repo, v.file))).toEqual([
+        path.join('src', 'committed.js'),
+        path.join('src', 'staged.js'),
+        path.join('src', 'untracked.js'),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const fs = require('fs').promises;
+const path = require('path');
+const editorconfig = require('editorconfig');
+const ignore = require('ignore');
+
+// Project file holding extra ignore rules, in gitignore syntax
+const IGNORE_FILE = '.editorconfigignore';
+
+// Rules applied to glob matches unless a git selection already decided what to include
+const DEFAULT_IGNORE = ['node_modules/', '.git/', '.editorconfig-mcp/', '*.log'];
+
+// Git's heuristic: a NUL byte in the first 8000 bytes marks a file as binary
+const BINARY_SNIFF_BYTES = 8000;
+
+// UTF-16 text is full of NUL bytes; its byte order marks and charsets say it is text
+const UTF16_BOMS = [Buffer.from([0xff, 0xfe]), Buffer.from([0xfe, 0xff])];
+const UTF16_CHARSETS = ['utf-16le', 'utf-16be'];
+
+/**
+ * Whether a buffer looks like binary content rather than text. Content that
+ * starts with a UTF-16 byte order mark is text.
+ */
+function isBinary(contents) {
+  if (UTF16_BOMS.some((bom) => contents.subarray(0, bom.length).equals(bom))) {
+    return false;
+  }
+  return contents.subarray(0, BINARY_SNIFF_BYTES).includes(0);
+}
+
+// Whether .editorconfig gives the file a UTF-16 charset, for UTF-16 text without a BOM
+function hasUtf16Charset(filePath) {
+  return UTF16_CHARSETS.includes(String(editorconfig.parseSync(filePath).charset).toLowerCase());
+}
+
+// Rules from the project's .editorconfigignore, or none when it doesn't exist
+async function readIgnoreFile(root) {
+  try {
+    return (await fs.readFile(path.join(root, IGNORE_FILE), 'utf8')).split(/\r?\n/);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+// Drop blank lines and comments; keep gitignore's escaped leading `#`
+function significantRules(lines) {
+  return lines.map((line) => line.trim()).filter((line) => line && !line.startsWith('#'));
+}
+
+/**
+ * Build a matcher for the files under root that should not be formatted. Rules
+ * are applied in order: the default list (DEFAULT_IGNORE, the rules passed
+ * as `defaults`, or none when it is false), the
+ * project's .editorconfigignore, then the `exclude` list, so later rules can
+ * re-include files with `!`. The matcher takes a vinyl file and returns
+ * `{ source, rule }` for excluded files and null otherwise; source is
+ * `default`, `.editorconfigignore`, `exclude` or `binary` (see isBinary; files
+ * .editorconfig gives a UTF-16 charset are text). Directories (files
+ * whose isDirectory() is true) are matched against directory rules such as
+ * `node_modules/`.
+ */
+async function createIgnoreMatcher(root, { exclude = [], defaults = true } = {}) {
+  const defaultRules = defaults === true ? DEFAULT_IGNORE : defaults || [];
+  const rules = [
+    ...defaultRules.map((rule) => ({ source: 'default', rule })),
+    ...significantRules(await readIgnoreFile(root)).map((rule) => ({ source: IGNORE_FILE, rule })),
+    ...significantRules(exclude).map((rule) => ({ source: 'exclude', rule })),
+  ];
+
+  // One instance decides with full gitignore semantics; one per rule finds the rule to report
+  const combined = ignore().add(rules.map(({ rule }) => rule));
+  const single = rules.map((entry) => ({ ...entry, matcher: ignore().add(entry.rule) }));
+
+  return (file) => {
+    const relative = path.relative(root, file.path).split(path.sep).join('/');
+    if (relative && !relative.startsWith('../') && !path.isAbsolute(relative)) {
+      const key = file.isDirectory && file.isDirectory() ? `${relative}/` : relative;
+      const match =
+        combined.ignores(key) && single.filter(({ matcher }) => matcher.ignores(key)).pop();
+      if (match) {
+        return { source: match.source, rule: match.rule };
+      }
+    }
+    if (file.contents && isBinary(file.contents) && !hasUtf16Charset(file.path)) {
+      return { source: 'binary', rule: 'binary content' };
+    }
+    return null;
+  };
+}
+
+module.exports = { createIgnoreMatcher, isBinary, DEFAULT_IGNORE, IGNORE_FILE };
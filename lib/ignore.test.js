@@ -0,0 +1,201 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Vinyl = require('vinyl');
+const { createIgnoreMatcher, isBinary } = require('./ignore');
+const formatter = require('./formatter');
+
+describe('ignore rules', () => {
+  let root;
+
+  const file = (relative, contents = 'text\n') =>
+    new Vinyl({
+      cwd: root,
+      base: root,
+      path: path.join(root, relative),
+      contents: Buffer.from(contents),
+    });
+
+  beforeEach(async () => {
+    root = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'ignore-')));
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  describe('isBinary', () => {
+    it('should detect NUL bytes near the start of the content', () => {
+      expect(isBinary(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0x1a]))).toBe(true);
+      expect(isBinary(Buffer.from('plain text\n'))).toBe(false);
+      expect(isBinary(Buffer.concat([Buffer.alloc(9000, 'a'), Buffer.from([0])]))).toBe(false);
+    });
+
+    it('should take content with a UTF-16 byte order mark for text', () => {
+      expect(isBinary(Buffer.from('\uFEFFtext\n', 'utf16le'))).toBe(false);
+      expect(isBinary(Buffer.from('\uFFFEtext\n', 'utf16le'))).toBe(false);
+      expect(isBinary(Buffer.from('text\n', 'utf16le'))).toBe(true);
+    });
+  });
+
+  describe('createIgnoreMatcher', () => {
+    it('should report the default rule that excluded a file', async () => {
+      const isExcluded = await createIgnoreMatcher(root);
+
+      expect(isExcluded(file('debug.log'))).toEqual({ source: 'default', rule: '*.log' });
+      expect(isExcluded(file('node_modules/pkg/index.js'))).toEqual({
+        source: 'default',
+        rule: 'node_modules/',
+      });
+      expect(isExcluded(file('src/index.js'))).toBeNull();
+    });
+
+    it('should match directories against directory rules', async () => {
+      const isExcluded = await createIgnoreMatcher(root);
+      const directory = (relative) => ({
+        path: path.join(root, relative),
+        isDirectory: () => true,
+      });
+
+      expect(isExcluded(directory('node_modules'))).toEqual({
+        source: 'default',
+        rule: 'node_modules/',
+      });
+      expect(isExcluded(directory('src'))).toBeNull();
+    });
+
+    it('should skip the default rules when asked to', async () => {
+      const isExcluded = await createIgnoreMatcher(root, { defaults: false });
+
+      expect(isExcluded(file('debug.log'))).toBeNull();
+    });
+
+    it('should read .editorconfigignore with gitignore syntax', async () => {
+      await fs.writeFile(
+        path.join(root, '.editorconfigignore'),
+        '# generated\n__snapshots__/\n/vendor\n*.lock\n!keep.lock\n'
+      );
+      const isExcluded = await createIgnoreMatcher(root);
+
+      expect(isExcluded(file('src/__snapshots__/a.snap'))).toEqual({
+        source: '.editorconfigignore',
+        rule: '__snapshots__/',
+      });
+      expect(isExcluded(file('vendor/lib.js'))).toEqual({
+        source: '.editorconfigignore',
+        rule: '/vendor',
+      });
+      expect(isExcluded(file('src/vendor/lib.js'))).toBeNull();
+      expect(isExcluded(file('yarn.lock'))).toEqual({
+        source: '.editorconfigignore',
+        rule: '*.lock',
+      });
+      expect(isExcluded(file('keep.lock'))).toBeNull();
+    });
+
+    it('should apply exclude rules last so they can re-include files', async () => {
+      const isExcluded = await createIgnoreMatcher(root, { exclude: ['dist/**', '!keep.log'] });
+
+      expect(isExcluded(file('dist/app.js'))).toEqual({ source: 'exclude', rule: 'dist/**' });
+      expect(isExcluded(file('keep.log'))).toBeNull();
+      expect(isExcluded(file('other.log'))).toEqual({ source: 'default', rule: '*.log' });
+    });
+
+    it('should exclude binary content regardless of the extension', async () => {
+      const isExcluded = await createIgnoreMatcher(root);
+
+      expect(isExcluded(file('image.js', 'GIF89a\0\0'))).toEqual({
+        source: 'binary',
+        rule: 'binary content',
+      });
+    });
+
+    it('should keep files with a UTF-16 charset', async () => {
+      await fs.writeFile(path.join(root, '.editorconfig'), '[*.txt]\ncharset = utf-16le\n');
+      const isExcluded = await createIgnoreMatcher(root);
+      const text = file('notes.txt');
+      text.contents = Buffer.from('notes\n', 'utf16le');
+      const other = file('notes.js');
+      other.contents = Buffer.from('notes\n', 'utf16le');
+
+      expect(isExcluded(text)).toBeNull();
+      expect(isExcluded(other)).toEqual({ source: 'binary', rule: 'binary content' });
+    });
+
+    it('should only sniff files outside the root', async () => {
+      const isExcluded = await createIgnoreMatcher(root);
+      const outside = new Vinyl({
+        path: path.join(os.tmpdir(), 'elsewhere.log'),
+        contents: Buffer.from('text\n'),
+      });
+
+      expect(isExcluded(outside)).toBeNull();
+    });
+  });
+
+  describe('formatFiles and checkFiles', () => {
+    let sandbox;
+
+    beforeEach(async () => {
+      await fs.mkdir(path.join(root, 'src'));
+      await fs.mkdir(path.join(root, 'vendor'));
+      await fs.writeFile(
+        path.join(root, '.editorconfig'),
+        'root = true\n\n[*]\ninsert_final_newline = true\n'
+      );
+      await fs.writeFile(path.join(root, '.editorconfigignore'), 'vendor/\n');
+      await fs.writeFile(path.join(root, 'src', 'a.js'), 'const a = 1;');
+      await fs.writeFile(path.join(root, 'src', 'b.js'), 'const b = 2;');
+      await fs.writeFile(path.join(root, 'src', 'logo.png'), Buffer.from([0x89, 0x50, 0x00, 0x01]));
+      await fs.writeFile(path.join(root, 'vendor', 'lib.js'), 'const lib = 3;');
+      sandbox = formatter.createSandbox([root]);
+    });
+
+    it('should report which rule excluded each file and leave it untouched', async () => {
+      const events = [];
+      const result = await formatter.formatFiles('**/*', {
+        sandbox,
+        exclude: ['src/b.js'],
+        onProgress: (event) => events.push(event),
+      });
+
+      expect(result.changed).toEqual([path.join(root, 'src', 'a.js')]);
+      expect(result.excluded).toEqual(
+        expect.arrayContaining([
+          { file: path.join(root, 'src', 'b.js'), source: 'exclude', rule: 'src/b.js' },
+          { file: path.join(root, 'src', 'logo.png'), source: 'binary', rule: 'binary content' },
+          {
+            file: path.join(root, 'vendor', 'lib.js'),
+            source: '.editorconfigignore',
+            rule: 'vendor/',
+          },
+        ])
+      );
+      expect(result.excluded).toHaveLength(3);
+      expect(events.filter((event) => event.status === 'excluded')).toHaveLength(3);
+      expect(await fs.readFile(path.join(root, 'vendor', 'lib.js'), 'utf8')).toBe('const lib = 3;');
+    });
+
+    it('should only skip node_modules while an ignore rule excludes it', async () => {
+      await fs.mkdir(path.join(root, 'node_modules', 'pkg'), { recursive: true });
+      await fs.writeFile(path.join(root, 'node_modules', 'pkg', 'index.js'), 'const pkg = 4;');
+
+      const ignored = await formatter.checkFiles('node_modules/pkg/*.js', { sandbox });
+      const included = await formatter.checkFiles('node_modules/pkg/*.js', {
+        sandbox,
+        ignore: [],
+      });
+
+      expect(ignored.count).toBe(0);
+      expect(included.count).toBe(1);
+      expect(included.compliant).toBe(false);
+    });
+
+    it('should not count excluded files towards the file limit', async () => {
+      const result = await formatter.checkFiles('**/*.js', { sandbox, exclude: ['*.js', '!a.js'] });
+
+      expect(result.count).toBe(1);
+      expect(result.excluded.map((entry) => entry.source)).toEqual(['exclude', 'exclude']);
+    });
+  });
+});
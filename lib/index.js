@@ -0,0 +1,16 @@
+/**
+ * Programmatic API for formatting and checking files with .editorconfig rules.
+ * The HTTP and stdio servers are thin transports over these functions, so build
+ * scripts that require this module get exactly the same behaviour.
+ */
+const formatter = require('./formatter');
+const { loadConfig } = require('./config');
+const { loadPlugins } = require('./plugins');
+const { createWatchManager } = require('./watch');
+
+module.exports = {
+  ...formatter,
+  createWatchManager,
+  loadConfig,
+  loadPlugins,
+};
@@ -0,0 +1,161 @@
+const express = require('express');
+const { randomUUID } = require('crypto');
+const { createMcpSession, SUPPORTED_PROTOCOL_VERSIONS, INVALID_REQUEST } = require('./mcp');
+const { createWatchManager } = require('./watch');
+
+// Oldest sessions are dropped once this many are open
+const MAX_SESSIONS = 100;
+
+function sendJsonRpcError(res, status, code, message, id = null) {
+  return res.status(status).json({ jsonrpc: '2.0', id, error: { code, message } });
+}
+
+// Browsers may only reach the endpoint from loopback origins (DNS rebinding protection)
+function isAllowedOrigin(origin) {
+  if (!origin) {
+    return true;
+  }
+  try {
+    return ['localhost', '127.0.0.1', '[::1]'].includes(new URL(origin).hostname);
+  } catch {
+    return false;
+  }
+}
+
+// Answer with an SSE stream only when the client can read one and asked for progress
+function wantsEventStream(req, message) {
+  const accept = req.get('Accept') || '';
+  const meta = message.params && message.params._meta;
+  return accept.includes('text/event-stream') && meta && meta.progressToken !== undefined;
+}
+
+function writeEvent(res, message) {
+  res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+/**
+ * Express router implementing the MCP Streamable HTTP transport: JSON-RPC
+ * over POST, answered as JSON or as an SSE stream, with Mcp-Session-Id based
+ * sessions. Every session gets its own createMcpSession instance, so the
+ * same tools and lifecycle as the stdio server are served. Server-initiated
+ * streams are not offered, so watches started through this endpoint live in
+ * the shared `watches` manager and outlast the session that started them.
+ * Every session shares the server settings in `config` (see loadConfig) and
+ * its `workspaces` (see createWorkspaces).
+ * When the server authenticates requests, `req.client` (see createAuth)
+ * limits a session to the sandbox, tools and watches of the client that
+ * opened it, and only that client may use it.
+ */
+function createMcpRouter({
+  config,
+  sandbox,
+  workspaces,
+  watches = createWatchManager({ sandbox, ignore: config && config.settings.ignore }),
+} = {}) {
+  const router = express.Router();
+  const sessions = new Map();
+
+  function openSession(client) {
+    if (sessions.size >= MAX_SESSIONS) {
+      sessions.delete(sessions.keys().next().value);
+    }
+    const sessionId = randomUUID();
+    const session = createMcpSession({
+      send: () => {},
+      config,
+      sandbox: client ? client.sandbox : sandbox,
+      workspaces,
+      watches: client ? client.watches : watches,
+      ...(client && { tools: client.tools, client: client.name }),
+    });
+    sessions.set(sessionId, { session, client });
+    return sessionId;
+  }
+
+  router.use((req, res, next) => {
+    if (!isAllowedOrigin(req.get('Origin'))) {
+      return sendJsonRpcError(res, 403, INVALID_REQUEST, 'Origin not allowed');
+    }
+    const protocolVersion = req.get('MCP-Protocol-Version');
+    if (protocolVersion && !SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+      return sendJsonRpcError(
+        res,
+        400,
+        INVALID_REQUEST,
+        `Unsupported protocol version: ${protocolVersion}`
+      );
+    }
+    next();
+  });
+
+  router.post('/', async (req, res) => {
+    const message = req.body;
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      return sendJsonRpcError(res, 400, INVALID_REQUEST, 'Expected a single JSON-RPC message');
+    }
+
+    let sessionId = req.get('Mcp-Session-Id');
+    if (message.method === 'initialize') {
+      sessionId = openSession(req.client);
+      res.set('Mcp-Session-Id', sessionId);
+    } else if (!sessionId) {
+      return sendJsonRpcError(res, 400, INVALID_REQUEST, 'Missing Mcp-Session-Id header');
+    }
+
+    // Other clients' sessions are reported as unknown
+    const entry = sessions.get(sessionId);
+    if (!entry || entry.client !== req.client) {
+      return sendJsonRpcError(res, 404, INVALID_REQUEST, 'Session not found', message.id);
+    }
+    const { session } = entry;
+
+    // Notifications and client responses are acknowledged without a body
+    if (message.id === undefined || message.method === undefined) {
+      await session.handleMessage(message, { send: () => {} });
+      return res.status(202).end();
+    }
+
+    if (wantsEventStream(req, message)) {
+      res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+      });
+      res.flushHeaders();
+      await session.handleMessage(message, { send: (reply) => writeEvent(res, reply) });
+      return res.end();
+    }
+
+    await session.handleMessage(message, {
+      send: (reply) => {
+        if (reply.id === message.id) {
+          res.json(reply);
+        }
+      },
+    });
+    if (!res.headersSent) {
+      // Cancelled requests get no JSON-RPC response
+      res.status(204).end();
+    }
+  });
+
+  // Server-initiated streams are not offered
+  router.get('/', (req, res) => {
+    res.set('Allow', 'POST, DELETE');
+    sendJsonRpcError(res, 405, INVALID_REQUEST, 'Method not allowed');
+  });
+
+  router.delete('/', (req, res) => {
+    const sessionId = req.get('Mcp-Session-Id');
+    const entry = sessions.get(sessionId);
+    if (!entry || entry.client !== req.client) {
+      return sendJsonRpcError(res, 404, INVALID_REQUEST, 'Session not found');
+    }
+    sessions.delete(sessionId);
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = { createMcpRouter };
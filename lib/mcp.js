@@ -0,0 +1,732 @@
+const formatter = require('./formatter');
+const { loadConfig, parseSize, redactConfig, runOptions, TOOL_NAMES } = require('./config');
+const { FormatterError } = require('./errors');
+const { createSandbox } = require('./sandbox');
+const watch = require('./watch');
+const { allowedRoots, createWorkspaces } = require('./workspace');
+const { version } = require('../package.json');
+
+// Newest first. The first entry is offered when the client asks for a version we don't know.
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// JSON-RPC error codes
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+// notifications/message severities, least severe first (RFC 5424 names)
+const LOG_LEVELS = [
+  'debug',
+  'info',
+  'notice',
+  'warning',
+  'error',
+  'critical',
+  'alert',
+  'emergency',
+];
+
+// Logger name on the notifications/message sent for watch events
+const WATCH_LOGGER = 'watch';
+
+// File selection, cache and concurrency arguments shared by format_files and check_files
+const FILE_SELECTION_PROPERTIES = {
+  staged: {
+    type: 'boolean',
+    description: 'Only files with staged changes',
+    default: false,
+  },
+  modified: {
+    type: 'boolean',
+    description: 'Only files changed in the working tree vs HEAD, including untracked files',
+    default: false,
+  },
+  since: {
+    type: 'string',
+    description: 'Only files changed since this git ref (branch, tag or commit)',
+  },
+  tracked_only: {
+    type: 'boolean',
+    description: 'Only files tracked by git',
+    default: false,
+  },
+  exclude: {
+    type: 'array',
+    items: { type: 'string' },
+    description:
+      'Extra ignore rules in gitignore syntax, applied after the defaults and .editorconfigignore',
+  },
+  limit: {
+    type: 'integer',
+    minimum: 1,
+    maximum: formatter.MAX_FILES,
+    description: 'Maximum number of files to process in this batch',
+    default: formatter.MAX_FILES,
+  },
+  cursor: {
+    type: 'string',
+    description: 'next_cursor from the previous batch, to continue where it stopped',
+  },
+  cache: {
+    type: 'boolean',
+    description:
+      'Reuse results for files whose contents and .editorconfig rules are unchanged since an earlier run',
+    default: true,
+  },
+  concurrency: {
+    type: 'integer',
+    minimum: 1,
+    maximum: formatter.MAX_CONCURRENCY,
+    description: 'Number of files processed in parallel on worker threads',
+  },
+};
+
+// Output format argument of check_file and check_files
+const REPORT_FORMAT_PROPERTY = {
+  type: 'string',
+  enum: formatter.REPORT_FORMATS,
+  description:
+    'Also return the violations in `report`, as a SARIF 2.1.0 log (sarif) or JUnit XML (junit)',
+  default: 'json',
+};
+
+// Workspace argument of every tool that works on files
+const WORKSPACE_PROPERTY = {
+  type: 'string',
+  description:
+    'Name of the workspace (see list_workspaces) to work in; paths and patterns are relative to its root',
+};
+
+const PRETTIER_PROPERTY = {
+  type: 'boolean',
+  description:
+    'Also format with the Prettier installed in the project, after the editorconfig pass',
+  default: false,
+};
+
+const TOOLS = [
+  {
+    name: 'format_file',
+    description: 'Format a single file using .editorconfig rules',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        workspace: WORKSPACE_PROPERTY,
+        file_path: {
+          type: 'string',
+          description: 'Path to the file to format',
+        },
+        dry_run: {
+          type: 'boolean',
+          description: 'Return a unified diff of the changes instead of writing the file',
+          default: false,
+        },
+        prettier: PRETTIER_PROPERTY,
+      },
+      required: ['file_path'],
+    },
+  },
+  {
+    name: 'format_files',
+    description: 'Format multiple files matching a pattern',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        workspace: WORKSPACE_PROPERTY,
+        pattern: {
+          type: 'string',
+          description: 'Glob pattern for files to format',
+          default: '**/*',
+        },
+        dry_run: {
+          type: 'boolean',
+          description: 'Return unified diffs of the changes instead of writing files',
+          default: false,
+        },
+        prettier: PRETTIER_PROPERTY,
+        ...FILE_SELECTION_PROPERTIES,
+      },
+    },
+  },
+  {
+    name: 'format_content',
+    description:
+      'Format in-memory content using the .editorconfig rules that apply to a virtual path',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        workspace: WORKSPACE_PROPERTY,
+        content: {
+          type: 'string',
+          description: 'Text to format (at most bodyLimit, 1mb by default)',
+        },
+        file_path: {
+          type: 'string',
+          description:
+            'Virtual path used to resolve .editorconfig sections; the file need not exist',
+        },
+      },
+      required: ['content', 'file_path'],
+    },
+  },
+  {
+    name: 'check_file',
+    description: 'Report .editorconfig violations in a single file without modifying it',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        workspace: WORKSPACE_PROPERTY,
+        file_path: {
+          type: 'string',
+          description: 'Path to the file to check',
+        },
+        report_format: REPORT_FORMAT_PROPERTY,
+      },
+      required: ['file_path'],
+    },
+  },
+  {
+    name: 'check_files',
+    description:
+      'Report .editorconfig violations in files matching a pattern without modifying them',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        workspace: WORKSPACE_PROPERTY,
+        pattern: {
+          type: 'string',
+          description: 'Glob pattern for files to check',
+          default: '**/*',
+        },
+        report_format: REPORT_FORMAT_PROPERTY,
+        ...FILE_SELECTION_PROPERTIES,
+      },
+    },
+  },
+  {
+    name: 'resolve_config',
+    description: 'Explain which .editorconfig files and sections supply each property for a path',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        workspace: WORKSPACE_PROPERTY,
+        file_path: {
+          type: 'string',
+          description: 'Path to resolve; the file need not exist',
+        },
+      },
+      required: ['file_path'],
+    },
+  },
+  {
+    name: 'revert_format',
+    description: 'Restore the files changed by an earlier format_file or format_files run',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        workspace: WORKSPACE_PROPERTY,
+        operation_id: {
+          type: 'string',
+          description: 'operation_id returned by format_file or format_files',
+        },
+        force: {
+          type: 'boolean',
+          description: 'Also restore files that were edited after formatting',
+          default: false,
+        },
+      },
+      required: ['operation_id'],
+    },
+  },
+  {
+    name: 'list_operations',
+    description: 'List recent formatting runs that can be reverted, newest first',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        workspace: WORKSPACE_PROPERTY,
+        limit: {
+          type: 'integer',
+          minimum: 1,
+          maximum: formatter.MAX_OPERATIONS,
+          description: 'Maximum number of operations to return',
+          default: formatter.MAX_OPERATIONS,
+        },
+      },
+    },
+  },
+  {
+    name: 'start_watch',
+    description:
+      'Format or check matching files automatically shortly after they are written; ' +
+      'events and results are sent as notifications/message (logger "watch")',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        workspace: WORKSPACE_PROPERTY,
+        patterns: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Glob patterns for files to watch',
+          default: ['**/*'],
+        },
+        mode: {
+          type: 'string',
+          enum: ['format', 'check'],
+          description: 'Format files in place, or only report violations',
+          default: 'format',
+        },
+        debounce_ms: {
+          type: 'integer',
+          minimum: watch.MIN_DEBOUNCE_MS,
+          maximum: watch.MAX_DEBOUNCE_MS,
+          description: 'Wait this long after the last write to a file before processing it',
+          default: watch.DEFAULT_DEBOUNCE_MS,
+        },
+        exclude: FILE_SELECTION_PROPERTIES.exclude,
+      },
+    },
+  },
+  {
+    name: 'stop_watch',
+    description: 'Stop a watch started with start_watch',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        watch_id: {
+          type: 'string',
+          description: 'watch_id returned by start_watch',
+        },
+      },
+      required: ['watch_id'],
+    },
+  },
+  {
+    name: 'get_server_config',
+    description:
+      'Return the effective server settings and where each one came from (default, package.json, config file, env or argv)',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+  },
+  {
+    name: 'list_workspaces',
+    description:
+      'List the named workspaces that tools accept as their workspace argument, with their roots',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+  },
+];
+
+// Tools whose limit argument is capped by the maxFiles setting
+const BATCHED_TOOLS = ['format_files', 'check_files'];
+
+// Tool definitions with the limit argument adjusted to the configured file cap
+function listTools({ maxFiles }) {
+  return TOOLS.map((tool) => {
+    if (!BATCHED_TOOLS.includes(tool.name)) {
+      return tool;
+    }
+    const { properties } = tool.inputSchema;
+    const limit = { ...properties.limit, maximum: maxFiles, default: maxFiles };
+    return { ...tool, inputSchema: { ...tool.inputSchema, properties: { ...properties, limit } } };
+  });
+}
+
+/**
+ * Error that is reported to the client as a JSON-RPC error rather than as a
+ * failed tool result (unknown tools, malformed arguments, ...).
+ */
+class ProtocolError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'ProtocolError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+function toolFailure(error) {
+  const failure = {
+    success: false,
+    error: error.code || 'PROCESSING_FAILED',
+    message: error.message,
+  };
+  return {
+    content: [{ type: 'text', text: JSON.stringify(failure, null, 2) }],
+    isError: true,
+  };
+}
+
+function requireArgument(args, name, type = 'string') {
+  if (typeof args[name] !== type || (type === 'string' && !args[name])) {
+    throw new ProtocolError(INVALID_PARAMS, 'Invalid params', `Missing ${name}`);
+  }
+}
+
+// Map the file selection arguments onto formatter options, on top of the configured ones
+// and the ignore rules of the workspace
+function fileSelection(args, settings, ignore) {
+  return {
+    ...runOptions(settings),
+    ignore,
+    staged: args.staged,
+    modified: args.modified,
+    since: args.since,
+    trackedOnly: args.tracked_only,
+    exclude: args.exclude,
+    limit: args.limit,
+    cursor: args.cursor,
+    cache: args.cache,
+    ...(args.concurrency !== undefined && { concurrency: args.concurrency }),
+  };
+}
+
+// Run a tool through the formatting core, in the named workspace or the caller's sandbox
+function callTool(
+  name,
+  args,
+  { sandbox: own, client, config, workspaces, signal, onProgress, watches }
+) {
+  const { settings } = config;
+  const { sandbox, ignore } = workspaces.resolve(own, args.workspace);
+  switch (name) {
+    case 'format_file':
+      requireArgument(args, 'file_path');
+      return formatter.formatFile(args.file_path, {
+        dryRun: args.dry_run,
+        prettier: args.prettier,
+        sandbox,
+        plugins: settings.plugins,
+      });
+
+    case 'format_files':
+      return formatter.formatFiles(args.pattern, {
+        dryRun: args.dry_run,
+        prettier: args.prettier,
+        ...fileSelection(args, settings, ignore),
+        sandbox,
+        signal,
+        onProgress,
+      });
+
+    case 'format_content':
+      requireArgument(args, 'content');
+      requireArgument(args, 'file_path');
+      return formatter.formatContent(args.content, args.file_path, {
+        maxBytes: parseSize(settings.bodyLimit),
+        sandbox,
+        plugins: settings.plugins,
+      });
+
+    case 'check_file':
+      requireArgument(args, 'file_path');
+      return formatter.checkFile(args.file_path, {
+        reportFormat: args.report_format,
+        sandbox,
+        plugins: settings.plugins,
+      });
+
+    case 'check_files':
+      return formatter.checkFiles(args.pattern, {
+        reportFormat: args.report_format,
+        ...fileSelection(args, settings, ignore),
+        sandbox,
+        signal,
+        onProgress,
+      });
+
+    case 'resolve_config':
+      requireArgument(args, 'file_path');
+      return formatter.resolveConfig(args.file_path, { sandbox });
+
+    case 'revert_format':
+      requireArgument(args, 'operation_id');
+      return formatter.revertFormat(args.operation_id, { force: args.force, sandbox });
+
+    case 'list_operations':
+      return formatter.listOperations({ limit: args.limit, sandbox });
+
+    case 'start_watch':
+      return watches.start({
+        patterns: args.patterns,
+        mode: args.mode,
+        debounceMs: args.debounce_ms,
+        exclude: args.exclude,
+        workspace: args.workspace,
+        sandbox,
+        ignore,
+      });
+
+    case 'stop_watch':
+      requireArgument(args, 'watch_id');
+      return watches.stop(args.watch_id);
+
+    case 'get_server_config':
+      return { success: true, ...redactConfig(config, { client, sandbox: own }) };
+
+    case 'list_workspaces':
+      return { success: true, default_root: own.cwd, workspaces: workspaces.list(own) };
+
+    default:
+      throw new ProtocolError(INVALID_PARAMS, 'Invalid params', `Unknown tool: ${name}`);
+  }
+}
+
+// Severity of the notification for a watch event
+function watchEventLevel({ event, result }) {
+  if (event === 'error') {
+    return 'error';
+  }
+  if (event === 'change') {
+    return 'debug';
+  }
+  return result.compliant === false ? 'warning' : 'info';
+}
+
+/**
+ * Create a transport-independent MCP session. `send` is called with every
+ * outgoing JSON-RPC message; handleMessage processes one incoming message and
+ * resolves once any response has been sent. Transports that answer each
+ * request on its own channel (Streamable HTTP) pass a per-message `send`.
+ * Watches report through notifications/message on `send` unless the
+ * transport passes a shared `watches` manager. startWatch() starts one
+ * without a tool call (the --watch flag); close() stops the session's own
+ * watches. `config` holds the server settings (see loadConfig); the sandbox
+ * defaults to its roots and those of its workspaces. Only the tools named in
+ * `tools` are listed and may be called; `client` names the client the
+ * session serves, if any.
+ */
+function createMcpSession({
+  send,
+  config = loadConfig(),
+  sandbox = createSandbox(allowedRoots(config.settings)),
+  workspaces = createWorkspaces(config.settings),
+  watches,
+  tools = TOOL_NAMES,
+  client = null,
+}) {
+  // AbortControllers for in-flight requests, keyed by request id
+  const inFlight = new Map();
+
+  // Everything is sent until the client asks for less with logging/setLevel
+  let logLevel = LOG_LEVELS[0];
+
+  function log(level, logger, data) {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(logLevel)) {
+      return;
+    }
+    send({ jsonrpc: '2.0', method: 'notifications/message', params: { level, logger, data } });
+  }
+
+  const ownWatches = !watches;
+  const watchManager =
+    watches ||
+    watch.createWatchManager({
+      sandbox,
+      ignore: config.settings.ignore,
+      plugins: config.settings.plugins,
+      onEvent: (event) => log(watchEventLevel(event), WATCH_LOGGER, event),
+    });
+
+  function respond(reply, id, result) {
+    reply({ jsonrpc: '2.0', id, result });
+  }
+
+  function respondError(reply, id, code, message, data) {
+    reply({ jsonrpc: '2.0', id, error: { code, message, data } });
+  }
+
+  function negotiateVersion(requested) {
+    return SUPPORTED_PROTOCOL_VERSIONS.includes(requested)
+      ? requested
+      : SUPPORTED_PROTOCOL_VERSIONS[0];
+  }
+
+  function handleNotification(method, params) {
+    switch (method) {
+      case 'notifications/cancelled': {
+        const controller = inFlight.get(params && params.requestId);
+        if (controller) {
+          controller.abort();
+        }
+        break;
+      }
+
+      default:
+        // notifications/initialized and anything we don't know: never reply
+        break;
+    }
+  }
+
+  // Emit notifications/progress for every file when the client sent a progressToken
+  function progressReporter(params, reply) {
+    const progressToken = params._meta && params._meta.progressToken;
+    if (progressToken === undefined) {
+      return undefined;
+    }
+    let progress = 0;
+    const describe = ({ file, status, reason, source, rule }) => {
+      switch (status) {
+        case 'skipped':
+          return `Skipped ${file} (${reason})`;
+        case 'excluded':
+          return `Excluded ${file} (${source}: ${rule})`;
+        default:
+          return `Processed ${file}`;
+      }
+    };
+    return (event) => {
+      progress++;
+      reply({
+        jsonrpc: '2.0',
+        method: 'notifications/progress',
+        params: {
+          progressToken,
+          progress,
+          message: describe(event),
+        },
+      });
+    };
+  }
+
+  async function handleToolCall(id, params, reply) {
+    if (!params || !params.name) {
+      throw new ProtocolError(INVALID_PARAMS, 'Invalid params', 'Missing tool name');
+    }
+
+    if (TOOL_NAMES.includes(params.name) && !tools.includes(params.name)) {
+      return toolFailure(
+        new FormatterError('FORBIDDEN_TOOL', `Tool not allowed for this client: ${params.name}`)
+      );
+    }
+
+    const controller = new AbortController();
+    inFlight.set(id, controller);
+    let result;
+    try {
+      result = await callTool(params.name, params.arguments || {}, {
+        sandbox,
+        client,
+        config,
+        workspaces,
+        signal: controller.signal,
+        onProgress: progressReporter(params, reply),
+        watches: watchManager,
+      });
+    } catch (error) {
+      if (error instanceof ProtocolError) {
+        throw error;
+      }
+      if (!controller.signal.aborted) {
+        // Tool failures are results the model can see, not protocol errors
+        return toolFailure(error);
+      }
+    } finally {
+      inFlight.delete(id);
+    }
+
+    if (controller.signal.aborted) {
+      throw new FormatterError('CANCELLED', 'Operation cancelled');
+    }
+    return {
+      content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+    };
+  }
+
+  async function handleRequest(id, method, params, reply) {
+    switch (method) {
+      case 'initialize':
+        return {
+          protocolVersion: negotiateVersion(params && params.protocolVersion),
+          capabilities: {
+            tools: { listChanged: false },
+            logging: {},
+          },
+          serverInfo: {
+            name: 'editorconfig-mcp-server',
+            version,
+          },
+        };
+
+      case 'ping':
+        return {};
+
+      case 'logging/setLevel':
+        if (!LOG_LEVELS.includes(params && params.level)) {
+          throw new ProtocolError(INVALID_PARAMS, 'Invalid params', 'Unknown log level');
+        }
+        logLevel = params.level;
+        return {};
+
+      case 'tools/list':
+        return { tools: listTools(config.settings).filter(({ name }) => tools.includes(name)) };
+
+      case 'tools/call':
+        return handleToolCall(id, params, reply);
+
+      default:
+        throw new ProtocolError(METHOD_NOT_FOUND, 'Method not found', `Unknown method: ${method}`);
+    }
+  }
+
+  async function handleMessage(message, { send: reply = send } = {}) {
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      respondError(
+        reply,
+        null,
+        INVALID_REQUEST,
+        'Invalid Request',
+        'Expected a JSON-RPC 2.0 object'
+      );
+      return;
+    }
+
+    const { jsonrpc, id, method, params } = message;
+    const isNotification = id === undefined;
+
+    if (jsonrpc !== '2.0' || typeof method !== 'string') {
+      // Responses from the client (we never send requests) and malformed notifications are dropped
+      if (!isNotification && method !== undefined) {
+        respondError(reply, id, INVALID_REQUEST, 'Invalid Request', 'Must be JSON-RPC 2.0');
+      }
+      return;
+    }
+
+    if (isNotification) {
+      handleNotification(method, params);
+      return;
+    }
+
+    try {
+      respond(reply, id, await handleRequest(id, method, params, reply));
+    } catch (error) {
+      if (error.code === 'CANCELLED') {
+        // The client no longer expects a response to a cancelled request
+        return;
+      }
+      if (error instanceof ProtocolError) {
+        respondError(reply, id, error.code, error.message, error.data);
+        return;
+      }
+      respondError(reply, id, INTERNAL_ERROR, 'Internal error', error.message);
+    }
+  }
+
+  function close() {
+    return ownWatches ? watchManager.closeAll() : Promise.resolve();
+  }
+
+  return { handleMessage, startWatch: watchManager.start, close };
+}
+
+module.exports = {
+  createMcpSession,
+  INVALID_REQUEST,
+  TOOLS,
+  SUPPORTED_PROTOCOL_VERSIONS,
+};
@@ -0,0 +1,351 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { loadConfig, TOOL_NAMES } = require('./config');
+const { createMcpSession, SUPPORTED_PROTOCOL_VERSIONS, TOOLS } = require('./mcp');
+const { createSandbox } = require('./sandbox');
+
+describe('MCP session', () => {
+  let tmp;
+  let sent;
+  let session;
+
+  beforeEach(async () => {
+    tmp = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-')));
+    await fs.writeFile(
+      path.join(tmp, '.editorconfig'),
+      'root = true\n[*]\ntrim_trailing_whitespace = true\n'
+    );
+    await fs.writeFile(path.join(tmp, 'a.js'), 'const a = 1;  \n');
+    sent = [];
+    session = createMcpSession({
+      send: (message) => sent.push(message),
+      sandbox: createSandbox([tmp]),
+    });
+  });
+
+  afterEach(async () => {
+    await session.close();
+    await fs.rm(tmp, { recursive: true, force: true });
+  });
+
+  async function call(id, method, params) {
+    await session.handleMessage({ jsonrpc: '2.0', id, method, params });
+    return sent.find((message) => message.id === id);
+  }
+
+  describe('initialize', () => {
+    it('should accept a supported protocol version', async () => {
+      const response = await call(1, 'initialize', { protocolVersion: '2024-11-05' });
+
+      expect(response.result.protocolVersion).toBe('2024-11-05');
+      expect(response.result.capabilities).toHaveProperty('tools');
+      expect(response.result.serverInfo.name).toBe('editorconfig-mcp-server');
+    });
+
+    it('should offer the latest version for unknown versions', async () => {
+      const response = await call(1, 'initialize', { protocolVersion: '1999-01-01' });
+
+      expect(response.result.protocolVersion).toBe(SUPPORTED_PROTOCOL_VERSIONS[0]);
+    });
+  });
+
+  it('should answer ping with an empty result', async () => {
+    expect(await call(7, 'ping')).toEqual({ jsonrpc: '2.0', id: 7, result: {} });
+  });
+
+  it('should never respond to notifications', async () => {
+    await session.handleMessage({ jsonrpc: '2.0', method: 'notifications/initialized' });
+    await session.handleMessage({ jsonrpc: '2.0', method: 'notifications/unknown' });
+    await session.handleMessage({ jsonrpc: '2.0', method: 'notifications/cancelled' });
+
+    expect(sent).toEqual([]);
+  });
+
+  it('should reject unknown methods', async () => {
+    const response = await call(2, 'resources/list');
+
+    expect(response.error).toMatchObject({ code: -32601, message: 'Method not found' });
+  });
+
+  it('should reject unknown tools as a protocol error', async () => {
+    const response = await call(3, 'tools/call', { name: 'nope', arguments: {} });
+
+    expect(response.error).toMatchObject({ code: -32602, data: 'Unknown tool: nope' });
+  });
+
+  it('should report tool failures as isError results', async () => {
+    const response = await call(4, 'tools/call', {
+      name: 'format_file',
+      arguments: { file_path: 'missing.js' },
+    });
+
+    expect(response.result.isError).toBe(true);
+    expect(JSON.parse(response.result.content[0].text)).toEqual({
+      success: false,
+      error: 'FILE_NOT_FOUND',
+      message: 'File not found: missing.js',
+    });
+  });
+
+  it('should return tool results as text content', async () => {
+    const response = await call(5, 'tools/call', {
+      name: 'check_files',
+      arguments: { pattern: '*.js' },
+    });
+
+    expect(response.result.isError).toBeUndefined();
+    expect(JSON.parse(response.result.content[0].text)).toMatchObject({
+      success: true,
+      count: 1,
+      compliant: false,
+    });
+  });
+
+  it('should include the requested report with check results', async () => {
+    const sarif = await call(20, 'tools/call', {
+      name: 'check_file',
+      arguments: { file_path: 'a.js', report_format: 'sarif' },
+    });
+    const invalid = await call(21, 'tools/call', {
+      name: 'check_files',
+      arguments: { pattern: '*.js', report_format: 'html' },
+    });
+
+    const { report } = JSON.parse(sarif.result.content[0].text);
+    expect(report.runs[0].results).toEqual([
+      expect.objectContaining({ ruleId: 'trim_trailing_whitespace' }),
+    ]);
+    expect(invalid.result.isError).toBe(true);
+    expect(JSON.parse(invalid.result.content[0].text).error).toBe('INVALID_REPORT_FORMAT');
+  });
+
+  it('should apply and report the server settings', async () => {
+    const config = loadConfig({ argv: ['--max-files', '5'], env: {}, cwd: tmp });
+    await session.close();
+    session = createMcpSession({
+      send: (message) => sent.push(message),
+      config,
+      sandbox: createSandbox(config.settings.roots),
+    });
+
+    const list = await call(30, 'tools/list');
+    const result = await call(31, 'tools/call', { name: 'get_server_config', arguments: {} });
+
+    const checkFiles = list.result.tools.find((tool) => tool.name === 'check_files');
+    expect(checkFiles.inputSchema.properties.limit.maximum).toBe(5);
+    expect(JSON.parse(result.result.content[0].text)).toMatchObject({
+      success: true,
+      settings: { maxFiles: 5, roots: [tmp] },
+      sources: { maxFiles: 'argv', roots: 'default' },
+    });
+  });
+
+  it('should run tools in the workspace they name', async () => {
+    const other = path.join(tmp, 'other');
+    await fs.mkdir(other);
+    await fs.writeFile(path.join(other, '.editorconfig'), 'root = true\n[*]\nindent_style = tab\n');
+    await fs.writeFile(path.join(other, 'b.js'), 'if (b) {\n    b();\n}\n');
+    await fs.writeFile(
+      path.join(tmp, 'editorconfig-mcp.config.json'),
+      JSON.stringify({ workspaces: { other: 'other' } })
+    );
+    await session.close();
+    session = createMcpSession({
+      send: (message) => sent.push(message),
+      config: loadConfig({ env: {}, cwd: tmp }),
+    });
+
+    const list = await call(50, 'tools/call', { name: 'list_workspaces', arguments: {} });
+    const check = await call(51, 'tools/call', {
+      name: 'check_files',
+      arguments: { pattern: '*.js', workspace: 'other' },
+    });
+    const unknown = await call(52, 'tools/call', {
+      name: 'check_file',
+      arguments: { file_path: 'a.js', workspace: 'nope' },
+    });
+
+    expect(JSON.parse(list.result.content[0].text)).toEqual({
+      success: true,
+      default_root: tmp,
+      workspaces: [{ name: 'other', root: other, ignore: expect.any(Array) }],
+    });
+    expect(JSON.parse(check.result.content[0].text)).toMatchObject({
+      count: 1,
+      violations: [
+        expect.objectContaining({ file: path.join(other, 'b.js'), rule: 'indent_style' }),
+      ],
+    });
+    expect(JSON.parse(unknown.result.content[0].text).error).toBe('WORKSPACE_NOT_FOUND');
+  });
+
+  it('should run the configured plugins', async () => {
+    await fs.appendFile(path.join(tmp, '.editorconfig'), 'todo_comments = forbidden\n');
+    await fs.writeFile(path.join(tmp, 'b.js'), '// TODO later\n');
+    await fs.writeFile(
+      path.join(tmp, 'todo.js'),
+      `module.exports = {
+        properties: {
+          todo_comments: {
+            check: (value, { text }) =>
+              text.includes('TODO') ? [{ line: 1, column: 4, message: 'TODO comment' }] : [],
+          },
+        },
+      };`
+    );
+    await fs.writeFile(
+      path.join(tmp, 'editorconfig-mcp.config.json'),
+      JSON.stringify({ plugins: ['./todo'] })
+    );
+    await session.close();
+    session = createMcpSession({
+      send: (message) => sent.push(message),
+      config: loadConfig({ env: {}, cwd: tmp }),
+    });
+
+    const check = await call(53, 'tools/call', {
+      name: 'check_file',
+      arguments: { file_path: 'b.js' },
+    });
+
+    expect(JSON.parse(check.result.content[0].text).violations).toEqual([
+      {
+        file: path.join(tmp, 'b.js'),
+        line: 1,
+        column: 4,
+        rule: 'todo_comments',
+        message: 'TODO comment',
+      },
+    ]);
+  });
+
+  it('should report a missing Prettier as a tool error', async () => {
+    await fs.writeFile(path.join(tmp, 'c.js'), 'const c = 1;\n');
+
+    const response = await call(54, 'tools/call', {
+      name: 'format_file',
+      arguments: { file_path: 'c.js', prettier: true },
+    });
+
+    expect(response.result.isError).toBe(true);
+    expect(JSON.parse(response.result.content[0].text)).toMatchObject({
+      error: 'PRETTIER_NOT_FOUND',
+      message: `Prettier is not installed in ${tmp}`,
+    });
+  });
+
+  it('should only list and call the tools it was given', async () => {
+    await session.close();
+    session = createMcpSession({
+      send: (message) => sent.push(message),
+      sandbox: createSandbox([tmp]),
+      tools: ['check_file'],
+    });
+
+    const list = await call(40, 'tools/list');
+    const check = await call(41, 'tools/call', {
+      name: 'check_file',
+      arguments: { file_path: 'a.js' },
+    });
+    const format = await call(42, 'tools/call', {
+      name: 'format_file',
+      arguments: { file_path: 'a.js' },
+    });
+
+    expect(list.result.tools.map((tool) => tool.name)).toEqual(['check_file']);
+    expect(check.result.isError).toBeUndefined();
+    expect(format.result.isError).toBe(true);
+    expect(JSON.parse(format.result.content[0].text).error).toBe('FORBIDDEN_TOOL');
+    expect(TOOLS.map((tool) => tool.name)).toEqual(TOOL_NAMES);
+  });
+
+  it('should emit progress notifications when a progress token is sent', async () => {
+    await fs.writeFile(path.join(tmp, 'b.js'), 'const b = 2;\n');
+
+    const response = await call(8, 'tools/call', {
+      name: 'check_files',
+      arguments: { pattern: '*.js' },
+      _meta: { progressToken: 'tok' },
+    });
+
+    const progress = sent.filter((message) => message.method === 'notifications/progress');
+    expect(progress.map((message) => message.params.progress)).toEqual([1, 2]);
+    expect(progress[0].params).toMatchObject({
+      progressToken: 'tok',
+      message: expect.stringMatching(/^Processed .*\.js$/),
+    });
+    expect(sent.indexOf(response)).toBe(2);
+  });
+
+  it('should cancel in-flight runs without responding', async () => {
+    const pending = session.handleMessage({
+      jsonrpc: '2.0',
+      id: 6,
+      method: 'tools/call',
+      params: { name: 'format_files', arguments: { pattern: '*.js' } },
+    });
+    await session.handleMessage({
+      jsonrpc: '2.0',
+      method: 'notifications/cancelled',
+      params: { requestId: 6, reason: 'User gave up' },
+    });
+    await pending;
+
+    expect(sent).toEqual([]);
+    expect(await fs.readFile(path.join(tmp, 'a.js'), 'utf8')).toBe('const a = 1;  \n');
+  });
+
+  describe('watch', () => {
+    const notifications = () =>
+      sent.filter((message) => message.method === 'notifications/message');
+
+    async function waitForResult() {
+      const deadline = Date.now() + 3000;
+      while (!notifications().some(({ params }) => params.data.event === 'result')) {
+        if (Date.now() > deadline) {
+          throw new Error('No watch result notification');
+        }
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+    }
+
+    it('should send watch events as notifications/message', async () => {
+      const started = await call(1, 'tools/call', {
+        name: 'start_watch',
+        arguments: { patterns: ['*.js'], debounce_ms: 50 },
+      });
+      const { watch_id } = JSON.parse(started.result.content[0].text);
+
+      await fs.writeFile(path.join(tmp, 'a.js'), 'const a = 2;  \n');
+      await waitForResult();
+
+      expect(notifications().map(({ params }) => [params.level, params.data.event])).toEqual([
+        ['debug', 'change'],
+        ['info', 'result'],
+      ]);
+      expect(notifications()[1].params).toMatchObject({
+        logger: 'watch',
+        data: { watch_id, mode: 'format', result: { changed: true } },
+      });
+      expect(await fs.readFile(path.join(tmp, 'a.js'), 'utf8')).toBe('const a = 2;\n');
+
+      const stopped = await call(2, 'tools/call', { name: 'stop_watch', arguments: { watch_id } });
+      expect(JSON.parse(stopped.result.content[0].text)).toEqual({ success: true, watch_id });
+    });
+
+    it('should honor logging/setLevel', async () => {
+      expect(await call(1, 'logging/setLevel', { level: 'info' })).toMatchObject({ result: {} });
+      expect((await call(2, 'logging/setLevel', { level: 'loud' })).error.code).toBe(-32602);
+
+      await call(3, 'tools/call', {
+        name: 'start_watch',
+        arguments: { patterns: ['*.js'], debounce_ms: 50 },
+      });
+      await fs.writeFile(path.join(tmp, 'a.js'), 'const a = 2;  \n');
+      await waitForResult();
+
+      expect(notifications().map(({ params }) => params.data.event)).toEqual(['result']);
+    });
+  });
+});
@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { FormatterError } = require('./errors');
+const { ensureStateDir, writeJson, STATE_DIR } = require('./state');
+const { writeFileAtomic } = require('./write');
+
+// Snapshots live under the project root, in the state directory that git ignores
+const STORE_DIR = path.join(STATE_DIR, 'operations');
+
+// Operations kept on disk; older ones are pruned when a new one is recorded
+const MAX_OPERATIONS = 20;
+
+// Runs without a manifest may still be recording; they are only given up on once
+// nothing has been written to them for this long
+const ABANDONED_AFTER_MS = 24 * 60 * 60 * 1000;
+
+// Tool recorded for the writes of watches, which are kept apart from the other operations
+const WATCH_TOOL = 'watch';
+
+const MANIFEST = 'manifest.json';
+
+// Sortable ids: compact UTC timestamp plus a random suffix
+const OPERATION_ID = /^\d{8}T\d{9}Z-[0-9a-f]{6}$/;
+
+let lastTime = 0;
+
+function newOperationId() {
+  // Runs started within the same millisecond still sort in creation order
+  lastTime = Math.max(Date.now(), lastTime + 1);
+  const timestamp = new Date(lastTime).toISOString().replace(/[-:.]/g, '');
+  return `${timestamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function sha256(contents) {
+  return crypto.createHash('sha256').update(contents).digest('hex');
+}
+
+function storePath(root) {
+  return path.join(root, STORE_DIR);
+}
+
+async function readManifest(root, id) {
+  if (!OPERATION_ID.test(id)) {
+    throw new FormatterError('OPERATION_NOT_FOUND', `Unknown operation: ${id}`);
+  }
+  try {
+    return JSON.parse(await fs.readFile(path.join(storePath(root), id, MANIFEST), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new FormatterError('OPERATION_NOT_FOUND', `Unknown operation: ${id}`);
+    }
+    throw error;
+  }
+}
+
+function writeManifest(root, manifest) {
+  return writeJson(path.join(storePath(root), manifest.id, MANIFEST), manifest);
+}
+
+// Operation directories, newest first
+async function operationIds(root) {
+  let entries;
+  try {
+    entries = await fs.readdir(storePath(root));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+  return entries
+    .filter((entry) => OPERATION_ID.test(entry))
+    .sort()
+    .reverse();
+}
+
+// Whether an operation recorded the writes of a watch, or null while it has no manifest
+async function isWatchOperation(root, id) {
+  try {
+    return (await readManifest(root, id)).tool === WATCH_TOOL;
+  } catch {
+    return null;
+  }
+}
+
+// Whether a run without a manifest has not been written to for ABANDONED_AFTER_MS
+async function isAbandoned(root, id) {
+  try {
+    const { mtimeMs } = await fs.stat(path.join(storePath(root), id));
+    return Date.now() - mtimeMs > ABANDONED_AFTER_MS;
+  } catch {
+    return false;
+  }
+}
+
+// Drop everything beyond the newest MAX_OPERATIONS of the same kind as keep, and
+// abandoned runs. Runs still recording have no manifest yet and are left alone.
+// Watches write often, so they only ever push out their own operations, never
+// the runs a user asked for.
+async function prune(root, keep, tool) {
+  const watch = tool === WATCH_TOOL;
+  const ids = [];
+  const abandoned = [];
+  for (const id of await operationIds(root)) {
+    const kind = id === keep ? undefined : await isWatchOperation(root, id);
+    if (kind === watch) {
+      ids.push(id);
+    } else if (kind === null && (await isAbandoned(root, id))) {
+      abandoned.push(id);
+    }
+  }
+  await Promise.all(
+    [...ids.slice(MAX_OPERATIONS - 1), ...abandoned].map((id) =>
+      fs.rm(path.join(storePath(root), id), { recursive: true, force: true })
+    )
+  );
+}
+
+/**
+ * Start recording a formatting run. record() must be called with a file's
+ * original and formatted contents before the formatted contents are written;
+ * finish() saves the manifest and resolves with the operation id, or with
+ * undefined when no file was recorded.
+ */
+function createOperation(root, { tool, target }) {
+  const id = newOperationId();
+  const files = [];
+  let directory;
+
+  async function record(file, original, formatted) {
+    if (!directory) {
+      directory = path.join(await ensureStateDir(root, 'operations'), id);
+      await fs.mkdir(directory);
+    }
+    const snapshot = String(files.length);
+    files.push({ file, snapshot, formatted_sha256: sha256(formatted) });
+    await fs.writeFile(path.join(directory, snapshot), original);
+  }
+
+  async function finish() {
+    if (files.length === 0) {
+      return undefined;
+    }
+    await writeManifest(root, { id, created_at: new Date().toISOString(), tool, target, files });
+    await prune(root, id, tool);
+    return id;
+  }
+
+  return { record, finish };
+}
+
+/**
+ * Recent operations, newest first, without their file lists.
+ */
+async function listOperations(root, { limit = MAX_OPERATIONS } = {}) {
+  const operations = [];
+  for (const id of await operationIds(root)) {
+    if (operations.length >= limit) {
+      break;
+    }
+    let manifest;
+    try {
+      manifest = await readManifest(root, id);
+    } catch {
+      // Interrupted run without a manifest
+      continue;
+    }
+    operations.push({
+      id,
+      created_at: manifest.created_at,
+      tool: manifest.tool,
+      target: manifest.target,
+      file_count: manifest.files.length,
+      reverted_at: manifest.reverted_at,
+    });
+  }
+  return operations;
+}
+
+/**
+ * Restore the original contents recorded for an operation. Files edited
+ * since they were formatted are reported as conflicts and left alone unless
+ * `force` is set. `contains` guards against manifests pointing outside the
+ * sandbox.
+ */
+async function revertOperation(root, id, { force = false, contains }) {
+  const manifest = await readManifest(root, id);
+  if (manifest.reverted_at) {
+    throw new FormatterError(
+      'OPERATION_REVERTED',
+      `Operation ${id} was already reverted at ${manifest.reverted_at}`
+    );
+  }
+
+  const restored = [];
+  const conflicts = [];
+  for (const { file, snapshot, formatted_sha256 } of manifest.files) {
+    if (!(await contains(file))) {
+      conflicts.push({ file, reason: 'outside sandbox' });
+      continue;
+    }
+    const original = await fs.readFile(path.join(storePath(root), id, snapshot));
+    let current = null;
+    try {
+      current = await fs.readFile(file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    if (current !== null && current.equals(original)) {
+      // Never written (the write failed) or already restored by hand
+      restored.push(file);
+      continue;
+    }
+
+    let conflict = null;
+    if (current === null) {
+      conflict = 'deleted since formatting';
+    } else if (sha256(current) !== formatted_sha256) {
+      conflict = 'modified since formatting';
+    }
+    if (conflict && !force) {
+      conflicts.push({ file, reason: conflict });
+      continue;
+    }
+
+    if (current === null) {
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, original);
+    } else {
+      await writeFileAtomic(file, original);
+    }
+    restored.push(file);
+  }
+
+  if (conflicts.length === 0) {
+    await writeManifest(root, { ...manifest, reverted_at: new Date().toISOString() });
+  }
+  return { restored, conflicts };
+}
+
+module.exports = {
+  createOperation,
+  listOperations,
+  revertOperation,
+  MAX_OPERATIONS,
+  STORE_DIR,
+  WATCH_TOOL,
+};
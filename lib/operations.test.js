@@ -0,0 +1,170 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const operations = require('./operations');
+const formatter = require('./formatter');
+
+describe('operations', () => {
+  let root;
+  let sandbox;
+  let a;
+  let b;
+
+  beforeEach(async () => {
+    root = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'operations-')));
+    await fs.writeFile(
+      path.join(root, '.editorconfig'),
+      'root = true\n\n[*]\ninsert_final_newline = true\n'
+    );
+    a = path.join(root, 'a.js');
+    b = path.join(root, 'b.js');
+    await fs.writeFile(a, 'const a = 1;');
+    await fs.writeFile(b, 'const b = 2;');
+    sandbox = formatter.createSandbox([root]);
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('should restore the originals of a format_files run', async () => {
+    const { operation_id } = await formatter.formatFiles('*.js', { sandbox });
+
+    expect(await fs.readFile(a, 'utf8')).toBe('const a = 1;\n');
+    const result = await formatter.revertFormat(operation_id, { sandbox });
+
+    expect(result).toEqual({ success: true, operation_id, restored: [a, b] });
+    expect(await fs.readFile(a, 'utf8')).toBe('const a = 1;');
+    expect(await fs.readFile(b, 'utf8')).toBe('const b = 2;');
+  });
+
+  it('should keep snapshots out of git and out of later runs', async () => {
+    await formatter.formatFile('a.js', { sandbox });
+
+    expect(await fs.readFile(path.join(root, '.editorconfig-mcp', '.gitignore'), 'utf8')).toBe(
+      '*\n'
+    );
+    const result = await formatter.checkFiles('**/*', { sandbox });
+    expect(result.count).toBe(2);
+  });
+
+  it('should not record runs that changed nothing', async () => {
+    await formatter.formatFiles('*.js', { sandbox });
+    const second = await formatter.formatFiles('*.js', { sandbox });
+
+    expect(second.operation_id).toBeUndefined();
+    expect((await formatter.listOperations({ sandbox })).operations).toHaveLength(1);
+  });
+
+  it('should leave files edited after formatting alone unless forced', async () => {
+    const { operation_id } = await formatter.formatFiles('*.js', { sandbox });
+    await fs.writeFile(b, 'const b = 3;\n');
+
+    const result = await formatter.revertFormat(operation_id, { sandbox });
+
+    expect(result).toEqual({
+      success: false,
+      operation_id,
+      restored: [a],
+      conflicts: [{ file: b, reason: 'modified since formatting' }],
+    });
+    expect(await fs.readFile(b, 'utf8')).toBe('const b = 3;\n');
+
+    const forced = await formatter.revertFormat(operation_id, { sandbox, force: true });
+    expect(forced).toMatchObject({ success: true, restored: [a, b] });
+    expect(await fs.readFile(b, 'utf8')).toBe('const b = 2;');
+  });
+
+  it('should refuse to revert an operation twice', async () => {
+    const { operation_id } = await formatter.formatFile('a.js', { sandbox });
+    await formatter.revertFormat(operation_id, { sandbox });
+
+    await expect(formatter.revertFormat(operation_id, { sandbox })).rejects.toMatchObject({
+      code: 'OPERATION_REVERTED',
+    });
+  });
+
+  it('should reject unknown and malformed operation ids', async () => {
+    await expect(
+      formatter.revertFormat('20250101T000000000Z-abcdef', { sandbox })
+    ).rejects.toMatchObject({ code: 'OPERATION_NOT_FOUND' });
+    await expect(formatter.revertFormat('../../etc', { sandbox })).rejects.toMatchObject({
+      code: 'OPERATION_NOT_FOUND',
+    });
+  });
+
+  it('should list operations newest first with their file counts', async () => {
+    const first = await formatter.formatFile('a.js', { sandbox });
+    const second = await formatter.formatFiles('*.js', { sandbox });
+
+    const { operations: listed } = await formatter.listOperations({ sandbox });
+
+    expect(second.operation_id > first.operation_id).toBe(true);
+    expect(listed).toEqual([
+      {
+        id: second.operation_id,
+        created_at: expect.any(String),
+        tool: 'format_files',
+        target: '*.js',
+        file_count: 1,
+      },
+      {
+        id: first.operation_id,
+        created_at: expect.any(String),
+        tool: 'format_file',
+        target: 'a.js',
+        file_count: 1,
+      },
+    ]);
+  });
+
+  it('should only keep the newest operations', async () => {
+    const ids = [];
+    for (let i = 0; i < operations.MAX_OPERATIONS + 2; i++) {
+      const operation = operations.createOperation(root, { tool: 'format_file', target: 'a.js' });
+      await operation.record(a, Buffer.from(`v${i}`), Buffer.from(`v${i}\n`));
+      ids.push(await operation.finish());
+    }
+
+    const listed = await operations.listOperations(root);
+
+    expect(listed).toHaveLength(operations.MAX_OPERATIONS);
+    expect(listed.map((operation) => operation.id)).toEqual(ids.slice(2).reverse());
+  });
+
+  it('should leave runs that are still recording to finish', async () => {
+    const running = operations.createOperation(root, { tool: 'format_files', target: '*.js' });
+    await running.record(a, Buffer.from('const a = 1;'), Buffer.from('const a = 1;\n'));
+    for (let i = 0; i < operations.MAX_OPERATIONS + 2; i++) {
+      const operation = operations.createOperation(root, { tool: 'format_file', target: 'b.js' });
+      await operation.record(b, Buffer.from(`v${i}`), Buffer.from(`v${i}\n`));
+      await operation.finish();
+    }
+    await running.record(b, Buffer.from('const b = 2;'), Buffer.from('const b = 2;\n'));
+    const id = await running.finish();
+
+    await fs.writeFile(a, 'const a = 1;\n');
+    await fs.writeFile(b, 'const b = 2;\n');
+    await expect(formatter.revertFormat(id, { sandbox })).resolves.toMatchObject({
+      success: true,
+      restored: [a, b],
+    });
+    expect(await fs.readFile(a, 'utf8')).toBe('const a = 1;');
+  });
+
+  it('should drop runs abandoned without a manifest', async () => {
+    const abandoned = operations.createOperation(root, { tool: 'format_files', target: '*.js' });
+    await abandoned.record(a, Buffer.from('const a = 1;'), Buffer.from('const a = 1;\n'));
+    const store = path.join(root, '.editorconfig-mcp', 'operations');
+    const [directory] = await fs.readdir(store);
+    const past = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000);
+    await fs.utimes(path.join(store, directory), past, past);
+
+    const operation = operations.createOperation(root, { tool: 'format_file', target: 'b.js' });
+    await operation.record(b, Buffer.from('const b = 2;'), Buffer.from('const b = 2;\n'));
+    const id = await operation.finish();
+
+    expect(await fs.readdir(store)).toEqual(expect.not.arrayContaining([directory]));
+    expect(await fs.readdir(store)).toContain(id);
+  });
+});
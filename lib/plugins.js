@@ -0,0 +1,168 @@
+const path = require('path');
+const picomatch = require('picomatch');
+const { FormatterError } = require('./errors');
+
+// Properties eclint and the extended fixers handle; plugins cannot take them over
+const BUILT_IN_PROPERTIES = [
+  'root',
+  'charset',
+  'end_of_line',
+  'indent_style',
+  'indent_size',
+  'tab_width',
+  'insert_final_newline',
+  'trim_trailing_whitespace',
+  'max_line_length',
+];
+
+// editorconfig lowercases property names, so handlers must use lowercase ones
+const PROPERTY_NAME = /^[a-z0-9_]+$/;
+
+// Loaded plugin sets, by their list of module paths; worker threads each keep their own
+const loaded = new Map();
+
+function invalid(modulePath, message) {
+  return new FormatterError('INVALID_PLUGIN', `Invalid plugin ${modulePath}: ${message}`);
+}
+
+function isFunction(value) {
+  return typeof value === 'function';
+}
+
+// Validate one property handler and compile its file patterns
+function createHandler(plugin, modulePath, property, handler) {
+  if (!PROPERTY_NAME.test(property)) {
+    throw invalid(modulePath, `property ${property} must be lowercase`);
+  }
+  if (BUILT_IN_PROPERTIES.includes(property)) {
+    throw invalid(modulePath, `property ${property} is built in`);
+  }
+  if (!handler || !isFunction(handler.check) || (handler.fix && !isFunction(handler.fix))) {
+    throw invalid(modulePath, `${property} needs a check function, and fix must be one`);
+  }
+  const { files } = handler;
+  if (
+    files !== undefined &&
+    (!Array.isArray(files) || files.length === 0 || !files.every((f) => typeof f === 'string'))
+  ) {
+    throw invalid(modulePath, `files of ${property} must be a list of glob patterns`);
+  }
+  return {
+    plugin,
+    property,
+    check: handler.check,
+    fix: handler.fix,
+    matches: files ? picomatch(files, { basename: true, dot: true }) : () => true,
+  };
+}
+
+/**
+ * Load the plugin modules at the given paths (as resolved by loadConfig) and
+ * validate them. A plugin exports the EditorConfig properties it handles,
+ * each with a `check` function, an optional `fix` function and optional
+ * `files` glob patterns limiting it to some file types:
+ *
+ *   module.exports = {
+ *     name: 'quotes',
+ *     properties: {
+ *       quote_type: {
+ *         files: ['*.js', '*.ts'],
+ *         check: (value, { text, path }) => [{ line: 1, column: 7, message: '...' }],
+ *         fix: (value, { text, path }) => text,
+ *       },
+ *     },
+ *   };
+ *
+ * Both functions receive the value the property resolves to for the file
+ * and may return a promise. Throws INVALID_PLUGIN when a module does not
+ * follow this shape or two plugins handle the same property.
+ */
+function loadPlugins(modulePaths = []) {
+  const key = JSON.stringify(modulePaths);
+  if (loaded.has(key)) {
+    return loaded.get(key);
+  }
+  const handlers = [];
+  modulePaths.forEach((modulePath) => {
+    let plugin;
+    try {
+      plugin = require(modulePath);
+    } catch (error) {
+      throw invalid(modulePath, error.message);
+    }
+    if (!plugin || typeof plugin.properties !== 'object' || plugin.properties === null) {
+      throw invalid(modulePath, 'it must export an object of properties');
+    }
+    const name = typeof plugin.name === 'string' ? plugin.name : path.basename(modulePath);
+    Object.entries(plugin.properties).forEach(([property, handler]) => {
+      const taken = handlers.find((entry) => entry.property === property);
+      if (taken) {
+        throw invalid(modulePath, `property ${property} is already handled by ${taken.plugin}`);
+      }
+      handlers.push(createHandler(name, modulePath, property, handler));
+    });
+  });
+  const plugins = { paths: modulePaths, handlers };
+  loaded.set(key, plugins);
+  return plugins;
+}
+
+// A plugin that throws or breaks its contract on a file; the file is skipped
+// with the reason `plugin error: <name>: ...`
+function failed(handler, message) {
+  return new FormatterError('PLUGIN_FAILED', `${handler.plugin}: ${message}`);
+}
+
+// Call a check or fix of a plugin, blaming the plugin for whatever it throws
+async function call(handler, fn, value, context) {
+  try {
+    return await fn(value, context);
+  } catch (error) {
+    throw failed(handler, error.message);
+  }
+}
+
+// Violations returned by a check, as eclint-style errors of the property's rule
+function toErrors(handler, violations) {
+  if (!Array.isArray(violations)) {
+    throw failed(handler, `check of ${handler.property} must return a list`);
+  }
+  return violations.map(({ line, column, message, details }) => ({
+    lineNumber: line,
+    columnNumber: column || 1,
+    rule: handler.property,
+    message: String(message),
+    ...(details && { details }),
+  }));
+}
+
+/**
+ * Run the plugins whose properties are set for a file (in `properties`, as
+ * editorconfig resolves them) and whose `files` match its path relative to
+ * `cwd`. Fixing passes the text through each fix in turn; checking collects
+ * the violations of each check on the original text. Resolves
+ * `{ text, errors }`, or rejects with a PLUGIN_FAILED error naming the plugin.
+ */
+async function applyPlugins(plugins, mode, { text, filePath, cwd, properties }) {
+  const relative = path.relative(cwd, filePath).split(path.sep).join('/');
+  const errors = [];
+  let result = text;
+  for (const handler of plugins.handlers) {
+    const value = properties[handler.property];
+    if (value === undefined || value === 'unset' || !handler.matches(relative)) {
+      continue;
+    }
+    if (mode === 'check') {
+      const violations = await call(handler, handler.check, value, { text, path: filePath });
+      errors.push(...toErrors(handler, violations));
+    } else if (handler.fix) {
+      result = await call(handler, handler.fix, value, { text: result, path: filePath });
+      if (typeof result !== 'string') {
+        throw failed(handler, `fix of ${handler.property} must return text`);
+      }
+    }
+  }
+  return { text: result, errors };
+}
+
+module.exports = { loadPlugins, applyPlugins, BUILT_IN_PROPERTIES };
@@ -0,0 +1,159 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { loadPlugins } = require('./plugins');
+const formatter = require('./formatter');
+
+// Puts spaces around = in JavaScript files
+const OPERATORS_PLUGIN = `
+module.exports = {
+  name: 'operators',
+  properties: {
+    spaces_around_operators: {
+      files: ['*.js'],
+      check(value, { text }) {
+        return text.split('\\n').flatMap((line, i) =>
+          value === true && /\\S=|=\\S/.test(line)
+            ? [{ line: i + 1, column: line.indexOf('=') + 1, message: 'expected spaces around =' }]
+            : []
+        );
+      },
+      fix(value, { text }) {
+        return value === true ? text.replace(/ *= */g, ' = ') : text;
+      },
+    },
+  },
+};
+`;
+
+describe('plugins', () => {
+  let root;
+  let sandbox;
+  let operators;
+
+  beforeAll(async () => {
+    root = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'plugins-')));
+    sandbox = formatter.createSandbox([root]);
+    operators = path.join(root, 'operators.js');
+    await fs.writeFile(operators, OPERATORS_PLUGIN);
+    await fs.writeFile(
+      path.join(root, '.editorconfig'),
+      'root = true\n\n[*]\ntrim_trailing_whitespace = true\n\n[src/**]\nspaces_around_operators = true\n'
+    );
+    await fs.mkdir(path.join(root, 'src'));
+  });
+
+  beforeEach(async () => {
+    await fs.writeFile(path.join(root, 'src', 'a.js'), 'const a=1;  \n');
+    await fs.writeFile(path.join(root, 'src', 'b.txt'), 'a=b\n');
+  });
+
+  afterAll(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  // Write a plugin module and load it on its own
+  async function load(name, source) {
+    const file = path.join(root, `${name}.js`);
+    await fs.writeFile(file, source);
+    return () => loadPlugins([file]);
+  }
+
+  it('should fix the files its properties apply to along with the built-in rules', async () => {
+    const result = await formatter.formatFiles('src/*', {
+      sandbox,
+      plugins: [operators],
+      cache: false,
+      concurrency: 1,
+    });
+
+    expect(result.changed).toEqual([path.join(root, 'src', 'a.js')]);
+    expect(await fs.readFile(path.join(root, 'src', 'a.js'), 'utf8')).toBe('const a = 1;\n');
+    expect(await fs.readFile(path.join(root, 'src', 'b.txt'), 'utf8')).toBe('a=b\n');
+  });
+
+  it('should report its violations among the others', async () => {
+    const { violations } = await formatter.checkFile('src/a.js', { sandbox, plugins: [operators] });
+
+    expect(
+      violations.map(({ line, column, rule, message }) => [line, column, rule, message])
+    ).toEqual([
+      [1, 8, 'spaces_around_operators', 'expected spaces around ='],
+      [1, 11, 'trim_trailing_whitespace', 'unexpected trailing whitespace'],
+    ]);
+  });
+
+  it('should leave files alone without plugins', async () => {
+    const { violations } = await formatter.checkFile('src/a.js', { sandbox });
+
+    expect(violations.map((violation) => violation.rule)).toEqual(['trim_trailing_whitespace']);
+  });
+
+  it('should skip files a plugin fails on', async () => {
+    const broken = path.join(root, 'broken.js');
+    await fs.writeFile(
+      broken,
+      'module.exports = { properties: { spaces_around_operators: { check: () => 42 } } };'
+    );
+
+    const throwing = path.join(root, 'throwing.js');
+    await fs.writeFile(
+      throwing,
+      'module.exports = { name: "throwing", properties: { spaces_around_operators: { check() { throw new Error("no luck"); } } } };'
+    );
+    const check = async (plugin) => {
+      const progress = [];
+      const result = await formatter.checkFiles('src/*.js', {
+        sandbox,
+        plugins: [plugin],
+        cache: false,
+        onProgress: (event) => progress.push(event),
+      });
+      return { result, progress };
+    };
+
+    const contract = await check(broken);
+    const thrown = await check(throwing);
+
+    expect(contract.result.skipped).toEqual([path.join(root, 'src', 'a.js')]);
+    expect(contract.progress).toContainEqual({
+      file: path.join(root, 'src', 'a.js'),
+      status: 'skipped',
+      reason: 'plugin error: broken.js: check of spaces_around_operators must return a list',
+    });
+    expect(thrown.progress).toContainEqual({
+      file: path.join(root, 'src', 'a.js'),
+      status: 'skipped',
+      reason: 'plugin error: throwing: no luck',
+    });
+  });
+
+  it('should refuse plugins that do not follow the plugin shape', async () => {
+    const notAnObject = await load('empty', 'module.exports = 42;');
+    const builtIn = await load(
+      'builtin',
+      'module.exports = { properties: { charset: { check() {} } } };'
+    );
+    const noCheck = await load('nocheck', 'module.exports = { properties: { quote_type: {} } };');
+    const badFiles = await load(
+      'badfiles',
+      'module.exports = { properties: { quote_type: { check() {}, files: {} } } };'
+    );
+
+    expect(notAnObject).toThrow('it must export an object of properties');
+    expect(builtIn).toThrow('property charset is built in');
+    expect(noCheck).toThrow('quote_type needs a check function');
+    expect(badFiles).toThrow('files of quote_type must be a list of glob patterns');
+    const duplicate = path.join(root, 'duplicate.js');
+    await fs.writeFile(
+      duplicate,
+      'module.exports = { properties: { spaces_around_operators: { check() {} } } };'
+    );
+    expect(() => loadPlugins([operators, duplicate])).toThrow(
+      expect.objectContaining({
+        code: 'INVALID_PLUGIN',
+        message: `Invalid plugin ${duplicate}: property spaces_around_operators is already handled by operators`,
+      })
+    );
+  });
+});
@@ -0,0 +1,158 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { FormatterError } = require('./errors');
+
+// Upper bound for the concurrency of one run, and for the number of workers
+const MAX_CONCURRENCY = 16;
+
+// Idle workers are stopped after this long, so a server between runs holds no threads
+const IDLE_TIMEOUT_MS = 30 * 1000;
+
+const WORKER_SCRIPT = path.join(__dirname, 'worker.js');
+
+/**
+ * Default number of files a multi-file run hands to workers at once:
+ * EDITORCONFIG_MCP_CONCURRENCY, or the available parallelism capped at 4.
+ */
+function defaultConcurrency(env = process.env) {
+  if (env.EDITORCONFIG_MCP_CONCURRENCY) {
+    return Number(env.EDITORCONFIG_MCP_CONCURRENCY);
+  }
+  return Math.min(os.availableParallelism(), 4);
+}
+
+function assertConcurrency(concurrency) {
+  if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+    throw new FormatterError(
+      'INVALID_CONCURRENCY',
+      `concurrency must be between 1 and ${MAX_CONCURRENCY}`
+    );
+  }
+}
+
+/**
+ * Create a pool of worker threads running eclint and the extended fixers (see
+ * worker.js and fixers.js). Workers are
+ * started on demand, up to MAX_CONCURRENCY, and idle ones never keep the
+ * process alive.
+ * run() resolves with `{ contents, errors }` for one file, or rejects when
+ * eclint or a plugin fails on it or the worker dies. In the `prettier` mode the file is
+ * formatted with the Prettier of the project in `cwd` instead, and `skipped`
+ * tells why Prettier left it alone, if it did (see prettier.js).
+ */
+function createWorkerPool() {
+  const idle = [];
+  const queue = [];
+  // Task each busy worker is running
+  const busy = new Map();
+  let nextId = 1;
+  let size = 0;
+
+  function retire(worker) {
+    size--;
+    busy.delete(worker);
+    const index = idle.indexOf(worker);
+    if (index !== -1) {
+      idle.splice(index, 1);
+    }
+  }
+
+  function spawn() {
+    const worker = new Worker(WORKER_SCRIPT);
+    size++;
+    worker.on('message', (message) => {
+      const task = busy.get(worker);
+      busy.delete(worker);
+      if (!task) {
+        return;
+      }
+      if (message.error === undefined) {
+        task.resolve({
+          contents: Buffer.from(message.contents),
+          errors: message.errors,
+          skipped: message.skipped,
+        });
+      } else {
+        // Coded errors (a failing plugin, for one) keep their code across the thread
+        task.reject(
+          message.code ? new FormatterError(message.code, message.error) : new Error(message.error)
+        );
+      }
+      release(worker);
+    });
+    worker.on('error', (error) => {
+      const task = busy.get(worker);
+      retire(worker);
+      if (task) {
+        task.reject(error);
+      }
+      dispatch();
+    });
+    worker.on('exit', () => {
+      if (busy.has(worker) || idle.includes(worker)) {
+        const task = busy.get(worker);
+        retire(worker);
+        if (task) {
+          task.reject(new Error('Worker stopped unexpectedly'));
+        }
+        dispatch();
+      }
+    });
+    return worker;
+  }
+
+  // Busy workers keep the process alive until their task is answered; idle ones don't
+  function start(worker, task) {
+    clearTimeout(worker.idleTimer);
+    worker.ref();
+    busy.set(worker, task);
+    worker.postMessage(task.message);
+  }
+
+  function release(worker) {
+    if (queue.length > 0) {
+      start(worker, queue.shift());
+      return;
+    }
+    idle.push(worker);
+    worker.unref();
+    worker.idleTimer = setTimeout(() => {
+      retire(worker);
+      worker.terminate();
+    }, IDLE_TIMEOUT_MS);
+    worker.idleTimer.unref();
+  }
+
+  function dispatch() {
+    while (queue.length > 0 && (idle.length > 0 || size < MAX_CONCURRENCY)) {
+      start(idle.length > 0 ? idle.pop() : spawn(), queue.shift());
+    }
+  }
+
+  function run({ mode, cwd, path: filePath, contents, plugins }) {
+    return new Promise((resolve, reject) => {
+      const id = nextId++;
+      const message = { id, mode, cwd, path: filePath, contents, plugins };
+      queue.push({ message, resolve, reject });
+      dispatch();
+    });
+  }
+
+  // Stop every worker; queued and running tasks are rejected
+  async function close() {
+    [...queue.splice(0), ...busy.values()].forEach((task) =>
+      task.reject(new Error('Worker pool closed'))
+    );
+    const workers = [...idle, ...busy.keys()];
+    workers.forEach((worker) => {
+      clearTimeout(worker.idleTimer);
+      retire(worker);
+    });
+    await Promise.all(workers.map((worker) => worker.terminate()));
+  }
+
+  return { run, close };
+}
+
+module.exports = { createWorkerPool, defaultConcurrency, assertConcurrency, MAX_CONCURRENCY };
@@ -0,0 +1,74 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createWorkerPool, defaultConcurrency } = require('./pool');
+const formatter = require('./formatter');
+
+describe('worker pool', () => {
+  let root;
+  let sandbox;
+
+  beforeEach(async () => {
+    root = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'pool-')));
+    await fs.writeFile(
+      path.join(root, '.editorconfig'),
+      'root = true\n\n[*]\ninsert_final_newline = true\ntrim_trailing_whitespace = true\n'
+    );
+    sandbox = formatter.createSandbox([root]);
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('should run eclint in a worker thread', async () => {
+    const pool = createWorkerPool();
+    const task = { cwd: root, path: path.join(root, 'a.js'), contents: Buffer.from('a  ') };
+
+    const fixed = await pool.run({ ...task, mode: 'fix' });
+    const checked = await pool.run({ ...task, mode: 'check' });
+    await pool.close();
+
+    expect(fixed.contents.toString()).toBe('a\n');
+    expect(checked.errors.map((error) => error.rule).sort()).toEqual([
+      'insert_final_newline',
+      'trim_trailing_whitespace',
+    ]);
+  });
+
+  it('should report files in path order whichever worker finishes first', async () => {
+    // The first file is by far the slowest to format
+    await fs.writeFile(path.join(root, 'a.js'), 'x = 1;  \n'.repeat(20000));
+    for (let i = 0; i < 6; i++) {
+      await fs.writeFile(path.join(root, `b${i}.js`), `const b = ${i};  `);
+    }
+    const events = [];
+
+    const parallel = await formatter.checkFiles('*.js', {
+      sandbox,
+      cache: false,
+      concurrency: 4,
+      onProgress: (event) => events.push(event.file),
+    });
+    const serial = await formatter.checkFiles('*.js', { sandbox, cache: false, concurrency: 1 });
+
+    const expected = ['a.js', 'b0.js', 'b1.js', 'b2.js', 'b3.js', 'b4.js', 'b5.js'];
+    expect(events).toEqual(expected.map((name) => path.join(root, name)));
+    expect(parallel).toEqual(serial);
+  });
+
+  it('should reject concurrency outside the allowed range', async () => {
+    await expect(formatter.formatFiles('*.js', { sandbox, concurrency: 0 })).rejects.toMatchObject({
+      code: 'INVALID_CONCURRENCY',
+    });
+    await expect(
+      formatter.checkFiles('*.js', { sandbox, concurrency: formatter.MAX_CONCURRENCY + 1 })
+    ).rejects.toMatchObject({ code: 'INVALID_CONCURRENCY' });
+  });
+
+  it('should read the default concurrency from the environment', () => {
+    expect(defaultConcurrency({ EDITORCONFIG_MCP_CONCURRENCY: '8' })).toBe(8);
+    expect(defaultConcurrency({})).toBeGreaterThanOrEqual(1);
+    expect(defaultConcurrency({})).toBeLessThanOrEqual(4);
+  });
+});
@@ -0,0 +1,54 @@
+const path = require('path');
+const { FormatterError } = require('./errors');
+const { decode, encode } = require('./fixers');
+
+/**
+ * Path of the Prettier installed in root (or a directory above it), the way
+ * the project's own scripts would find it. Prettier is never bundled, so a
+ * project without it cannot ask for a Prettier pass.
+ */
+function resolvePrettier(root) {
+  try {
+    return require.resolve('prettier', { paths: [root] });
+  } catch {
+    throw new FormatterError('PRETTIER_NOT_FOUND', `Prettier is not installed in ${root}`);
+  }
+}
+
+/**
+ * Format a vinyl file of the project in root with the project's Prettier,
+ * after the editorconfig pass. Resolves with `{ contents }`, or with the
+ * original contents and `skipped`, the reason Prettier left the file alone:
+ * `ignored` (by root's .prettierignore), `unsupported` (no parser for the
+ * file type) or `error: ...` when Prettier failed on it, on a syntax error
+ * for one. Options come from the Prettier configuration resolved for the
+ * file, .editorconfig included, and the text keeps the charset of the file.
+ * Runs on the worker threads (see worker.js), which load Prettier once each.
+ */
+async function formatWithPrettier(file, root) {
+  const prettier = require(resolvePrettier(root));
+  const skip = (skipped) => ({ contents: file.contents, skipped });
+
+  const info = await prettier.getFileInfo(file.path, {
+    ignorePath: path.join(root, '.prettierignore'),
+  });
+  if (info.ignored) {
+    return skip('ignored');
+  }
+  if (!info.inferredParser) {
+    return skip('unsupported');
+  }
+  const decoded = decode(file.contents);
+  let text;
+  try {
+    const options = await prettier.resolveConfig(file.path, { editorconfig: true });
+    text = await prettier.format(decoded.text, { ...options, filepath: file.path });
+  } catch (error) {
+    // Syntax errors come with a code frame; the first line says enough
+    return skip(`error: ${error.message.split('\n')[0]}`);
+  }
+  const contents = encode(text, decoded.charset, decoded.bom);
+  return contents ? { contents } : skip(`error: the result does not fit ${decoded.charset}`);
+}
+
+module.exports = { resolvePrettier, formatWithPrettier };
@@ -0,0 +1,121 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const formatter = require('./formatter');
+
+describe('prettier pass', () => {
+  let root;
+  let sandbox;
+
+  const file = (name) => path.join(root, name);
+  const read = (name) => fs.readFile(file(name), 'utf8');
+
+  beforeAll(async () => {
+    root = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'prettier-')));
+    sandbox = formatter.createSandbox([root]);
+    // The project installs Prettier itself; link this repository's copy in
+    await fs.mkdir(path.join(root, 'node_modules'));
+    await fs.symlink(
+      path.dirname(require.resolve('prettier/package.json')),
+      path.join(root, 'node_modules', 'prettier')
+    );
+    await fs.writeFile(
+      file('.editorconfig'),
+      'root = true\n\n[*]\ntrim_trailing_whitespace = true\n'
+    );
+    await fs.writeFile(file('.prettierrc.json'), '{ "semi": false }\n');
+    await fs.writeFile(file('.prettierignore'), 'vendor/\n');
+    await fs.mkdir(file('src'));
+    await fs.mkdir(file('src/vendor'));
+  });
+
+  beforeEach(async () => {
+    await fs.writeFile(file('src/both.js'), 'const a = {b:1}  \n');
+    await fs.writeFile(file('src/editorconfig.js'), 'const b = 1  \n');
+    await fs.writeFile(file('src/prettier.js'), 'const c = {d:1}\n');
+    await fs.writeFile(file('src/notes.txt'), 'some  notes  \n');
+    await fs.writeFile(file('src/vendor/lib.js'), 'const d = {e:1}  \n');
+    await fs.writeFile(file('src/broken.js'), 'const = ;\n');
+  });
+
+  afterAll(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('should format after the editorconfig pass and tell which pass changed each file', async () => {
+    const result = await formatter.formatFiles('src/**/*', { sandbox, concurrency: 1 });
+
+    expect(result.changed_by).toBeUndefined();
+
+    const withPrettier = await formatter.formatFiles('src/*.js', {
+      sandbox,
+      prettier: true,
+      concurrency: 1,
+    });
+
+    expect(withPrettier.changed).toEqual([file('src/both.js'), file('src/prettier.js')]);
+    expect(withPrettier.changed_by).toEqual({
+      [file('src/both.js')]: ['prettier'],
+      [file('src/prettier.js')]: ['prettier'],
+    });
+    expect(await read('src/both.js')).toBe('const a = { b: 1 }\n');
+    expect(await read('src/prettier.js')).toBe('const c = { d: 1 }\n');
+  });
+
+  it('should skip files Prettier does not support, ignores or cannot parse', async () => {
+    const result = await formatter.formatFiles('src/**/*', { sandbox, prettier: true });
+
+    expect(result.changed_by).toEqual({
+      [file('src/both.js')]: ['editorconfig', 'prettier'],
+      [file('src/editorconfig.js')]: ['editorconfig'],
+      [file('src/notes.txt')]: ['editorconfig'],
+      [file('src/prettier.js')]: ['prettier'],
+      [file('src/vendor/lib.js')]: ['editorconfig'],
+    });
+    expect(result.prettier_skipped).toEqual([
+      { file: file('src/broken.js'), reason: expect.stringMatching(/^error: Unexpected token/) },
+      { file: file('src/notes.txt'), reason: 'unsupported' },
+      { file: file('src/vendor/lib.js'), reason: 'ignored' },
+    ]);
+    expect(result.cache).toBeUndefined();
+    expect(await read('src/broken.js')).toBe('const = ;\n');
+    expect(await read('src/vendor/lib.js')).toBe('const d = {e:1}\n');
+  });
+
+  it('should report the passes of a single file, dry run or not', async () => {
+    const preview = await formatter.formatFile('src/both.js', {
+      sandbox,
+      prettier: true,
+      dryRun: true,
+    });
+
+    expect(preview.changed_by).toEqual(['editorconfig', 'prettier']);
+    expect(preview.diff).toContain('+const a = { b: 1 }');
+    expect(await read('src/both.js')).toBe('const a = {b:1}  \n');
+
+    const result = await formatter.formatFile('src/notes.txt', { sandbox, prettier: true });
+
+    expect(result).toMatchObject({
+      changed: true,
+      changed_by: ['editorconfig'],
+      prettier_skipped: 'unsupported',
+    });
+  });
+
+  it('should refuse to run without Prettier installed in the project', async () => {
+    const bare = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'prettier-bare-')));
+    try {
+      await fs.writeFile(path.join(bare, 'a.js'), 'const a = 1;\n');
+      const options = { sandbox: formatter.createSandbox([bare]), prettier: true };
+
+      await expect(formatter.formatFile('a.js', options)).rejects.toMatchObject({
+        code: 'PRETTIER_NOT_FOUND',
+      });
+      await expect(formatter.formatFiles('*.js', options)).rejects.toMatchObject({
+        code: 'PRETTIER_NOT_FOUND',
+      });
+    } finally {
+      await fs.rm(bare, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,192 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { FormatterError } = require('./errors');
+const { version } = require('../package.json');
+
+// Formats a check can be reported in; json is the plain tool result and needs no report
+const REPORT_FORMATS = ['json', 'sarif', 'junit'];
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+// Where EditorConfig documents each property; every rule links here
+const PROPERTIES_URI = 'https://spec.editorconfig.org/#supported-pairs';
+
+// What each property eclint checks requires, for the rule descriptions of SARIF logs
+const RULE_DESCRIPTIONS = {
+  charset: 'Files use the configured character set',
+  end_of_line: 'Lines end with the configured line ending',
+  indent_style: 'Lines are indented with the configured style (tabs or spaces)',
+  indent_size: 'Indentation is a multiple of the configured size',
+  tab_width: 'Tabs are as wide as the configured width',
+  insert_final_newline: 'Files end with a newline, or do not, as configured',
+  trim_trailing_whitespace: 'Lines have no trailing whitespace',
+  max_line_length: 'Lines are no longer than the configured length',
+};
+
+// Posix path of file relative to root, as used in reports
+function relativeUri(root, file) {
+  return path.relative(root, file).split(path.sep).join('/');
+}
+
+function assertReportFormat(format) {
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new FormatterError(
+      'INVALID_REPORT_FORMAT',
+      `report_format must be one of ${REPORT_FORMATS.join(', ')}`
+    );
+  }
+}
+
+/**
+ * Build a SARIF 2.1.0 log from check violations. Rule ids are the
+ * EditorConfig properties that were violated, in order of first appearance,
+ * and each result points at the line and column eclint reported. Locations
+ * are relative to root, which is declared as the ROOT base URI so code
+ * scanning tools can map them onto the checkout. Skipped files are reported
+ * as tool notifications.
+ */
+function toSarif(violations, { root, skipped = [] }) {
+  const rules = [];
+  const ruleIndex = new Map();
+  violations.forEach(({ rule }) => {
+    if (!ruleIndex.has(rule)) {
+      ruleIndex.set(rule, rules.length);
+      rules.push({
+        id: rule,
+        shortDescription: { text: `EditorConfig ${rule}` },
+        ...(RULE_DESCRIPTIONS[rule] && { fullDescription: { text: RULE_DESCRIPTIONS[rule] } }),
+        helpUri: PROPERTIES_URI,
+        defaultConfiguration: { level: 'error' },
+      });
+    }
+  });
+  const location = (file) => ({ uri: relativeUri(root, file), uriBaseId: 'ROOT' });
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [
+      {
+        tool: { driver: { name: 'editorconfig-mcp-server', version, rules } },
+        originalUriBaseIds: {
+          ROOT: { uri: `${pathToFileURL(root).href}/` },
+        },
+        invocations: [
+          {
+            executionSuccessful: true,
+            toolExecutionNotifications: skipped.map((file) => ({
+              level: 'warning',
+              message: { text: 'File could not be checked' },
+              locations: [{ physicalLocation: { artifactLocation: location(file) } }],
+            })),
+          },
+        ],
+        results: violations.map((violation) => ({
+          ruleId: violation.rule,
+          ruleIndex: ruleIndex.get(violation.rule),
+          level: 'error',
+          message: { text: violation.message },
+          locations: [
+            {
+              physicalLocation: {
+                artifactLocation: location(violation.file),
+                // SARIF positions start at 1, so missing ones point at the start of the file
+                region: {
+                  startLine: Math.max(violation.line || 1, 1),
+                  startColumn: Math.max(violation.column || 1, 1),
+                  // Over-long lines are highlighted from the limit to their end
+                  ...(violation.line_length && { endColumn: violation.line_length + 1 }),
+                },
+              },
+            },
+          ],
+        })),
+      },
+    ],
+  };
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Build a JUnit XML report from a check: one test case per checked file,
+ * failing with the file's violations, and one skipped test case per file
+ * that could not be checked. Names are paths relative to root.
+ */
+function toJunit(files, violations, { root, skipped = [] }) {
+  const byFile = new Map(files.map((file) => [file, []]));
+  violations.forEach((violation) => {
+    if (!byFile.has(violation.file)) {
+      byFile.set(violation.file, []);
+    }
+    byFile.get(violation.file).push(violation);
+  });
+  const failures = [...byFile.values()].filter((list) => list.length > 0).length;
+  const tests = byFile.size + skipped.length;
+
+  const cases = [...byFile].map(([file, list]) => {
+    const name = relativeUri(root, file);
+    const open = `    <testcase classname="editorconfig" name="${escapeXml(name)}"`;
+    if (list.length === 0) {
+      return `${open}/>`;
+    }
+    const details = list
+      .map(({ line, column, rule, message }) => `${name}:${line}:${column} ${rule}: ${message}`)
+      .join('\n');
+    const summary = `${list.length} violation${list.length === 1 ? '' : 's'}`;
+    return [
+      `${open}>`,
+      `      <failure type="editorconfig" message="${summary}">${escapeXml(details)}</failure>`,
+      '    </testcase>',
+    ].join('\n');
+  });
+  skipped.forEach((file) => {
+    cases.push(
+      `    <testcase classname="editorconfig" name="${escapeXml(relativeUri(root, file))}">`,
+      '      <skipped message="File could not be checked"/>',
+      '    </testcase>'
+    );
+  });
+
+  const counts = `tests="${tests}" failures="${failures}" errors="0" skipped="${skipped.length}"`;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="editorconfig" ${counts}>`,
+    `  <testsuite name="editorconfig" ${counts}>`,
+    ...cases,
+    '  </testsuite>',
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Report a check in the given format: the SARIF log object, the JUnit XML
+ * string, or undefined for json. `files` are the files that were checked.
+ */
+function createReport(format, { root, files, violations, skipped }) {
+  switch (format) {
+    case 'sarif':
+      return toSarif(violations, { root, skipped });
+    case 'junit':
+      return toJunit(files, violations, { root, skipped });
+    default:
+      return undefined;
+  }
+}
+
+module.exports = {
+  createReport,
+  assertReportFormat,
+  toSarif,
+  toJunit,
+  relativeUri,
+  REPORT_FORMATS,
+};
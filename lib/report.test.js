@@ -0,0 +1,94 @@
+const path = require('path');
+const { createReport, toJunit, toSarif } = require('./report');
+
+describe('reports', () => {
+  const root = path.resolve('/work/project');
+  const violations = [
+    {
+      file: path.join(root, 'src', 'a&b.js'),
+      line: 3,
+      column: 7,
+      rule: 'trim_trailing_whitespace',
+      message: 'unexpected trailing whitespace',
+    },
+    {
+      file: path.join(root, 'src', 'a&b.js'),
+      line: 0,
+      column: 0,
+      rule: 'charset',
+      message: 'invalid charset: utf-8-bom, expected: utf-8',
+    },
+  ];
+
+  it('should map violations onto SARIF rules and regions', () => {
+    const log = toSarif(violations, { root, skipped: [path.join(root, 'broken.js')] });
+    const [run] = log.runs;
+
+    expect(run.originalUriBaseIds.ROOT.uri).toMatch(/^file:\/\/.*\/work\/project\/$/);
+    expect(run.tool.driver.rules.map((rule) => rule.id)).toEqual([
+      'trim_trailing_whitespace',
+      'charset',
+    ]);
+    expect(run.results.map((result) => [result.ruleIndex, result.locations[0]])).toEqual([
+      [
+        0,
+        {
+          physicalLocation: {
+            artifactLocation: { uri: 'src/a&b.js', uriBaseId: 'ROOT' },
+            region: { startLine: 3, startColumn: 7 },
+          },
+        },
+      ],
+      [
+        1,
+        {
+          physicalLocation: {
+            artifactLocation: { uri: 'src/a&b.js', uriBaseId: 'ROOT' },
+            region: { startLine: 1, startColumn: 1 },
+          },
+        },
+      ],
+    ]);
+    expect(run.invocations[0].toolExecutionNotifications).toHaveLength(1);
+  });
+
+  it('should highlight over-long lines up to their end', () => {
+    const [result] = toSarif(
+      [
+        {
+          file: path.join(root, 'long.js'),
+          line: 2,
+          column: 81,
+          rule: 'max_line_length',
+          message: 'invalid line length: 95, exceeds: 80',
+          line_length: 95,
+          max_line_length: 80,
+        },
+      ],
+      { root }
+    ).runs[0].results;
+
+    expect(result.locations[0].physicalLocation.region).toEqual({
+      startLine: 2,
+      startColumn: 81,
+      endColumn: 96,
+    });
+  });
+
+  it('should escape JUnit XML and count passing, failing and skipped files', () => {
+    const xml = toJunit([path.join(root, 'ok.js'), path.join(root, 'src', 'a&b.js')], violations, {
+      root,
+      skipped: [path.join(root, 'broken.js')],
+    });
+
+    expect(xml).toContain('tests="3" failures="1" errors="0" skipped="1"');
+    expect(xml).toContain('<testcase classname="editorconfig" name="ok.js"/>');
+    expect(xml).toContain('name="src/a&amp;b.js"');
+    expect(xml).toContain('src/a&amp;b.js:3:7 trim_trailing_whitespace');
+    expect(xml).toContain('<skipped message="File could not be checked"/>');
+  });
+
+  it('should leave the report out for json', () => {
+    expect(createReport('json', { root, files: [], violations })).toBeUndefined();
+  });
+});
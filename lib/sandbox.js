@@ -0,0 +1,109 @@
+const fs = require('fs').promises;
+const path = require('path');
+const globParent = require('glob-parent');
+const { FormatterError } = require('./errors');
+
+/**
+ * Parse the allowed roots from EDITORCONFIG_MCP_ROOTS (a path.delimiter
+ * separated list), falling back to the current working directory.
+ */
+function rootsFromEnv(env = process.env) {
+  const roots = (env.EDITORCONFIG_MCP_ROOTS || '').split(path.delimiter).filter(Boolean);
+  return roots.length > 0 ? roots : [process.cwd()];
+}
+
+// Whether target is root itself or somewhere below it
+function isInside(root, target) {
+  const relative = path.relative(root, target);
+  return (
+    relative === '' ||
+    (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative))
+  );
+}
+
+// Resolve symlinks in the longest existing prefix of target. Paths that do not
+// exist yet (virtual paths for format_content, for example) keep their tail.
+async function realpathAllowingMissing(target) {
+  const missing = [];
+  let current = target;
+  for (;;) {
+    try {
+      return path.join(await fs.realpath(current), ...missing);
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+        throw error;
+      }
+      const parent = path.dirname(current);
+      if (parent === current) {
+        return target;
+      }
+      missing.unshift(path.basename(current));
+      current = parent;
+    }
+  }
+}
+
+/**
+ * Create a sandbox that only admits paths inside one of the given roots.
+ * Relative paths and globs are resolved against the first root. Every check
+ * goes through realpath, so symlinks that point out of the roots are refused.
+ */
+function createSandbox(roots = rootsFromEnv()) {
+  if (!Array.isArray(roots) || roots.length === 0) {
+    throw new Error('A sandbox needs at least one root');
+  }
+
+  const resolvedRoots = roots.map((root) => path.resolve(root));
+  let realRoots;
+
+  function forbidden(filePath) {
+    return new FormatterError(
+      'FORBIDDEN_PATH',
+      `Path must be within the project directory: ${filePath}`
+    );
+  }
+
+  // Whether an absolute path, after resolving symlinks, lies inside a root
+  async function contains(absolutePath) {
+    if (!realRoots) {
+      realRoots = Promise.all(resolvedRoots.map(realpathAllowingMissing));
+    }
+    const [real, rootsReal] = await Promise.all([realpathAllowingMissing(absolutePath), realRoots]);
+    return rootsReal.some((root) => isInside(root, real));
+  }
+
+  /**
+   * Resolve a file path against the primary root and make sure it stays in
+   * the sandbox. Returns the absolute (non-realpath) path.
+   */
+  async function resolvePath(filePath) {
+    const absolutePath = path.resolve(resolvedRoots[0], filePath);
+    if (!(await contains(absolutePath))) {
+      throw forbidden(filePath);
+    }
+    return absolutePath;
+  }
+
+  /**
+   * Make sure the static part of a glob stays in the sandbox. Individual
+   * matches still need to be filtered with contains(), since a symlinked
+   * directory inside the glob could lead elsewhere.
+   */
+  async function assertGlob(pattern) {
+    const normalized = path.posix.normalize(pattern.split(path.sep).join('/'));
+    if (normalized.split('/').includes('..') && !path.isAbsolute(normalized)) {
+      throw forbidden(pattern);
+    }
+    await resolvePath(globParent(normalized));
+  }
+
+  return {
+    roots: resolvedRoots,
+    cwd: resolvedRoots[0],
+    contains,
+    resolvePath,
+    assertGlob,
+  };
+}
+
+module.exports = { createSandbox, rootsFromEnv, isInside };
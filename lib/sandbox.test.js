@@ -0,0 +1,96 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createSandbox, rootsFromEnv } = require('./sandbox');
+const formatter = require('./formatter');
+
+describe('sandbox', () => {
+  let tmp;
+  let root;
+
+  beforeEach(async () => {
+    tmp = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'sandbox-')));
+    root = path.join(tmp, 'proj');
+    await fs.mkdir(path.join(root, 'src'), { recursive: true });
+    await fs.mkdir(path.join(tmp, 'proj-evil'));
+    await fs.writeFile(path.join(root, 'src', 'a.js'), 'const a = 1;  \n');
+    await fs.writeFile(path.join(tmp, 'proj-evil', 'b.js'), 'const b = 2;  \n');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmp, { recursive: true, force: true });
+  });
+
+  it('should resolve relative paths against the first root', async () => {
+    const sandbox = createSandbox([root]);
+
+    await expect(sandbox.resolvePath('src/a.js')).resolves.toBe(path.join(root, 'src', 'a.js'));
+  });
+
+  it('should refuse sibling directories that share the root as a prefix', async () => {
+    const sandbox = createSandbox([root]);
+
+    await expect(sandbox.resolvePath('../proj-evil/b.js')).rejects.toMatchObject({
+      code: 'FORBIDDEN_PATH',
+    });
+    await expect(sandbox.resolvePath(path.join(tmp, 'proj-evil', 'b.js'))).rejects.toMatchObject({
+      code: 'FORBIDDEN_PATH',
+    });
+  });
+
+  it('should refuse symlinks that escape the root', async () => {
+    await fs.symlink(path.join(tmp, 'proj-evil', 'b.js'), path.join(root, 'link.js'));
+    const sandbox = createSandbox([root]);
+
+    await expect(sandbox.resolvePath('link.js')).rejects.toMatchObject({
+      code: 'FORBIDDEN_PATH',
+    });
+  });
+
+  it('should admit paths under any of several roots', async () => {
+    const sandbox = createSandbox([root, path.join(tmp, 'proj-evil')]);
+
+    await expect(sandbox.resolvePath(path.join(tmp, 'proj-evil', 'b.js'))).resolves.toBeTruthy();
+  });
+
+  it('should admit paths that do not exist yet', async () => {
+    const sandbox = createSandbox([root]);
+
+    await expect(sandbox.resolvePath('src/new/unsaved.js')).resolves.toBe(
+      path.join(root, 'src', 'new', 'unsaved.js')
+    );
+  });
+
+  it('should refuse globs whose base is outside the root', async () => {
+    const sandbox = createSandbox([root]);
+
+    await expect(sandbox.assertGlob('../**/*.js')).rejects.toMatchObject({
+      code: 'FORBIDDEN_PATH',
+    });
+    await expect(sandbox.assertGlob('src/../../proj-evil/*.js')).rejects.toMatchObject({
+      code: 'FORBIDDEN_PATH',
+    });
+    await expect(sandbox.assertGlob(`${tmp}/*/*.js`)).rejects.toMatchObject({
+      code: 'FORBIDDEN_PATH',
+    });
+    await expect(sandbox.assertGlob('src/**/*.js')).resolves.toBeUndefined();
+  });
+
+  it('should skip glob matches reached through a symlinked directory', async () => {
+    await fs.symlink(path.join(tmp, 'proj-evil'), path.join(root, 'src', 'evil'));
+    const sandbox = createSandbox([root]);
+
+    const result = await formatter.formatFiles('src/**/*.js', { sandbox });
+
+    expect(result.unchanged).toEqual([path.join(root, 'src', 'a.js')]);
+    expect(result.skipped).toEqual([path.join(root, 'src', 'evil', 'b.js')]);
+    expect(await fs.readFile(path.join(tmp, 'proj-evil', 'b.js'), 'utf8')).toBe('const b = 2;  \n');
+  });
+
+  it('should read roots from EDITORCONFIG_MCP_ROOTS', () => {
+    const env = { EDITORCONFIG_MCP_ROOTS: ['/a', '/b'].join(path.delimiter) };
+
+    expect(rootsFromEnv(env)).toEqual(['/a', '/b']);
+    expect(rootsFromEnv({})).toEqual([process.cwd()]);
+  });
+});
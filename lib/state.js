@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Directory under the project root holding the server's own files (snapshots, cache)
+const STATE_DIR = '.editorconfig-mcp';
+
+/**
+ * Create `name` inside the state directory of root and return its path. The
+ * state directory gets a .gitignore so none of it shows up as untracked files.
+ */
+async function ensureStateDir(root, name) {
+  const dir = path.join(root, STATE_DIR, name);
+  await fs.mkdir(dir, { recursive: true });
+  await fs
+    .writeFile(path.join(root, STATE_DIR, '.gitignore'), '*\n', { flag: 'wx' })
+    .catch((error) => {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    });
+  return dir;
+}
+
+/**
+ * Write a JSON file through a temporary file, so a crash never leaves half of it.
+ */
+async function writeJson(file, data) {
+  // Unique per write, so concurrent runs never rename each other's file
+  const temp = `${file}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+  try {
+    await fs.writeFile(temp, JSON.stringify(data, null, 2) + '\n');
+    await fs.rename(temp, file);
+  } catch (error) {
+    await fs.rm(temp, { force: true });
+    throw error;
+  }
+}
+
+module.exports = { ensureStateDir, writeJson, STATE_DIR };
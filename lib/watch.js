@@ -0,0 +1,353 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const picomatch = require('picomatch');
+const { FormatterError } = require('./errors');
+const formatter = require('./formatter');
+const { createIgnoreMatcher } = require('./ignore');
+const { WATCH_TOOL } = require('./operations');
+const { createSandbox } = require('./sandbox');
+
+// Quiet period after the last write to a file before it is formatted or checked
+const DEFAULT_DEBOUNCE_MS = 300;
+const MIN_DEBOUNCE_MS = 50;
+const MAX_DEBOUNCE_MS = 10000;
+
+// Watches one manager may run at once; every watched directory holds an OS handle
+const MAX_WATCHES = 10;
+
+const MODES = ['format', 'check'];
+
+// Directories that vanished or cannot be read are left unwatched
+const UNWATCHABLE = ['ENOENT', 'ENOTDIR', 'EACCES', 'EPERM'];
+
+function sha256(contents) {
+  return crypto.createHash('sha256').update(contents).digest('hex');
+}
+
+function assertWatchOptions({ patterns, mode, debounceMs }) {
+  if (!Array.isArray(patterns) || patterns.length === 0) {
+    throw new FormatterError('INVALID_WATCH', 'patterns must be a non-empty list of globs');
+  }
+  if (!patterns.every((pattern) => typeof pattern === 'string' && pattern)) {
+    throw new FormatterError('INVALID_WATCH', 'patterns must be non-empty strings');
+  }
+  if (!MODES.includes(mode)) {
+    throw new FormatterError('INVALID_WATCH', `mode must be one of ${MODES.join(', ')}`);
+  }
+  if (
+    !Number.isInteger(debounceMs) ||
+    debounceMs < MIN_DEBOUNCE_MS ||
+    debounceMs > MAX_DEBOUNCE_MS
+  ) {
+    throw new FormatterError(
+      'INVALID_WATCH',
+      `debounce_ms must be between ${MIN_DEBOUNCE_MS} and ${MAX_DEBOUNCE_MS}`
+    );
+  }
+}
+
+/**
+ * Watch the primary root of a sandbox and format (or check) every file
+ * matching one of `patterns` once it has not been written to for
+ * `debounceMs`. Each directory is watched on its own so ignored trees such
+ * as node_modules never cost a handle. Files are processed one at a time, and
+ * the contents left behind are remembered by hash, so the watch's own writes
+ * (and saves that change nothing) do not trigger it again.
+ */
+async function createWatch(
+  sandbox,
+  { id, patterns, mode, debounceMs, exclude, ignore, plugins, onEvent }
+) {
+  const root = sandbox.cwd;
+  const isExcluded = await createIgnoreMatcher(root, { exclude, defaults: ignore });
+  const matchers = patterns.map((pattern) => ({
+    absolute: path.isAbsolute(pattern),
+    isMatch: picomatch(pattern.split(path.sep).join('/')),
+  }));
+
+  const watchers = new Map();
+  const timers = new Map();
+  const queue = new Set();
+  const lastSeen = new Map();
+  let closed = false;
+  let running = false;
+  let draining = Promise.resolve();
+
+  function emit(event, file, details) {
+    onEvent({ watch_id: id, event, file, ...details });
+  }
+
+  function matches(file) {
+    const absolute = file.split(path.sep).join('/');
+    const relative = path.relative(root, file).split(path.sep).join('/');
+    return matchers.some(({ absolute: isAbsolute, isMatch }) =>
+      isMatch(isAbsolute ? absolute : relative)
+    );
+  }
+
+  // Stop watching dir and everything below it
+  function unwatch(dir) {
+    for (const [watched, watcher] of watchers) {
+      if (watched === dir || watched.startsWith(dir + path.sep)) {
+        watcher.close();
+        watchers.delete(watched);
+      }
+    }
+  }
+
+  // Watch dir and every directory below it that the ignore rules keep. With
+  // `scan`, the files already inside are queued too: a directory that appears
+  // with files in it (a checkout, an extracted archive) reports no event per file.
+  async function watchDirectory(dir, { scan = false } = {}) {
+    if (closed || watchers.has(dir)) {
+      return;
+    }
+    if (dir !== root && isExcluded({ path: dir, isDirectory: () => true })) {
+      return;
+    }
+
+    let watcher;
+    try {
+      watcher = fs.watch(dir, (eventType, name) => {
+        if (name) {
+          schedule(path.join(dir, name.toString()));
+        }
+      });
+    } catch (error) {
+      if (UNWATCHABLE.includes(error.code)) {
+        return;
+      }
+      throw error;
+    }
+    watcher.on('error', () => unwatch(dir));
+    watchers.set(dir, watcher);
+
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (UNWATCHABLE.includes(error.code)) {
+        unwatch(dir);
+        return;
+      }
+      throw error;
+    }
+    for (const entry of entries) {
+      const child = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await watchDirectory(child, { scan });
+      } else if (scan && entry.isFile()) {
+        schedule(child);
+      }
+    }
+  }
+
+  function schedule(file) {
+    if (closed) {
+      return;
+    }
+    clearTimeout(timers.get(file));
+    timers.set(
+      file,
+      setTimeout(() => {
+        timers.delete(file);
+        queue.add(file);
+        if (!running) {
+          draining = drain();
+        }
+      }, debounceMs)
+    );
+  }
+
+  async function drain() {
+    running = true;
+    try {
+      while (queue.size > 0 && !closed) {
+        const [file] = queue;
+        queue.delete(file);
+        try {
+          await handle(file);
+        } catch (error) {
+          emit('error', file, { error: error.code || 'PROCESSING_FAILED', message: error.message });
+        }
+      }
+    } finally {
+      running = false;
+    }
+  }
+
+  async function handle(file) {
+    let stat;
+    try {
+      stat = await fs.promises.stat(file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      // Deleted, or a temporary file renamed into place (our own writes included)
+      unwatch(file);
+      lastSeen.delete(file);
+      return;
+    }
+    if (!(await sandbox.contains(file))) {
+      return;
+    }
+    if (stat.isDirectory()) {
+      await watchDirectory(file, { scan: true });
+      return;
+    }
+    if (!stat.isFile() || !matches(file)) {
+      return;
+    }
+
+    const contents = await fs.promises.readFile(file);
+    if (isExcluded({ path: file, contents })) {
+      return;
+    }
+    const hash = sha256(contents);
+    if (lastSeen.get(file) === hash) {
+      return;
+    }
+
+    emit('change', file);
+    const result =
+      mode === 'format'
+        ? await formatter.formatFile(file, { sandbox, plugins, tool: WATCH_TOOL })
+        : await formatter.checkFile(file, { sandbox, plugins });
+    lastSeen.set(
+      file,
+      mode === 'format' && result.changed ? sha256(await fs.promises.readFile(file)) : hash
+    );
+    emit('result', file, { mode, result });
+  }
+
+  async function close() {
+    closed = true;
+    timers.forEach((timer) => clearTimeout(timer));
+    timers.clear();
+    queue.clear();
+    unwatch(root);
+    await draining;
+  }
+
+  try {
+    await watchDirectory(root);
+  } catch (error) {
+    unwatch(root);
+    throw error;
+  }
+
+  return {
+    info: { watch_id: id, root, patterns, mode, debounce_ms: debounceMs },
+    close,
+  };
+}
+
+/**
+ * Keep track of the watches started through one transport. Every watch
+ * event is passed to `onEvent` as `{ watch_id, event, file, ... }`, where
+ * event is `change` (a file is about to be processed), `result` (with the
+ * format_file or check_file result) or `error`. `ignore` replaces the
+ * default ignore rules, as in formatFiles, and every watch runs `plugins`.
+ * start() may watch a workspace instead, given its `workspace` name,
+ * `sandbox` and `ignore` rules.
+ */
+function createWatchManager({
+  sandbox = createSandbox(),
+  ignore = true,
+  plugins = [],
+  onEvent = () => {},
+} = {}) {
+  const watches = new Map();
+
+  async function start({
+    patterns = ['**/*'],
+    mode = 'format',
+    debounceMs = DEFAULT_DEBOUNCE_MS,
+    exclude,
+    workspace,
+    sandbox: watchSandbox = sandbox,
+    ignore: watchIgnore = ignore,
+  } = {}) {
+    assertWatchOptions({ patterns, mode, debounceMs });
+    if (watches.size >= MAX_WATCHES) {
+      throw new FormatterError(
+        'TOO_MANY_WATCHES',
+        `At most ${MAX_WATCHES} watches can run at once`
+      );
+    }
+    for (const pattern of patterns) {
+      await watchSandbox.assertGlob(pattern);
+    }
+
+    const id = crypto.randomUUID();
+    const watch = await createWatch(watchSandbox, {
+      id,
+      patterns,
+      mode,
+      debounceMs,
+      exclude,
+      ignore: watchIgnore,
+      plugins,
+      onEvent,
+    });
+    watches.set(id, watch);
+    return { success: true, ...(workspace !== undefined && { workspace }), ...watch.info };
+  }
+
+  async function stop(id) {
+    const watch = watches.get(id);
+    if (!watch) {
+      throw new FormatterError('WATCH_NOT_FOUND', `Unknown watch: ${id}`);
+    }
+    watches.delete(id);
+    await watch.close();
+    return { success: true, watch_id: id };
+  }
+
+  async function closeAll() {
+    const running = [...watches.values()];
+    watches.clear();
+    await Promise.all(running.map((watch) => watch.close()));
+  }
+
+  return { start, stop, closeAll };
+}
+
+/**
+ * Watch options from command line flags, or null without --watch. `--watch`
+ * watches every file; `--watch=<glob>` (repeatable) narrows it.
+ * `--watch-mode=check` reports violations instead of formatting, and
+ * `--watch-debounce=<ms>` changes the quiet period.
+ */
+function watchOptionsFromArgv(argv) {
+  const patterns = [];
+  let enabled = false;
+  const options = {};
+  argv.forEach((arg) => {
+    if (arg === '--watch') {
+      enabled = true;
+    } else if (arg.startsWith('--watch=')) {
+      enabled = true;
+      patterns.push(arg.slice('--watch='.length));
+    } else if (arg.startsWith('--watch-mode=')) {
+      options.mode = arg.slice('--watch-mode='.length);
+    } else if (arg.startsWith('--watch-debounce=')) {
+      options.debounceMs = Number(arg.slice('--watch-debounce='.length));
+    }
+  });
+  if (!enabled) {
+    return null;
+  }
+  return patterns.length > 0 ? { ...options, patterns } : options;
+}
+
+module.exports = {
+  createWatchManager,
+  watchOptionsFromArgv,
+  DEFAULT_DEBOUNCE_MS,
+  MIN_DEBOUNCE_MS,
+  MAX_DEBOUNCE_MS,
+  MAX_WATCHES,
+};
@@ -0,0 +1,163 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createWatchManager, watchOptionsFromArgv } = require('./watch');
+const { createSandbox } = require('./sandbox');
+const formatter = require('./formatter');
+const { MAX_OPERATIONS } = require('./operations');
+
+const DEBOUNCE_MS = 50;
+
+describe('watch', () => {
+  let root;
+  let events;
+  let watches;
+
+  beforeEach(async () => {
+    root = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'watch-')));
+    await fs.writeFile(
+      path.join(root, '.editorconfig'),
+      'root = true\n\n[*]\ninsert_final_newline = true\n'
+    );
+    events = [];
+    watches = createWatchManager({
+      sandbox: createSandbox([root]),
+      onEvent: (event) => events.push(event),
+    });
+  });
+
+  afterEach(async () => {
+    await watches.closeAll();
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  const results = () => events.filter(({ event }) => event === 'result');
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  // Poll until an event matching predicate arrives
+  async function waitFor(predicate, timeout = 3000) {
+    const deadline = Date.now() + timeout;
+    while (!events.some(predicate)) {
+      if (Date.now() > deadline) {
+        throw new Error(`No matching watch event; got ${JSON.stringify(events)}`);
+      }
+      await sleep(20);
+    }
+    return events.find(predicate);
+  }
+
+  it('should format a written file once and ignore its own write', async () => {
+    const file = path.join(root, 'a.js');
+    const { watch_id } = await watches.start({ patterns: ['**/*.js'], debounceMs: DEBOUNCE_MS });
+
+    await fs.writeFile(file, 'const a = 1;');
+    const event = await waitFor(({ event }) => event === 'result');
+    await sleep(DEBOUNCE_MS * 4);
+
+    expect(event).toMatchObject({
+      watch_id,
+      file,
+      mode: 'format',
+      result: { success: true, changed: true },
+    });
+    expect(results()).toHaveLength(1);
+    expect(await fs.readFile(file, 'utf8')).toBe('const a = 1;\n');
+  });
+
+  it('should keep its operations from pushing out manual ones', async () => {
+    const sandbox = createSandbox([root]);
+    await fs.writeFile(path.join(root, 'manual.txt'), 'manual');
+    const { operation_id } = await formatter.formatFiles('*.txt', { sandbox, cache: false });
+    await watches.start({ patterns: ['*.js'], debounceMs: DEBOUNCE_MS });
+
+    const writes = MAX_OPERATIONS + 2;
+    for (let i = 1; i <= writes; i++) {
+      await fs.writeFile(path.join(root, 'a.js'), `const a = ${i};`);
+      await waitFor(() => results().length === i);
+    }
+    const { operations: listed } = await formatter.listOperations({ sandbox, limit: 100 });
+
+    expect(listed.filter(({ tool }) => tool === 'watch')).toHaveLength(MAX_OPERATIONS);
+    await expect(formatter.revertFormat(operation_id, { sandbox })).resolves.toMatchObject({
+      restored: [path.join(root, 'manual.txt')],
+    });
+    expect(await fs.readFile(path.join(root, 'manual.txt'), 'utf8')).toBe('manual');
+  }, 30000);
+
+  it('should wait for writes to settle before processing', async () => {
+    const file = path.join(root, 'a.js');
+    await watches.start({ debounceMs: DEBOUNCE_MS * 4 });
+
+    await fs.writeFile(file, 'const a');
+    await sleep(DEBOUNCE_MS);
+    await fs.writeFile(file, 'const a = 1;');
+    await waitFor(({ event }) => event === 'result');
+
+    expect(events.filter(({ event }) => event === 'change')).toHaveLength(1);
+    expect(await fs.readFile(file, 'utf8')).toBe('const a = 1;\n');
+  });
+
+  it('should only report violations in check mode', async () => {
+    const file = path.join(root, 'a.js');
+    await watches.start({ mode: 'check', debounceMs: DEBOUNCE_MS });
+
+    await fs.writeFile(file, 'const a = 1;');
+    const event = await waitFor(({ event }) => event === 'result');
+
+    expect(event.result).toMatchObject({ compliant: false });
+    expect(await fs.readFile(file, 'utf8')).toBe('const a = 1;');
+  });
+
+  it('should pick up new directories and skip ignored or unmatched files', async () => {
+    await fs.mkdir(path.join(root, 'node_modules'));
+    await watches.start({ patterns: ['**/*.js'], debounceMs: DEBOUNCE_MS });
+
+    await fs.writeFile(path.join(root, 'node_modules', 'dep.js'), 'x');
+    await fs.writeFile(path.join(root, 'notes.txt'), 'x');
+    await fs.mkdir(path.join(root, 'src'));
+    await fs.writeFile(path.join(root, 'src', 'b.js'), 'const b = 2;');
+    await waitFor(({ event }) => event === 'result');
+    await sleep(DEBOUNCE_MS * 4);
+
+    expect(results().map(({ file }) => file)).toEqual([path.join(root, 'src', 'b.js')]);
+    expect(await fs.readFile(path.join(root, 'node_modules', 'dep.js'), 'utf8')).toBe('x');
+  });
+
+  it('should stop reacting once stopped', async () => {
+    const { watch_id } = await watches.start({ debounceMs: DEBOUNCE_MS });
+
+    expect(await watches.stop(watch_id)).toEqual({ success: true, watch_id });
+    await fs.writeFile(path.join(root, 'a.js'), 'const a = 1;');
+    await sleep(DEBOUNCE_MS * 4);
+
+    expect(events).toEqual([]);
+    await expect(watches.stop(watch_id)).rejects.toMatchObject({ code: 'WATCH_NOT_FOUND' });
+  });
+
+  it('should reject invalid options and patterns outside the root', async () => {
+    await expect(watches.start({ mode: 'fix' })).rejects.toMatchObject({
+      code: 'INVALID_WATCH',
+    });
+    await expect(watches.start({ debounceMs: 0 })).rejects.toMatchObject({
+      code: 'INVALID_WATCH',
+    });
+    await expect(watches.start({ patterns: ['../**/*.js'] })).rejects.toMatchObject({
+      code: 'FORBIDDEN_PATH',
+    });
+  });
+
+  describe('watchOptionsFromArgv', () => {
+    it('should read the watch flags', () => {
+      expect(watchOptionsFromArgv(['--root', 'src'])).toBeNull();
+      expect(watchOptionsFromArgv(['--watch'])).toEqual({});
+      expect(
+        watchOptionsFromArgv([
+          '--watch=src/**/*.js',
+          '--watch=*.md',
+          '--watch-mode=check',
+          '--watch-debounce=500',
+        ])
+      ).toEqual({ patterns: ['src/**/*.js', '*.md'], mode: 'check', debounceMs: 500 });
+    });
+  });
+});
@@ -0,0 +1,31 @@
+const { parentPort } = require('worker_threads');
+const Vinyl = require('vinyl');
+const { processFile } = require('./fixers');
+const { formatWithPrettier } = require('./prettier');
+
+// Run the extended fixers on one file, keeping only the error fields toViolations() reads
+async function fix(mode, file, plugins) {
+  const result = await processFile(mode, file, plugins);
+  const errors = (result.editorconfig && result.editorconfig.errors) || [];
+  return {
+    contents: result.contents,
+    errors: errors.map(({ lineNumber, columnNumber, rule, message, details }) => ({
+      lineNumber,
+      columnNumber,
+      rule,
+      message,
+      details,
+    })),
+  };
+}
+
+// Tasks come from pool.js, one at a time: { id, mode, cwd, path, contents, plugins }.
+// The prettier mode formats with the Prettier of the project in cwd instead.
+parentPort.on('message', ({ id, mode, cwd, path, contents, plugins }) => {
+  const file = new Vinyl({ cwd, base: cwd, path, contents: Buffer.from(contents) });
+  const task = mode === 'prettier' ? formatWithPrettier(file, cwd) : fix(mode, file, plugins);
+  task.then(
+    (result) => parentPort.postMessage({ id, errors: [], ...result }),
+    (error) => parentPort.postMessage({ id, error: error.message, code: error.code })
+  );
+});
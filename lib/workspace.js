@@ -0,0 +1,65 @@
+const { FormatterError } = require('./errors');
+const { createSandbox, isInside } = require('./sandbox');
+
+/**
+ * Every directory the server may use: the configured roots, followed by the
+ * workspace roots that are not among them.
+ */
+function allowedRoots(settings) {
+  const roots = [...settings.roots];
+  Object.values(settings.workspaces).forEach(({ root }) => {
+    if (!roots.includes(root)) {
+      roots.push(root);
+    }
+  });
+  return roots;
+}
+
+/**
+ * Named workspaces from the `workspaces` setting. Each one is a sandbox of
+ * its own root, so relative paths and globs, .editorconfigignore, the result
+ * cache and the operation history all belong to that root, along with its
+ * own ignore rules (default: the `ignore` setting).
+ *
+ * Callers only see the workspaces inside their own sandbox, so a client
+ * limited to some roots cannot reach the others by name.
+ */
+function createWorkspaces(settings) {
+  const workspaces = Object.entries(settings.workspaces).map(([name, { root, ignore }]) => ({
+    name,
+    root,
+    ignore: ignore || settings.ignore,
+    sandbox: createSandbox([root]),
+  }));
+
+  function visible(sandbox) {
+    return workspaces.filter(({ root }) =>
+      sandbox.roots.some((allowed) => isInside(allowed, root))
+    );
+  }
+
+  // Workspaces a caller with this sandbox may use, as reported by list_workspaces
+  function list(sandbox) {
+    return visible(sandbox).map(({ name, root, ignore }) => ({ name, root, ignore }));
+  }
+
+  /**
+   * The sandbox and ignore rules a call runs with: those of the named
+   * workspace, or the caller's own sandbox and the `ignore` setting when no
+   * workspace is given.
+   */
+  function resolve(sandbox, name) {
+    if (name === undefined) {
+      return { sandbox, ignore: settings.ignore };
+    }
+    const workspace = visible(sandbox).find((entry) => entry.name === name);
+    if (!workspace) {
+      throw new FormatterError('WORKSPACE_NOT_FOUND', `Unknown workspace: ${name}`);
+    }
+    return workspace;
+  }
+
+  return { list, resolve };
+}
+
+module.exports = { allowedRoots, createWorkspaces };
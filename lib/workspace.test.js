@@ -0,0 +1,52 @@
+const path = require('path');
+const { createSandbox } = require('./sandbox');
+const { allowedRoots, createWorkspaces } = require('./workspace');
+
+describe('workspaces', () => {
+  const root = path.resolve('/work');
+  const settings = {
+    roots: [root],
+    ignore: ['node_modules/'],
+    workspaces: {
+      app: { root: path.join(root, 'app') },
+      lib: { root: path.resolve('/elsewhere/lib'), ignore: ['dist/'] },
+    },
+  };
+
+  it('should allow the configured roots and every workspace root', () => {
+    expect(allowedRoots(settings)).toEqual([
+      root,
+      path.join(root, 'app'),
+      path.resolve('/elsewhere/lib'),
+    ]);
+  });
+
+  it('should resolve names to a sandbox and ignore rules of their own', () => {
+    const workspaces = createWorkspaces(settings);
+    const sandbox = createSandbox(allowedRoots(settings));
+
+    const app = workspaces.resolve(sandbox, 'app');
+    const lib = workspaces.resolve(sandbox, 'lib');
+
+    expect(app.sandbox.cwd).toBe(path.join(root, 'app'));
+    expect(app.ignore).toEqual(['node_modules/']);
+    expect(lib.sandbox.roots).toEqual([path.resolve('/elsewhere/lib')]);
+    expect(lib.ignore).toEqual(['dist/']);
+    expect(workspaces.resolve(sandbox, undefined)).toEqual({
+      sandbox,
+      ignore: ['node_modules/'],
+    });
+  });
+
+  it('should hide workspaces outside the caller sandbox', () => {
+    const workspaces = createWorkspaces(settings);
+    const sandbox = createSandbox([root]);
+
+    expect(workspaces.list(sandbox)).toEqual([
+      { name: 'app', root: path.join(root, 'app'), ignore: ['node_modules/'] },
+    ]);
+    expect(() => workspaces.resolve(sandbox, 'lib')).toThrow(
+      expect.objectContaining({ code: 'WORKSPACE_NOT_FOUND', message: 'Unknown workspace: lib' })
+    );
+  });
+});
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Replace a file's contents atomically: write a temporary file next to it,
+ * give it the original mode and ownership, flush it to disk and rename it
+ * over the original. Readers see either the old or the new contents, never a
+ * truncated file. Symlinks are followed, so the link itself stays in place.
+ */
+async function writeFileAtomic(filePath, contents) {
+  const target = await fs.realpath(filePath);
+  const stat = await fs.stat(target);
+  const mode = stat.mode & 0o7777;
+  const temp = path.join(
+    path.dirname(target),
+    `.${path.basename(target)}.${crypto.randomBytes(6).toString('hex')}.tmp`
+  );
+
+  let handle;
+  try {
+    handle = await fs.open(temp, 'wx', mode);
+    await handle.writeFile(contents);
+    // The umask may have dropped bits from the mode passed to open
+    await handle.chmod(mode);
+    try {
+      await handle.chown(stat.uid, stat.gid);
+    } catch (error) {
+      // Only privileged processes may give files away; keep our own ownership then
+      if (error.code !== 'EPERM') {
+        throw error;
+      }
+    }
+    await handle.sync();
+    await handle.close();
+    handle = undefined;
+    await fs.rename(temp, target);
+  } catch (error) {
+    if (handle) {
+      await handle.close().catch(() => {});
+    }
+    await fs.rm(temp, { force: true });
+    throw error;
+  }
+}
+
+module.exports = { writeFileAtomic };
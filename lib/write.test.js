@@ -0,0 +1,61 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { writeFileAtomic } = require('./write');
+
+describe('writeFileAtomic', () => {
+  let tmp;
+  let file;
+
+  beforeEach(async () => {
+    tmp = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'write-')));
+    file = path.join(tmp, 'script.sh');
+    await fs.writeFile(file, 'old\n');
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmp, { recursive: true, force: true });
+  });
+
+  it('should replace the contents and leave no temporary files behind', async () => {
+    await writeFileAtomic(file, Buffer.from('new\n'));
+
+    expect(await fs.readFile(file, 'utf8')).toBe('new\n');
+    expect(await fs.readdir(tmp)).toEqual(['script.sh']);
+  });
+
+  it('should preserve the file mode and ownership', async () => {
+    await fs.chmod(file, 0o750);
+    const before = await fs.stat(file);
+
+    await writeFileAtomic(file, Buffer.from('new\n'));
+
+    const after = await fs.stat(file);
+    expect(after.mode & 0o7777).toBe(0o750);
+    expect(after.uid).toBe(before.uid);
+    expect(after.gid).toBe(before.gid);
+    expect(after.ino).not.toBe(before.ino);
+  });
+
+  it('should write through symlinks and keep the link', async () => {
+    const link = path.join(tmp, 'link.sh');
+    await fs.symlink(file, link);
+
+    await writeFileAtomic(link, Buffer.from('new\n'));
+
+    expect((await fs.lstat(link)).isSymbolicLink()).toBe(true);
+    expect(await fs.readFile(file, 'utf8')).toBe('new\n');
+  });
+
+  it('should leave the original alone and clean up when the rename fails', async () => {
+    const rename = jest.spyOn(fs, 'rename').mockRejectedValueOnce(new Error('disk on fire'));
+
+    try {
+      await expect(writeFileAtomic(file, Buffer.from('new\n'))).rejects.toThrow('disk on fire');
+    } finally {
+      rename.mockRestore();
+    }
+    expect(await fs.readFile(file, 'utf8')).toBe('old\n');
+    expect(await fs.readdir(tmp)).toEqual(['script.sh']);
+  });
+});
@@ -0,0 +1,146 @@
+const { spawn } = require('child_process');
+const readline = require('readline');
+const request = require('supertest');
+const fs = require('fs').promises;
+const path = require('path');
+const app = require('./server');
+
+// Start mcp-server.js as a child process and talk JSON-RPC to it over stdio
+function startStdioServer() {
+  const child = spawn(process.execPath, [path.join(__dirname, 'mcp-server.js')], {
+    cwd: process.cwd(),
+    stdio: ['pipe', 'pipe', 'ignore'],
+  });
+  const pending = new Map();
+  let nextId = 1;
+
+  readline.createInterface({ input: child.stdout }).on('line', (line) => {
+    const message = JSON.parse(line);
+    if (pending.has(message.id)) {
+      pending.get(message.id)(message);
+      pending.delete(message.id);
+    }
+  });
+
+  return {
+    call(method, params) {
+      const id = nextId++;
+      return new Promise((resolve) => {
+        pending.set(id, resolve);
+        child.stdin.write(JSON.stringify({ jsonrpc: '2.0', id, method, params }) + '\n');
+      });
+    },
+    close() {
+      child.kill();
+    },
+  };
+}
+
+describe('stdio MCP server', () => {
+  const testDir = path.join(process.cwd(), 'test-files-parity');
+  const testFile = path.join(testDir, 'test.js');
+  const original = 'function test() {  \n\treturn 1;\n}\n// No newline';
+  let server;
+
+  // Call a tool over stdio and decode the JSON text content it returns
+  async function callTool(name, args) {
+    const response = await server.call('tools/call', { name, arguments: args });
+    return JSON.parse(response.result.content[0].text);
+  }
+
+  beforeAll(async () => {
+    await fs.mkdir(testDir, { recursive: true });
+    server = startStdioServer();
+  });
+
+  afterAll(async () => {
+    server.close();
+    await fs.rm(testDir, { recursive: true, force: true });
+    // Operation snapshots and the result cache of the runs above
+    await fs.rm(path.join(process.cwd(), '.editorconfig-mcp'), { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    await fs.writeFile(testFile, original);
+    await fs.writeFile(path.join(testDir, 'clean.js'), 'const a = 1;\n');
+  });
+
+  it('should list every tool', async () => {
+    const response = await server.call('tools/list');
+
+    expect(response.result.tools.map((tool) => tool.name)).toEqual([
+      'format_file',
+      'format_files',
+      'format_content',
+      'check_file',
+      'check_files',
+      'resolve_config',
+      'revert_format',
+      'list_operations',
+      'start_watch',
+      'stop_watch',
+      'get_server_config',
+      'list_workspaces',
+    ]);
+  });
+
+  it('should negotiate the protocol version and answer ping', async () => {
+    const init = await server.call('initialize', {
+      protocolVersion: '2025-03-26',
+      capabilities: {},
+      clientInfo: { name: 'test', version: '1.0.0' },
+    });
+    const ping = await server.call('ping');
+
+    expect(init.result.protocolVersion).toBe('2025-03-26');
+    expect(ping.result).toEqual({});
+  });
+
+  describe('parity with the HTTP server', () => {
+    it.each([
+      ['format_file', { file_path: 'test-files-parity/test.js', dry_run: true }],
+      ['format_files', { pattern: 'test-files-parity/*.js', dry_run: true, cache: false }],
+      ['format_content', { content: 'a  \nb', file_path: 'test-files-parity/new.js' }],
+      ['check_file', { file_path: 'test-files-parity/test.js' }],
+      ['check_files', { pattern: 'test-files-parity/*.js', cache: false }],
+      ['resolve_config', { file_path: 'test-files-parity/test.js' }],
+    ])('should return identical results for %s', async (tool, args) => {
+      const stdio = await callTool(tool, args);
+      const http = await request(app).post(`/v1/tools/${tool}`).send(args);
+
+      expect(http.status).toBe(200);
+      expect(stdio).toEqual(http.body);
+    });
+
+    it('should write identical output for format_files', async () => {
+      const args = { pattern: 'test-files-parity/*.js', cache: false };
+
+      const stdio = await callTool('format_files', args);
+      const stdioContent = await fs.readFile(testFile, 'utf8');
+
+      await fs.writeFile(testFile, original);
+      const http = await request(app).post('/v1/tools/format_files').send(args);
+      const httpContent = await fs.readFile(testFile, 'utf8');
+
+      // Each run is recorded as its own operation
+      expect(stdio.operation_id).toEqual(expect.any(String));
+      expect(stdio.operation_id).not.toBe(http.body.operation_id);
+      expect({ ...stdio, operation_id: undefined }).toEqual({
+        ...http.body,
+        operation_id: undefined,
+      });
+      expect(stdioContent).toBe(httpContent);
+      expect(stdioContent).not.toBe(original);
+    });
+
+    it('should refuse paths outside the project on both transports', async () => {
+      const args = { file_path: '../outside.js' };
+
+      const stdio = await callTool('format_file', args);
+      const http = await request(app).post('/v1/tools/format_file').send(args);
+
+      expect(stdio).toMatchObject({ success: false, error: 'FORBIDDEN_PATH' });
+      expect(http.status).toBe(403);
+    });
+  });
+});
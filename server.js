@@ -1,58 +1,318 @@
 #!/usr/bin/env node
 
 const express = require('express');
-const fs = require('fs').promises;
-const path = require('path');
-const eclint = require('eclint');
-const vfs = require('vinyl-fs');
 const Ajv = require('ajv');
 const rateLimit = require('express-rate-limit');
+const { createAuth, requestToken } = require('./lib/auth');
+const {
+  loadConfig,
+  parseSize,
+  redactConfig,
+  runOptions,
+  settingsSchema,
+  TOOL_NAMES,
+} = require('./lib/config');
+const { FormatterError } = require('./lib/errors');
+const formatter = require('./lib/formatter');
+const { createMcpRouter } = require('./lib/mcp-http');
+const { loadPlugins } = require('./lib/plugins');
+const { createSandbox, isInside } = require('./lib/sandbox');
+const watch = require('./lib/watch');
+const { allowedRoots, createWorkspaces } = require('./lib/workspace');
+
+// Settings from package.json, editorconfig-mcp.config.json and the environment,
+// and from the command line when this file is run directly
+let config;
+let sandbox;
+let auth;
+let workspaces;
+try {
+  config = loadConfig({ argv: require.main === module ? process.argv.slice(2) : [] });
+  // Broken plugins stop the server here rather than fail every file later
+  loadPlugins(config.settings.plugins);
+  // Every tool works within the configured roots and workspaces, or those of the calling client
+  sandbox = createSandbox(allowedRoots(config.settings));
+  auth = createAuth({ settings: config.settings, sandbox });
+  workspaces = createWorkspaces(config.settings);
+} catch (error) {
+  if (require.main !== module) {
+    throw error;
+  }
+  console.error(error.message);
+  process.exit(1);
+}
+const { settings } = config;
 
 const app = express();
-const PORT = process.env.PORT || 8432; // Default port for EditorConfig MCP
+const PORT = settings.port; // 8432 unless configured
 const API_VERSION = '1.0.0';
 
 // JSON Schema validator
 const ajv = new Ajv();
 
 // Middleware
-app.use(express.json({ limit: '1mb' })); // Limit payload size
-
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 60 * 1000, // 1 minute
-  max: 100, // 100 requests per minute
-  standardHeaders: true,
-  legacyHeaders: false,
-  handler: (req, res) => {
-    res.status(429).json({
-      error: 'Too many requests',
-      message: 'Rate limit exceeded',
-      hint: 'Please wait before making more requests',
-    });
-  },
+app.use(express.json({ limit: settings.bodyLimit })); // Limit payload size
+
+// Rate limiting, per IP unless keyGenerator says otherwise
+function createLimiter({ windowMs, max }, keyGenerator) {
+  return rateLimit({
+    windowMs,
+    max,
+    standardHeaders: true,
+    legacyHeaders: false,
+    ...(keyGenerator && { keyGenerator }),
+    handler: (req, res) => {
+      res.status(429).json({
+        error: 'Too many requests',
+        message: 'Rate limit exceeded',
+        hint: 'Please wait before making more requests',
+      });
+    },
+  });
+}
+
+const limiter = createLimiter(settings.rateLimit);
+
+// Watch events go to the SSE feed along with the client whose watch produced them
+const watchClients = new Set();
+
+// Every client gets its own rate limit, counted by name, and its own watches
+auth.clients.forEach((client) => {
+  client.limiter = client.name ? createLimiter(client.rateLimit, () => client.name) : limiter;
+  client.watches = watch.createWatchManager({
+    sandbox: client.sandbox,
+    ignore: settings.ignore,
+    plugins: settings.plugins,
+    onEvent: (event) => watchClients.forEach((listener) => listener(event, client)),
+  });
+});
+
+// Requests count against their client once authenticated, and against their IP otherwise
+app.use((req, res, next) => {
+  req.client = auth.authenticate(req);
+  (req.client ? req.client.limiter : limiter)(req, res, next);
 });
 
-app.use(limiter);
+// Tools, watch events and /mcp need a known client once clients are configured
+app.use(['/v1', '/mcp'], (req, res, next) => {
+  if (req.client) {
+    return next();
+  }
+  res.set('WWW-Authenticate', 'Bearer realm="editorconfig-mcp"');
+  return sendError(
+    res,
+    401,
+    'Unauthorized',
+    requestToken(req)
+      ? 'Unknown token'
+      : 'Send a token as "Authorization: Bearer <token>" or in an X-API-Key header'
+  );
+});
+
+// Clients may be limited to some of the tools. Routes match whatever the case of
+// the path, so the tool name is compared in lowercase too.
+app.use('/v1/tools/:tool', (req, res, next) => {
+  const tool = req.params.tool.toLowerCase();
+  if (!TOOL_NAMES.includes(tool) || req.client.tools.includes(tool)) {
+    return next();
+  }
+  return sendError(
+    res,
+    403,
+    'Forbidden tool',
+    `Client ${req.client.name} is not allowed to call ${tool}`
+  );
+});
+
+// Tools run in the workspace a request names, or in its client's sandbox. Workspace
+// fields of the wrong type are left for the tool's own validation.
+app.use('/v1/tools/:tool', (req, res, next) => {
+  const name = req.body && req.body.workspace;
+  try {
+    req.workspace = workspaces.resolve(
+      req.client.sandbox,
+      typeof name === 'string' ? name : undefined
+    );
+  } catch (error) {
+    return sendToolError(res, error, 'resolving the workspace');
+  }
+  next();
+});
 
 // Input schemas
+
+// Workspace field of every tool that works on files
+const workspaceProperty = {
+  type: 'string',
+  pattern: '^[A-Za-z0-9_.-]+$',
+  maxLength: 64,
+  description:
+    'Name of the workspace (see list_workspaces) to work in; paths and patterns are relative to its root',
+};
+
+const prettierProperty = {
+  type: 'boolean',
+  default: false,
+  description:
+    'Also format with the Prettier installed in the project, after the editorconfig pass',
+};
+
 const formatFileSchema = {
   type: 'object',
   properties: {
+    workspace: workspaceProperty,
     file_path: {
       type: 'string',
       pattern: '^[^\\0]+$',
       minLength: 1,
       maxLength: 1024,
     },
+    dry_run: {
+      type: 'boolean',
+      default: false,
+      description: 'Return a unified diff of the changes instead of writing the file',
+    },
+    prettier: prettierProperty,
   },
   required: ['file_path'],
   additionalProperties: false,
 };
 
+// File selection, cache and concurrency fields shared by format_files and check_files
+const fileSelectionProperties = {
+  staged: {
+    type: 'boolean',
+    default: false,
+    description: 'Only files with staged changes',
+  },
+  modified: {
+    type: 'boolean',
+    default: false,
+    description: 'Only files changed in the working tree vs HEAD, including untracked files',
+  },
+  since: {
+    type: 'string',
+    pattern: '^[^-\\0][^\\0]*$',
+    minLength: 1,
+    maxLength: 256,
+    description: 'Only files changed since this git ref (branch, tag or commit)',
+  },
+  tracked_only: {
+    type: 'boolean',
+    default: false,
+    description: 'Only files tracked by git',
+  },
+  exclude: {
+    type: 'array',
+    items: {
+      type: 'string',
+      pattern: '^[^\\0]+$',
+      minLength: 1,
+      maxLength: 256,
+    },
+    maxItems: 100,
+    description:
+      'Extra ignore rules in gitignore syntax, applied after the defaults and .editorconfigignore',
+  },
+  limit: {
+    type: 'integer',
+    minimum: 1,
+    maximum: settings.maxFiles,
+    default: settings.maxFiles,
+    description: 'Maximum number of files to process in this batch',
+  },
+  cursor: {
+    type: 'string',
+    minLength: 1,
+    maxLength: 4096,
+    description: 'next_cursor from the previous batch, to continue where it stopped',
+  },
+  cache: {
+    type: 'boolean',
+    default: true,
+    description:
+      'Reuse results for files whose contents and .editorconfig rules are unchanged since an earlier run',
+  },
+  concurrency: {
+    type: 'integer',
+    minimum: 1,
+    maximum: formatter.MAX_CONCURRENCY,
+    description:
+      'Number of files processed in parallel on worker threads (default: EDITORCONFIG_MCP_CONCURRENCY, or up to 4)',
+  },
+};
+
 const formatFilesSchema = {
   type: 'object',
   properties: {
+    workspace: workspaceProperty,
+    pattern: {
+      type: 'string',
+      pattern: '^[^\\0]+$',
+      minLength: 1,
+      maxLength: 256,
+      default: '**/*',
+    },
+    dry_run: {
+      type: 'boolean',
+      default: false,
+      description: 'Return unified diffs of the changes instead of writing files',
+    },
+    prettier: prettierProperty,
+    ...fileSelectionProperties,
+  },
+  additionalProperties: false,
+};
+
+const formatContentSchema = {
+  type: 'object',
+  properties: {
+    workspace: workspaceProperty,
+    content: {
+      type: 'string',
+      description: 'Text to format',
+    },
+    file_path: {
+      type: 'string',
+      pattern: '^[^\\0]+$',
+      minLength: 1,
+      maxLength: 1024,
+      description: 'Virtual path used to resolve .editorconfig sections; the file need not exist',
+    },
+  },
+  required: ['content', 'file_path'],
+  additionalProperties: false,
+};
+
+// Output format field of check_file and check_files
+const reportFormatProperty = {
+  type: 'string',
+  enum: formatter.REPORT_FORMATS,
+  default: 'json',
+  description:
+    'Also return the violations in report, as a SARIF 2.1.0 log (sarif) or JUnit XML (junit)',
+};
+
+const checkFileSchema = {
+  type: 'object',
+  properties: {
+    workspace: workspaceProperty,
+    file_path: {
+      type: 'string',
+      pattern: '^[^\\0]+$',
+      minLength: 1,
+      maxLength: 1024,
+    },
+    report_format: reportFormatProperty,
+  },
+  required: ['file_path'],
+  additionalProperties: false,
+};
+
+const checkFilesSchema = {
+  type: 'object',
+  properties: {
+    workspace: workspaceProperty,
     pattern: {
       type: 'string',
       pattern: '^[^\\0]+$',
@@ -60,21 +320,183 @@ const formatFilesSchema = {
       maxLength: 256,
       default: '**/*',
     },
+    report_format: reportFormatProperty,
+    ...fileSelectionProperties,
+  },
+  additionalProperties: false,
+};
+
+const resolveConfigSchema = {
+  type: 'object',
+  properties: {
+    workspace: workspaceProperty,
+    file_path: {
+      type: 'string',
+      pattern: '^[^\\0]+$',
+      minLength: 1,
+      maxLength: 1024,
+      description: 'Path to resolve; the file need not exist',
+    },
+  },
+  required: ['file_path'],
+  additionalProperties: false,
+};
+
+const revertFormatSchema = {
+  type: 'object',
+  properties: {
+    workspace: workspaceProperty,
+    operation_id: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 64,
+      description: 'operation_id returned by format_file or format_files',
+    },
+    force: {
+      type: 'boolean',
+      default: false,
+      description: 'Also restore files that were edited after formatting',
+    },
+  },
+  required: ['operation_id'],
+  additionalProperties: false,
+};
+
+const getServerConfigSchema = {
+  type: 'object',
+  properties: {},
+  additionalProperties: false,
+};
+
+const listWorkspacesSchema = {
+  type: 'object',
+  properties: {},
+  additionalProperties: false,
+};
+
+const listOperationsSchema = {
+  type: 'object',
+  properties: {
+    workspace: workspaceProperty,
+    limit: {
+      type: 'integer',
+      minimum: 1,
+      maximum: formatter.MAX_OPERATIONS,
+      default: formatter.MAX_OPERATIONS,
+      description: 'Maximum number of operations to return',
+    },
+  },
+  additionalProperties: false,
+};
+
+const startWatchSchema = {
+  type: 'object',
+  properties: {
+    workspace: workspaceProperty,
+    patterns: {
+      type: 'array',
+      items: {
+        type: 'string',
+        pattern: '^[^\\0]+$',
+        minLength: 1,
+        maxLength: 256,
+      },
+      minItems: 1,
+      maxItems: 20,
+      default: ['**/*'],
+      description: 'Glob patterns for files to watch',
+    },
+    mode: {
+      type: 'string',
+      enum: ['format', 'check'],
+      default: 'format',
+      description: 'Format files in place, or only report violations',
+    },
+    debounce_ms: {
+      type: 'integer',
+      minimum: watch.MIN_DEBOUNCE_MS,
+      maximum: watch.MAX_DEBOUNCE_MS,
+      default: watch.DEFAULT_DEBOUNCE_MS,
+      description: 'Wait this long after the last write to a file before processing it',
+    },
+    exclude: fileSelectionProperties.exclude,
+  },
+  additionalProperties: false,
+};
+
+const stopWatchSchema = {
+  type: 'object',
+  properties: {
+    watch_id: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 64,
+      description: 'watch_id returned by start_watch',
+    },
   },
+  required: ['watch_id'],
   additionalProperties: false,
 };
 
+const violationSchema = {
+  type: 'object',
+  properties: {
+    file: { type: 'string' },
+    line: { type: 'integer' },
+    column: { type: 'integer' },
+    rule: { type: 'string', description: 'EditorConfig property that was violated' },
+    message: { type: 'string' },
+  },
+};
+
+const exclusionSchema = {
+  type: 'object',
+  properties: {
+    file: { type: 'string' },
+    source: {
+      type: 'string',
+      enum: ['default', '.editorconfigignore', 'exclude', 'binary'],
+      description: 'Where the rule that excluded the file came from',
+    },
+    rule: { type: 'string', description: 'Ignore rule that excluded the file' },
+  },
+};
+
+const cacheStatsSchema = {
+  type: 'object',
+  description: 'Files answered from the result cache (hits) and run through eclint (misses)',
+  properties: {
+    hits: { type: 'integer' },
+    misses: { type: 'integer' },
+  },
+};
+
+const reportSchema = {
+  description:
+    'The violations in the requested report_format: a SARIF 2.1.0 log ' +
+    '(https://json.schemastore.org/sarif-2.1.0.json) for sarif, JUnit XML for junit. ' +
+    'Absent for json',
+  oneOf: [
+    { type: 'object', description: 'SARIF 2.1.0 log' },
+    { type: 'string', description: 'JUnit XML document' },
+  ],
+};
+
 // Compiled validators
 const validateFormatFile = ajv.compile(formatFileSchema);
 const validateFormatFiles = ajv.compile(formatFilesSchema);
+const validateFormatContent = ajv.compile(formatContentSchema);
+const validateCheckFile = ajv.compile(checkFileSchema);
+const validateCheckFiles = ajv.compile(checkFilesSchema);
+const validateResolveConfig = ajv.compile(resolveConfigSchema);
+const validateRevertFormat = ajv.compile(revertFormatSchema);
+const validateListOperations = ajv.compile(listOperationsSchema);
+const validateGetServerConfig = ajv.compile(getServerConfigSchema);
+const validateListWorkspaces = ajv.compile(listWorkspacesSchema);
+const validateStartWatch = ajv.compile(startWatchSchema);
+const validateStopWatch = ajv.compile(stopWatchSchema);
 
 // Helper functions
-function isPathSafe(filePath) {
-  const projectRoot = process.cwd();
-  const absolutePath = path.resolve(projectRoot, filePath);
-  return absolutePath.startsWith(projectRoot) && !absolutePath.includes('..');
-}
-
 function sendError(res, status, message, hint, expected_format) {
   const error = { error: message, message, hint };
   if (expected_format) {
@@ -83,6 +505,84 @@ function sendError(res, status, message, hint, expected_format) {
   return res.status(status).json(error);
 }
 
+// Map errors raised by the formatting core onto HTTP responses. Only unexpected
+// failures are logged: anyone can cause the others with a bad request.
+function sendToolError(res, error, action) {
+  switch (error.code) {
+    case 'FORBIDDEN_PATH':
+      return sendError(
+        res,
+        403,
+        'Forbidden path',
+        'File path must be within the project directory'
+      );
+    case 'FILE_NOT_FOUND':
+      return sendError(res, 404, 'File not found', error.message);
+    case 'OPERATION_NOT_FOUND':
+      return sendError(res, 404, 'Operation not found', error.message);
+    case 'OPERATION_REVERTED':
+      return sendError(res, 409, 'Already reverted', error.message);
+    case 'WATCH_NOT_FOUND':
+      return sendError(res, 404, 'Watch not found', error.message);
+    case 'WORKSPACE_NOT_FOUND':
+      return sendError(res, 404, 'Workspace not found', error.message);
+    case 'TOO_MANY_WATCHES':
+      return sendError(res, 409, 'Too many watches', error.message);
+    case 'INVALID_WATCH':
+    case 'INVALID_CONCURRENCY':
+    case 'INVALID_REPORT_FORMAT':
+    case 'INVALID_CURSOR':
+    case 'INVALID_LIMIT':
+      return sendError(res, 422, 'Invalid input', error.message);
+    case 'CONTENT_TOO_LARGE':
+      return sendError(res, 413, 'Payload too large', error.message);
+    case 'GIT_ERROR':
+      return sendError(res, 422, 'Git selection failed', error.message);
+    case 'PRETTIER_NOT_FOUND':
+      return sendError(res, 422, 'Prettier not available', error.message);
+    default:
+      console.error(`Error while ${action}:`, error);
+      return sendError(res, 500, 'Processing failed', `An error occurred while ${action}`);
+  }
+}
+
+// Map the file selection fields of a request body onto formatter options, on top of the
+// configured ones, within the sandbox and ignore rules of the workspace
+function fileSelection(
+  { staged, modified, since, tracked_only, exclude, limit, cursor, cache, concurrency },
+  { sandbox, ignore }
+) {
+  return {
+    ...runOptions(settings),
+    sandbox,
+    ignore,
+    staged,
+    modified,
+    since,
+    trackedOnly: tracked_only,
+    exclude,
+    limit,
+    cursor,
+    cache,
+    ...(concurrency !== undefined && { concurrency }),
+  };
+}
+
+// Expected format of the file selection fields, for validation errors
+const fileSelectionFormat = {
+  staged: 'boolean (optional)',
+  modified: 'boolean (optional)',
+  since: 'string (git ref, optional)',
+  tracked_only: 'boolean (optional)',
+  exclude: 'array of gitignore-style rules (optional)',
+  limit: `integer (1-${settings.maxFiles}, optional)`,
+  cursor: 'string (next_cursor from the previous batch, optional)',
+  cache: 'boolean (optional)',
+  concurrency: `integer (1-${formatter.MAX_CONCURRENCY}, optional)`,
+};
+
+const reportFormatDescription = `string (${formatter.REPORT_FORMATS.join(', ')}, optional)`;
+
 // Tools endpoints (verb_noun pattern)
 
 /**
@@ -92,137 +592,356 @@ app.post('/v1/tools/format_file', async (req, res) => {
   if (!validateFormatFile(req.body)) {
     return sendError(res, 422, 'Invalid input', 'Check the file_path field', {
       file_path: 'string (path to file)',
+      dry_run: 'boolean (optional)',
+      prettier: 'boolean (optional)',
     });
   }
 
-  const { file_path } = req.body;
+  const { file_path, dry_run = false, prettier = false } = req.body;
+
+  try {
+    res.json(
+      await formatter.formatFile(file_path, {
+        dryRun: dry_run,
+        prettier,
+        sandbox: req.workspace.sandbox,
+        plugins: settings.plugins,
+      })
+    );
+  } catch (error) {
+    return sendToolError(res, error, 'formatting the file');
+  }
+});
 
-  if (!isPathSafe(file_path)) {
-    return sendError(res, 403, 'Forbidden path', 'File path must be within the project directory');
+/**
+ * Format multiple files matching a pattern
+ */
+app.post('/v1/tools/format_files', async (req, res) => {
+  if (!validateFormatFiles(req.body)) {
+    return sendError(res, 422, 'Invalid input', 'Check the pattern and file selection fields', {
+      pattern: 'string (glob pattern, optional)',
+      dry_run: 'boolean (optional)',
+      prettier: 'boolean (optional)',
+      ...fileSelectionFormat,
+    });
+  }
+
+  const { pattern = '**/*', dry_run = false, prettier = false } = req.body;
+  const options = { dryRun: dry_run, prettier, ...fileSelection(req.body, req.workspace) };
+
+  if (req.accepts(['application/json', 'application/x-ndjson']) === 'application/x-ndjson') {
+    return streamFormatFiles(req, res, pattern, options);
   }
 
   try {
-    await fs.access(file_path);
-
-    // Use vinyl-fs to read, process with eclint, and write back
-    await new Promise((resolve, reject) => {
-      vfs
-        .src(file_path) // Read file as vinyl stream
-        .pipe(eclint.fix()) // Process with eclint
-        .pipe(vfs.dest(path.dirname(file_path))) // Write back to same directory
-        .on('finish', resolve)
-        .on('error', reject);
-    });
+    res.json(await formatter.formatFiles(pattern, options));
+  } catch (error) {
+    return sendToolError(res, error, 'formatting files');
+  }
+});
 
-    // Get the file size after formatting
-    const stats = await fs.stat(file_path);
+/**
+ * NDJSON variant of format_files: one `file` line per processed or skipped
+ * file as soon as it is done, then a final `summary` (or `error`) line.
+ */
+async function streamFormatFiles(req, res, pattern, options) {
+  // Stop the run if the client goes away before the summary line
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
 
-    res.json({
-      success: true,
-      file_path,
-      bytes: stats.size,
+  // Headers are only sent with the first line, so early failures still get a proper status
+  const writeLine = (line) => {
+    if (!res.headersSent) {
+      res.status(200).type('application/x-ndjson');
+    }
+    res.write(JSON.stringify(line) + '\n');
+  };
+
+  try {
+    const result = await formatter.formatFiles(pattern, {
+      ...options,
+      signal: controller.signal,
+      onProgress: (event) => writeLine({ type: 'file', ...event }),
     });
+    writeLine({ type: 'summary', ...result });
+    res.end();
   } catch (error) {
-    if (error.code === 'ENOENT') {
-      return sendError(res, 404, 'File not found', `File does not exist: ${file_path}`);
+    if (error.code === 'CANCELLED') {
+      return;
     }
-    return sendError(res, 500, 'Processing failed', 'An error occurred while formatting the file');
+    if (!res.headersSent) {
+      return sendToolError(res, error, 'formatting files');
+    }
+    if (!(error instanceof FormatterError)) {
+      console.error('Error while formatting files:', error);
+    }
+    writeLine({ type: 'error', error: error.code || 'PROCESSING_FAILED', message: error.message });
+    res.end();
+  }
+}
+
+/**
+ * Format in-memory content using the rules that apply to a virtual path
+ */
+app.post('/v1/tools/format_content', async (req, res) => {
+  if (!validateFormatContent(req.body)) {
+    return sendError(res, 422, 'Invalid input', 'Check the content and file_path fields', {
+      content: 'string (text to format)',
+      file_path: 'string (virtual path used to resolve .editorconfig)',
+    });
+  }
+
+  const { content, file_path } = req.body;
+
+  try {
+    res.json(
+      await formatter.formatContent(content, file_path, {
+        maxBytes: parseSize(settings.bodyLimit),
+        sandbox: req.workspace.sandbox,
+        plugins: settings.plugins,
+      })
+    );
+  } catch (error) {
+    return sendToolError(res, error, 'formatting the content');
   }
 });
 
 /**
- * Format multiple files matching a pattern
+ * Check a single file without modifying it
  */
-app.post('/v1/tools/format_files', async (req, res) => {
-  if (!validateFormatFiles(req.body)) {
-    return sendError(res, 422, 'Invalid input', 'Check the pattern field', {
+app.post('/v1/tools/check_file', async (req, res) => {
+  if (!validateCheckFile(req.body)) {
+    return sendError(res, 422, 'Invalid input', 'Check the file_path and report_format fields', {
+      file_path: 'string (path to file)',
+      report_format: reportFormatDescription,
+    });
+  }
+
+  const { file_path, report_format } = req.body;
+
+  try {
+    res.json(
+      await formatter.checkFile(file_path, {
+        reportFormat: report_format,
+        sandbox: req.workspace.sandbox,
+        plugins: settings.plugins,
+      })
+    );
+  } catch (error) {
+    return sendToolError(res, error, 'checking the file');
+  }
+});
+
+/**
+ * Check multiple files matching a pattern without modifying them
+ */
+app.post('/v1/tools/check_files', async (req, res) => {
+  if (!validateCheckFiles(req.body)) {
+    return sendError(res, 422, 'Invalid input', 'Check the pattern and file selection fields', {
       pattern: 'string (glob pattern, optional)',
+      report_format: reportFormatDescription,
+      ...fileSelectionFormat,
     });
   }
 
-  const { pattern = '**/*' } = req.body;
+  const { pattern = '**/*', report_format } = req.body;
 
   try {
-    const matchedFiles = [];
-    const processedFiles = [];
-    const skippedFiles = [];
-
-    // Use vinyl-fs for both globbing and processing
-    await new Promise((resolve, reject) => {
-      const srcStream = vfs.src(pattern, {
-        nodir: true,
-        ignore: ['node_modules/**', '.git/**', '*.log'],
-      });
+    res.json(
+      await formatter.checkFiles(pattern, {
+        reportFormat: report_format,
+        ...fileSelection(req.body, req.workspace),
+      })
+    );
+  } catch (error) {
+    return sendToolError(res, error, 'checking files');
+  }
+});
 
-      let fileCount = 0;
-
-      srcStream
-        .on('data', (file) => {
-          fileCount++;
-          if (fileCount > 1000) {
-            srcStream.destroy();
-            reject(new Error('Pattern matches too many files. Limit is 1000.'));
-            return;
-          }
-          matchedFiles.push(file.path);
-        })
-        .pipe(eclint.fix())
-        .on('data', (file) => {
-          // File successfully processed by eclint
-          processedFiles.push(file.path);
-        })
-        .on('error', (err, file) => {
-          // Handle individual file errors
-          if (file && file.path) {
-            skippedFiles.push(file.path);
-            console.warn(`Skipped file (eclint error): ${file.path} - ${err.message}`);
-          }
-        })
-        .pipe(vfs.dest('.'))
-        .on('finish', () => {
-          // Check for files that matched but weren't processed
-          const processedSet = new Set(processedFiles);
-          matchedFiles.forEach((filePath) => {
-            if (!processedSet.has(filePath) && !skippedFiles.includes(filePath)) {
-              skippedFiles.push(filePath);
-              console.warn(`Skipped file (processing error): ${filePath}`);
-            }
-          });
-          resolve();
-        })
-        .on('error', (err) => {
-          console.error(`Stream error: ${err.message}`);
-          reject(err);
-        });
+/**
+ * Explain which .editorconfig rules apply to a path
+ */
+app.post('/v1/tools/resolve_config', async (req, res) => {
+  if (!validateResolveConfig(req.body)) {
+    return sendError(res, 422, 'Invalid input', 'Check the file_path field', {
+      file_path: 'string (path to resolve)',
     });
+  }
 
-    if (processedFiles.length === 0 && matchedFiles.length === 0) {
-      return res.json({
-        success: true,
-        pattern,
-        count: 0,
-        files: [],
-      });
-    }
+  const { file_path } = req.body;
+
+  try {
+    res.json(await formatter.resolveConfig(file_path, { sandbox: req.workspace.sandbox }));
+  } catch (error) {
+    return sendToolError(res, error, 'resolving the config');
+  }
+});
 
-    res.json({
-      success: true,
-      pattern,
-      count: processedFiles.length,
-      files: processedFiles,
-      skipped: skippedFiles.length > 0 ? skippedFiles : undefined,
+/**
+ * Restore the files changed by an earlier formatting run
+ */
+app.post('/v1/tools/revert_format', async (req, res) => {
+  if (!validateRevertFormat(req.body)) {
+    return sendError(res, 422, 'Invalid input', 'Check the operation_id field', {
+      operation_id: 'string (from format_file or format_files)',
+      force: 'boolean (optional)',
     });
+  }
+
+  const { operation_id, force = false } = req.body;
+
+  try {
+    res.json(await formatter.revertFormat(operation_id, { force, sandbox: req.workspace.sandbox }));
   } catch (error) {
-    console.error('Format files error:', error);
-    if (error.message && error.message.includes('too many files')) {
-      return sendError(res, 422, 'Too many files', error.message, {
-        pattern: 'Use a more specific pattern',
-      });
-    }
-    return sendError(res, 500, 'Processing failed', 'An error occurred while formatting files');
+    return sendToolError(res, error, 'reverting the operation');
+  }
+});
+
+/**
+ * List recent formatting runs that can be reverted
+ */
+app.post('/v1/tools/list_operations', async (req, res) => {
+  if (!validateListOperations(req.body)) {
+    return sendError(res, 422, 'Invalid input', 'Check the limit field', {
+      limit: `integer (1-${formatter.MAX_OPERATIONS}, optional)`,
+    });
+  }
+
+  try {
+    res.json(
+      await formatter.listOperations({ limit: req.body.limit, sandbox: req.workspace.sandbox })
+    );
+  } catch (error) {
+    return sendToolError(res, error, 'listing operations');
+  }
+});
+
+/**
+ * Report the effective settings and where each one came from
+ */
+app.post('/v1/tools/get_server_config', (req, res) => {
+  if (!validateGetServerConfig(req.body)) {
+    return sendError(res, 422, 'Invalid input', 'get_server_config takes no fields');
+  }
+
+  res.json({
+    success: true,
+    ...redactConfig(config, { client: req.client.name, sandbox: req.client.sandbox }),
+  });
+});
+
+/**
+ * List the named workspaces the client can work in
+ */
+app.post('/v1/tools/list_workspaces', (req, res) => {
+  if (!validateListWorkspaces(req.body)) {
+    return sendError(res, 422, 'Invalid input', 'list_workspaces takes no fields');
+  }
+
+  res.json({
+    success: true,
+    default_root: req.client.sandbox.cwd,
+    workspaces: workspaces.list(req.client.sandbox),
+  });
+});
+
+/**
+ * Start formatting or checking files shortly after they are written
+ */
+app.post('/v1/tools/start_watch', async (req, res) => {
+  if (!validateStartWatch(req.body)) {
+    return sendError(res, 422, 'Invalid input', 'Check the watch fields', {
+      patterns: 'array of glob patterns (optional)',
+      mode: 'string (format or check, optional)',
+      debounce_ms: `integer (${watch.MIN_DEBOUNCE_MS}-${watch.MAX_DEBOUNCE_MS}, optional)`,
+      exclude: 'array of gitignore-style rules (optional)',
+    });
+  }
+
+  const { patterns, mode, debounce_ms, exclude } = req.body;
+
+  try {
+    res.json(
+      await req.client.watches.start({
+        patterns,
+        mode,
+        debounceMs: debounce_ms,
+        exclude,
+        workspace: req.body.workspace,
+        sandbox: req.workspace.sandbox,
+        ignore: req.workspace.ignore,
+      })
+    );
+  } catch (error) {
+    return sendToolError(res, error, 'starting the watch');
+  }
+});
+
+/**
+ * Stop a watch
+ */
+app.post('/v1/tools/stop_watch', async (req, res) => {
+  if (!validateStopWatch(req.body)) {
+    return sendError(res, 422, 'Invalid input', 'Check the watch_id field', {
+      watch_id: 'string (from start_watch)',
+    });
+  }
+
+  try {
+    res.json(await req.client.watches.stop(req.body.watch_id));
+  } catch (error) {
+    return sendToolError(res, error, 'stopping the watch');
   }
 });
 
+/**
+ * Server-sent events feed of watch events, optionally for a single watch_id.
+ * Clients see their own watches and the events of those started with --watch
+ * for files inside their sandbox.
+ */
+app.get('/v1/watch/events', (req, res) => {
+  if (!req.client.tools.includes('start_watch')) {
+    return sendError(
+      res,
+      403,
+      'Forbidden tool',
+      `Client ${req.client.name} is not allowed to call start_watch`
+    );
+  }
+  const watchId = req.query.watch_id;
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+
+  // Events of --watch watches only reach clients whose sandbox holds the file
+  const listener = (event, owner) => {
+    const visible =
+      owner === req.client ||
+      (owner === auth.anonymous &&
+        req.client.sandbox.roots.some((root) => isInside(root, event.file)));
+    if (visible && (!watchId || event.watch_id === watchId)) {
+      res.write(`event: ${event.event}\ndata: ${JSON.stringify(event)}\n\n`);
+    }
+  };
+  // Comment lines keep proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 30 * 1000);
+  watchClients.add(listener);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    watchClients.delete(listener);
+  });
+});
+
+// MCP Streamable HTTP transport (same tools and lifecycle as the stdio server)
+app.use('/mcp', createMcpRouter({ config, sandbox, workspaces, watches: auth.anonymous.watches }));
+
 // Metadata endpoints
 
 /**
@@ -237,22 +956,232 @@ app.get('/openapi.json', (req, res) => {
       version: API_VERSION,
     },
     servers: [{ url: `http://localhost:${PORT}` }],
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      },
+    },
+    // Tools need one of the client tokens once clients are configured
+    ...(auth.enabled && { security: [{ bearerAuth: [] }, { apiKey: [] }] }),
     paths: {
       '/v1/tools/format_file': {
         post: {
-          summary: 'Format a single file',
+          summary: 'Format a single file',
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: formatFileSchema,
+                example: { file_path: 'src/index.js' },
+              },
+            },
+          },
+          responses: {
+            200: {
+              description: 'File formatted successfully',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { type: 'boolean' },
+                      file_path: { type: 'string' },
+                      bytes: { type: 'integer' },
+                      dry_run: { type: 'boolean' },
+                      changed: {
+                        type: 'boolean',
+                        description:
+                          'Whether formatting changed the file (or would, in dry run mode); ' +
+                          'unchanged files are not rewritten',
+                      },
+                      diff: {
+                        type: 'string',
+                        description: 'Unified diff of the pending changes (dry run only)',
+                      },
+                      changed_by: {
+                        type: 'array',
+                        items: { type: 'string', enum: ['editorconfig', 'prettier'] },
+                        description: 'Passes that changed the file (prettier runs only)',
+                      },
+                      prettier_skipped: {
+                        type: 'string',
+                        description:
+                          'Why Prettier left the file alone: ignored, unsupported or error: ...',
+                      },
+                      operation_id: {
+                        type: 'string',
+                        description:
+                          'Pass to revert_format to undo this run (only when files changed)',
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/v1/tools/format_files': {
+        post: {
+          summary: 'Format multiple files matching a pattern',
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: formatFilesSchema,
+                example: { pattern: '**/*.js' },
+              },
+            },
+          },
+          responses: {
+            200: {
+              description: 'Files formatted successfully',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { type: 'boolean' },
+                      pattern: { type: 'string' },
+                      count: { type: 'integer' },
+                      changed: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Files that formatting changed (or would, in dry run mode)',
+                      },
+                      unchanged: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Files that were already compliant and were not rewritten',
+                      },
+                      changed_by: {
+                        type: 'object',
+                        additionalProperties: {
+                          type: 'array',
+                          items: { type: 'string', enum: ['editorconfig', 'prettier'] },
+                        },
+                        description: 'Passes that changed each changed file (prettier runs only)',
+                      },
+                      prettier_skipped: {
+                        type: 'array',
+                        items: {
+                          type: 'object',
+                          properties: {
+                            file: { type: 'string' },
+                            reason: { type: 'string' },
+                          },
+                        },
+                        description:
+                          'Files Prettier left alone: ignored, unsupported or error: ...',
+                      },
+                      operation_id: {
+                        type: 'string',
+                        description:
+                          'Pass to revert_format to undo this run (only when files changed)',
+                      },
+                      dry_run: { type: 'boolean' },
+                      diffs: {
+                        type: 'array',
+                        items: {
+                          type: 'object',
+                          properties: {
+                            file: { type: 'string' },
+                            diff: { type: 'string' },
+                          },
+                        },
+                        description: 'Unified diffs for files that would change (dry run only)',
+                      },
+                      skipped: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description:
+                          'Files that were skipped due to permissions, read errors, or processing errors',
+                      },
+                      excluded: { type: 'array', items: exclusionSchema },
+                      next_cursor: {
+                        type: 'string',
+                        description: 'Present when more files remain; pass it back as cursor',
+                      },
+                      cache: cacheStatsSchema,
+                    },
+                  },
+                },
+                'application/x-ndjson': {
+                  schema: {
+                    type: 'object',
+                    description:
+                      'Sent when the request has Accept: application/x-ndjson. One line per file ' +
+                      '({ type: "file", file, status, reason?, source?, rule?, changed?, diff? }) ' +
+                      'followed by a final { type: "summary", ... } or ' +
+                      '{ type: "error", error, message } line.',
+                    properties: {
+                      type: { type: 'string', enum: ['file', 'summary', 'error'] },
+                      file: { type: 'string' },
+                      status: { type: 'string', enum: ['processed', 'skipped', 'excluded'] },
+                      reason: { type: 'string', description: 'Why the file was skipped' },
+                      source: exclusionSchema.properties.source,
+                      rule: exclusionSchema.properties.rule,
+                      cached: {
+                        type: 'boolean',
+                        description: 'The result came from the cache',
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/v1/tools/format_content': {
+        post: {
+          summary: 'Format in-memory content using the rules that apply to a virtual path',
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: formatContentSchema,
+                example: { content: 'const a = 1;  ', file_path: 'src/index.js' },
+              },
+            },
+          },
+          responses: {
+            200: {
+              description: 'Content formatted successfully',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { type: 'boolean' },
+                      file_path: { type: 'string' },
+                      changed: { type: 'boolean' },
+                      content: { type: 'string' },
+                    },
+                  },
+                },
+              },
+            },
+            413: { description: `Request body exceeds the ${settings.bodyLimit} limit` },
+          },
+        },
+      },
+      '/v1/tools/check_file': {
+        post: {
+          summary: 'Check a single file for violations without modifying it',
           requestBody: {
             required: true,
             content: {
               'application/json': {
-                schema: formatFileSchema,
+                schema: checkFileSchema,
                 example: { file_path: 'src/index.js' },
               },
             },
           },
           responses: {
             200: {
-              description: 'File formatted successfully',
+              description: 'File checked successfully',
               content: {
                 'application/json': {
                   schema: {
@@ -260,7 +1189,9 @@ app.get('/openapi.json', (req, res) => {
                     properties: {
                       success: { type: 'boolean' },
                       file_path: { type: 'string' },
-                      bytes: { type: 'integer' },
+                      compliant: { type: 'boolean' },
+                      violations: { type: 'array', items: violationSchema },
+                      report: reportSchema,
                     },
                   },
                 },
@@ -269,21 +1200,21 @@ app.get('/openapi.json', (req, res) => {
           },
         },
       },
-      '/v1/tools/format_files': {
+      '/v1/tools/check_files': {
         post: {
-          summary: 'Format multiple files matching a pattern',
+          summary: 'Check multiple files matching a pattern without modifying them',
           requestBody: {
             required: true,
             content: {
               'application/json': {
-                schema: formatFilesSchema,
+                schema: checkFilesSchema,
                 example: { pattern: '**/*.js' },
               },
             },
           },
           responses: {
             200: {
-              description: 'Files formatted successfully',
+              description: 'Files checked successfully',
               content: {
                 'application/json': {
                   schema: {
@@ -292,15 +1223,242 @@ app.get('/openapi.json', (req, res) => {
                       success: { type: 'boolean' },
                       pattern: { type: 'string' },
                       count: { type: 'integer' },
-                      files: {
+                      compliant: { type: 'boolean' },
+                      violations: { type: 'array', items: violationSchema },
+                      skipped: {
                         type: 'array',
                         items: { type: 'string' },
+                        description: 'Files that were skipped due to read or processing errors',
                       },
-                      skipped: {
+                      excluded: { type: 'array', items: exclusionSchema },
+                      next_cursor: {
+                        type: 'string',
+                        description: 'Present when more files remain; pass it back as cursor',
+                      },
+                      cache: cacheStatsSchema,
+                      report: reportSchema,
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/v1/tools/resolve_config': {
+        post: {
+          summary: 'Explain which .editorconfig rules apply to a path',
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: resolveConfigSchema,
+                example: { file_path: 'src/index.js' },
+              },
+            },
+          },
+          responses: {
+            200: {
+              description: 'Effective properties with the file and section that supplied each one',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { type: 'boolean' },
+                      file_path: { type: 'string' },
+                      config_files: {
                         type: 'array',
                         items: { type: 'string' },
+                        description: '.editorconfig files consulted, nearest first',
+                      },
+                      properties: {
+                        type: 'object',
+                        additionalProperties: {
+                          type: 'object',
+                          properties: {
+                            value: {},
+                            file: { type: 'string' },
+                            section: { type: 'string' },
+                            derived_from: { type: 'string' },
+                          },
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/v1/tools/revert_format': {
+        post: {
+          summary: 'Restore the files changed by an earlier formatting run',
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: revertFormatSchema,
+                example: { operation_id: '20250101T120000000Z-a1b2c3' },
+              },
+            },
+          },
+          responses: {
+            200: {
+              description:
+                'Files restored. success is false when some files were edited after ' +
+                'formatting; those are listed in conflicts and left alone unless force is set.',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { type: 'boolean' },
+                      operation_id: { type: 'string' },
+                      restored: { type: 'array', items: { type: 'string' } },
+                      conflicts: {
+                        type: 'array',
+                        items: {
+                          type: 'object',
+                          properties: {
+                            file: { type: 'string' },
+                            reason: { type: 'string' },
+                          },
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+            404: { description: 'Unknown operation' },
+            409: { description: 'Operation was already reverted' },
+          },
+        },
+      },
+      '/v1/tools/list_operations': {
+        post: {
+          summary: 'List recent formatting runs that can be reverted',
+          requestBody: {
+            content: {
+              'application/json': {
+                schema: listOperationsSchema,
+                example: { limit: 5 },
+              },
+            },
+          },
+          responses: {
+            200: {
+              description: 'Recent operations, newest first',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { type: 'boolean' },
+                      operations: {
+                        type: 'array',
+                        items: {
+                          type: 'object',
+                          properties: {
+                            id: { type: 'string' },
+                            created_at: { type: 'string', format: 'date-time' },
+                            tool: { type: 'string', enum: ['format_file', 'format_files'] },
+                            target: {
+                              type: 'string',
+                              description: 'file_path or pattern of the run',
+                            },
+                            file_count: { type: 'integer' },
+                            reverted_at: { type: 'string', format: 'date-time' },
+                          },
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/v1/tools/get_server_config': {
+        post: {
+          summary: 'Report the effective server settings and where each one came from',
+          requestBody: {
+            content: {
+              'application/json': {
+                schema: getServerConfigSchema,
+                example: {},
+              },
+            },
+          },
+          responses: {
+            200: {
+              description:
+                'Settings after applying defaults, package.json, the config file, ' +
+                'environment variables and command line flags, in that order',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { type: 'boolean' },
+                      settings: settingsSchema,
+                      sources: {
+                        type: 'object',
                         description:
-                          'Files that were skipped due to permissions, read errors, or processing errors',
+                          'Where each setting (keyed like rateLimit.max) came from: default, ' +
+                          'package.json, the config file, env or argv',
+                        additionalProperties: { type: 'string' },
+                      },
+                      files: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Configuration files that were read',
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      '/v1/tools/list_workspaces': {
+        post: {
+          summary: 'List the named workspaces the client can work in',
+          requestBody: {
+            content: {
+              'application/json': {
+                schema: listWorkspacesSchema,
+                example: {},
+              },
+            },
+          },
+          responses: {
+            200: {
+              description: 'Workspaces, which tools accept as their workspace field',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { type: 'boolean' },
+                      default_root: {
+                        type: 'string',
+                        description: 'Root that tools use when no workspace is given',
+                      },
+                      workspaces: {
+                        type: 'array',
+                        items: {
+                          type: 'object',
+                          properties: {
+                            name: { type: 'string' },
+                            root: { type: 'string' },
+                            ignore: { type: 'array', items: { type: 'string' } },
+                          },
+                        },
                       },
                     },
                   },
@@ -310,6 +1468,98 @@ app.get('/openapi.json', (req, res) => {
           },
         },
       },
+      '/v1/tools/start_watch': {
+        post: {
+          summary: 'Format or check files shortly after they are written',
+          description:
+            'Watches the project root. Events and results are published on /v1/watch/events.',
+          requestBody: {
+            content: {
+              'application/json': {
+                schema: startWatchSchema,
+                example: { patterns: ['src/**/*.js'], mode: 'format' },
+              },
+            },
+          },
+          responses: {
+            200: {
+              description: 'Watch started',
+              content: {
+                'application/json': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      success: { type: 'boolean' },
+                      watch_id: { type: 'string' },
+                      root: { type: 'string' },
+                      patterns: { type: 'array', items: { type: 'string' } },
+                      mode: { type: 'string', enum: ['format', 'check'] },
+                      debounce_ms: { type: 'integer' },
+                    },
+                  },
+                },
+              },
+            },
+            403: { description: 'Pattern outside the project directory' },
+            409: { description: `Already ${watch.MAX_WATCHES} watches running` },
+          },
+        },
+      },
+      '/v1/tools/stop_watch': {
+        post: {
+          summary: 'Stop a watch started with start_watch',
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: stopWatchSchema,
+              },
+            },
+          },
+          responses: {
+            200: { description: 'Watch stopped' },
+            404: { description: 'Unknown watch' },
+          },
+        },
+      },
+      '/v1/watch/events': {
+        get: {
+          summary: 'Server-sent events feed of watch events and results',
+          parameters: [
+            {
+              name: 'watch_id',
+              in: 'query',
+              required: false,
+              schema: { type: 'string' },
+              description: 'Only send events of this watch',
+            },
+          ],
+          responses: {
+            200: {
+              description:
+                'One SSE event per watch event, named after its event field: change when a ' +
+                'written file is about to be processed, result with the format_file or ' +
+                'check_file response, error when processing failed',
+              content: {
+                'text/event-stream': {
+                  schema: {
+                    type: 'object',
+                    properties: {
+                      watch_id: { type: 'string' },
+                      event: { type: 'string', enum: ['change', 'result', 'error'] },
+                      file: { type: 'string' },
+                      mode: { type: 'string', enum: ['format', 'check'] },
+                      result: { type: 'object' },
+                      error: { type: 'string' },
+                      message: { type: 'string' },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
     },
   });
 });
@@ -330,6 +1580,7 @@ app.get('/.well-known/mcp/servers.json', (req, res) => {
         endpoints: {
           base: `http://localhost:${PORT}`,
           tools: '/v1/tools',
+          mcp: '/mcp',
         },
         capabilities: {
           tools: [
@@ -343,6 +1594,56 @@ app.get('/.well-known/mcp/servers.json', (req, res) => {
               description: 'Format multiple files matching a pattern',
               input_schema: formatFilesSchema,
             },
+            {
+              name: 'format_content',
+              description: 'Format in-memory content using the rules that apply to a virtual path',
+              input_schema: formatContentSchema,
+            },
+            {
+              name: 'check_file',
+              description: 'Check a single file for violations without modifying it',
+              input_schema: checkFileSchema,
+            },
+            {
+              name: 'check_files',
+              description: 'Check multiple files matching a pattern without modifying them',
+              input_schema: checkFilesSchema,
+            },
+            {
+              name: 'resolve_config',
+              description: 'Explain which .editorconfig rules apply to a path',
+              input_schema: resolveConfigSchema,
+            },
+            {
+              name: 'revert_format',
+              description: 'Restore the files changed by an earlier formatting run',
+              input_schema: revertFormatSchema,
+            },
+            {
+              name: 'list_operations',
+              description: 'List recent formatting runs that can be reverted',
+              input_schema: listOperationsSchema,
+            },
+            {
+              name: 'start_watch',
+              description: 'Format or check files shortly after they are written',
+              input_schema: startWatchSchema,
+            },
+            {
+              name: 'stop_watch',
+              description: 'Stop a watch started with start_watch',
+              input_schema: stopWatchSchema,
+            },
+            {
+              name: 'get_server_config',
+              description: 'Report the effective server settings and where each one came from',
+              input_schema: getServerConfigSchema,
+            },
+            {
+              name: 'list_workspaces',
+              description: 'List the named workspaces the client can work in',
+              input_schema: listWorkspacesSchema,
+            },
           ],
         },
       },
@@ -368,18 +1669,66 @@ app.use((req, res) => {
 
 // Error handler
 app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    if (req.path.startsWith('/mcp')) {
+      return res
+        .status(400)
+        .json({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+    }
+    return sendError(res, 400, 'Invalid JSON', 'The request body must be valid JSON');
+  }
+  if (err.type === 'entity.too.large') {
+    return sendError(
+      res,
+      413,
+      'Payload too large',
+      `Request body must not exceed ${settings.bodyLimit}`
+    );
+  }
   console.error(err);
   sendError(res, 500, 'Internal server error', 'An unexpected error occurred');
 });
 
-// Only start server if this file is run directly
-if (require.main === module) {
-  app.listen(PORT, () => {
+/**
+ * Listen on PORT (on the loopback interface only with localhostOnly), and
+ * start the watch requested by --watch flags in argv.
+ */
+function start(argv = process.argv.slice(2)) {
+  const host = settings.localhostOnly ? '127.0.0.1' : undefined;
+  const server = app.listen(PORT, host, () => {
     console.log(`EditorConfig MCP Server v${API_VERSION}`);
-    console.log(`Listening on port ${PORT}`);
+    console.log(`Listening on ${host ? `${host}:${PORT}` : `port ${PORT}`}`);
+    if (!host && !auth.enabled) {
+      console.warn(
+        'Warning: no clients are configured, so anyone who can reach this port can rewrite ' +
+          'files. Configure clients or set localhostOnly.'
+      );
+    }
     console.log(`OpenAPI spec: http://localhost:${PORT}/openapi.json`);
     console.log(`Manifest: http://localhost:${PORT}/.well-known/mcp/servers.json`);
+    console.log(`MCP endpoint: http://localhost:${PORT}/mcp`);
   });
+
+  const watchOptions = watch.watchOptionsFromArgv(argv);
+  if (watchOptions) {
+    auth.anonymous.watches
+      .start(watchOptions)
+      .then(({ root, patterns }) => {
+        console.log(`Watching ${patterns.join(', ')} in ${root}`);
+        console.log(`Watch events: http://localhost:${PORT}/v1/watch/events`);
+      })
+      .catch((error) => {
+        console.error(`Unable to start watch: ${error.message}`);
+        process.exit(1);
+      });
+  }
+  return server;
+}
+
+// Only start server if this file is run directly
+if (require.main === module) {
+  start();
 }
 
 module.exports = app;
+module.exports.start = start;
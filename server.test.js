@@ -1,8 +1,41 @@
+const { execFileSync, spawn } = require('child_process');
+const readline = require('readline');
 const request = require('supertest');
 const fs = require('fs').promises;
+const http = require('http');
+const net = require('net');
+const os = require('os');
 const path = require('path');
 const app = require('./server');
 
+// A port nothing listens on right now
+function freePort() {
+  return new Promise((resolve) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Start server.js as a child process with its own settings, resolving once it listens
+async function startHttpServer(args, env) {
+  const port = await freePort();
+  const child = spawn(
+    process.execPath,
+    [path.join(__dirname, 'server.js'), '--localhost-only', '--port', String(port), ...args],
+    { env: { ...process.env, ...env }, stdio: ['ignore', 'pipe', 'ignore'] }
+  );
+  return new Promise((resolve, reject) => {
+    child.on('exit', (code) => reject(new Error(`server.js exited with code ${code}`)));
+    readline.createInterface({ input: child.stdout }).on('line', (line) => {
+      if (line === `Listening on 127.0.0.1:${port}`) {
+        resolve({ url: `http://127.0.0.1:${port}`, close: () => child.kill() });
+      }
+    });
+  });
+}
+
 describe('EditorConfig MCP Server', () => {
   const testDir = path.join(__dirname, 'test-files');
   const testFile = path.join(testDir, 'test.js');
@@ -13,8 +46,9 @@ describe('EditorConfig MCP Server', () => {
   });
 
   afterAll(async () => {
-    // Clean up test directory
+    // Clean up test directory, and the operation snapshots and result cache of the runs
     await fs.rm(testDir, { recursive: true, force: true });
+    await fs.rm(path.join(__dirname, '.editorconfig-mcp'), { recursive: true, force: true });
   });
 
   beforeEach(async () => {
@@ -36,6 +70,30 @@ describe('EditorConfig MCP Server', () => {
       });
       expect(response.body.uptime).toBeGreaterThan(0);
     });
+
+    it('should answer while a large run is in progress', async () => {
+      const manyDir = path.join(testDir, 'many');
+      await fs.mkdir(manyDir, { recursive: true });
+      for (let i = 0; i < 40; i++) {
+        await fs.writeFile(path.join(manyDir, `f${i}.js`), 'x = 1;  \n'.repeat(2000));
+      }
+      const finished = [];
+
+      const run = request(app)
+        .post('/v1/tools/check_files')
+        .send({ pattern: 'test-files/many/*.js', cache: false, concurrency: 2 })
+        .then((response) => {
+          finished.push('run');
+          return response;
+        });
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      const health = await request(app).get('/health');
+      finished.push('health');
+
+      expect(health.status).toBe(200);
+      expect((await run).body.count).toBe(40);
+      expect(finished).toEqual(['health', 'run']);
+    });
   });
 
   describe('GET /openapi.json', () => {
@@ -51,6 +109,20 @@ describe('EditorConfig MCP Server', () => {
         },
       });
     });
+
+    it('should document report_format and the report field of check tools', async () => {
+      const { body } = await request(app).get('/openapi.json');
+
+      ['/v1/tools/check_file', '/v1/tools/check_files'].forEach((route) => {
+        const { post } = body.paths[route];
+        expect(
+          post.requestBody.content['application/json'].schema.properties.report_format.enum
+        ).toEqual(['json', 'sarif', 'junit']);
+        expect(
+          post.responses[200].content['application/json'].schema.properties.report.oneOf
+        ).toHaveLength(2);
+      });
+    });
   });
 
   describe('POST /v1/tools/format_file', () => {
@@ -71,6 +143,54 @@ describe('EditorConfig MCP Server', () => {
       expect(content.endsWith('\n')).toBe(true);
     });
 
+    it('should return a diff without writing in dry run mode', async () => {
+      const before = await fs.readFile(testFile, 'utf8');
+
+      const response = await request(app)
+        .post('/v1/tools/format_file')
+        .send({ file_path: testFile, dry_run: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        success: true,
+        file_path: testFile,
+        dry_run: true,
+        changed: true,
+      });
+      expect(response.body.diff).toContain('--- a/test-files/test.js');
+      expect(response.body.diff).toContain('+++ b/test-files/test.js');
+      expect(response.body.diff).toContain('\\ No newline at end of file');
+
+      const after = await fs.readFile(testFile, 'utf8');
+      expect(after).toBe(before);
+    });
+
+    it('should run the project Prettier after the editorconfig pass when asked', async () => {
+      const response = await request(app)
+        .post('/v1/tools/format_file')
+        .send({ file_path: testFile, prettier: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        changed: true,
+        changed_by: ['editorconfig', 'prettier'],
+      });
+      const content = await fs.readFile(testFile, 'utf8');
+      expect(content).toContain('\n  console.log(');
+      expect(content.endsWith('// No newline\n')).toBe(true);
+    });
+
+    it('should return an empty diff for compliant files in dry run mode', async () => {
+      await fs.writeFile(testFile, 'const a = 1;\n');
+
+      const response = await request(app)
+        .post('/v1/tools/format_file')
+        .send({ file_path: testFile, dry_run: true });
+
+      expect(response.body.changed).toBe(false);
+      expect(response.body.diff).toBe('');
+    });
+
     it('should reject invalid input', async () => {
       const response = await request(app)
         .post('/v1/tools/format_file')
@@ -115,7 +235,140 @@ describe('EditorConfig MCP Server', () => {
         pattern: 'test-files/*.js',
         count: 2,
       });
-      expect(response.body.files).toHaveLength(2);
+      expect(response.body.changed).toHaveLength(2);
+      expect(response.body.unchanged).toEqual([]);
+    });
+
+    it('should return diffs only for changed files in dry run mode', async () => {
+      const testFile2 = path.join(testDir, 'test2.js');
+      await fs.writeFile(testFile2, 'function test2() {}\n');
+
+      const response = await request(app)
+        .post('/v1/tools/format_files')
+        .send({ pattern: 'test-files/*.js', dry_run: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        success: true,
+        dry_run: true,
+        count: 2,
+      });
+      expect(response.body.diffs).toHaveLength(1);
+      expect(response.body.diffs[0].file).toBe(testFile);
+
+      const content = await fs.readFile(testFile, 'utf8');
+      expect(content.endsWith('\n')).toBe(false);
+    });
+
+    it('should report files left out by exclude rules', async () => {
+      const testFile2 = path.join(testDir, 'test2.js');
+      await fs.writeFile(testFile2, 'function test2() {}\n');
+
+      const response = await request(app)
+        .post('/v1/tools/format_files')
+        .send({ pattern: 'test-files/*.js', exclude: ['test2.js'], dry_run: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.changed).toEqual([testFile]);
+      expect(response.body.excluded).toEqual([
+        { file: testFile2, source: 'exclude', rule: 'test2.js' },
+      ]);
+    });
+
+    it('should process large matches in batches', async () => {
+      const testFile2 = path.join(testDir, 'test2.js');
+      await fs.writeFile(testFile2, 'function test2() {}\n');
+
+      const first = await request(app)
+        .post('/v1/tools/format_files')
+        .send({ pattern: 'test-files/*.js', limit: 1, dry_run: true });
+
+      expect(first.status).toBe(200);
+      expect(first.body.changed).toEqual([testFile]);
+      expect(first.body.next_cursor).toEqual(expect.any(String));
+
+      const second = await request(app).post('/v1/tools/format_files').send({
+        pattern: 'test-files/*.js',
+        limit: 1,
+        dry_run: true,
+        cursor: first.body.next_cursor,
+      });
+
+      expect(second.status).toBe(200);
+      expect(second.body.unchanged).toEqual([testFile2]);
+      expect(second.body.next_cursor).toBeUndefined();
+    });
+
+    it('should reject cursors that do not belong to the pattern', async () => {
+      const response = await request(app)
+        .post('/v1/tools/format_files')
+        .send({ pattern: 'test-files/*.js', cursor: 'bogus' });
+
+      expect(response.status).toBe(422);
+      expect(response.body.hint).toBe('Invalid cursor for pattern test-files/*.js');
+    });
+
+    it('should reject exclude rules that are not strings', async () => {
+      const response = await request(app)
+        .post('/v1/tools/format_files')
+        .send({ exclude: [42] });
+
+      expect(response.status).toBe(422);
+    });
+
+    it('should stream one NDJSON line per file with skip reasons', async () => {
+      const outside = path.join(os.tmpdir(), `outside-${process.pid}.js`);
+      await fs.writeFile(outside, 'const outside = 1;  \n');
+      await fs.symlink(outside, path.join(testDir, 'link.js'));
+
+      const response = await request(app)
+        .post('/v1/tools/format_files')
+        .set('Accept', 'application/x-ndjson')
+        .send({ pattern: 'test-files/*.js' });
+
+      await fs.rm(path.join(testDir, 'link.js'));
+      await fs.rm(outside);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/application\/x-ndjson/);
+      const lines = response.text.trim().split('\n').map(JSON.parse);
+      expect(lines).toContainEqual({
+        type: 'file',
+        file: testFile,
+        status: 'processed',
+        changed: true,
+      });
+      expect(lines).toContainEqual({
+        type: 'file',
+        file: path.join(testDir, 'link.js'),
+        status: 'skipped',
+        reason: 'outside sandbox',
+      });
+      expect(lines[lines.length - 1]).toMatchObject({ type: 'summary', success: true });
+    });
+
+    it('should return a normal error before streaming starts', async () => {
+      const response = await request(app)
+        .post('/v1/tools/format_files')
+        .set('Accept', 'application/x-ndjson')
+        .send({ pattern: '../**/*.js' });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should reject patterns outside the project without logging them', async () => {
+      const logged = jest.spyOn(console, 'error').mockImplementation(() => {});
+      try {
+        const response = await request(app)
+          .post('/v1/tools/format_files')
+          .send({ pattern: '../**/*.js' });
+
+        expect(response.status).toBe(403);
+        expect(response.body.error).toBe('Forbidden path');
+        expect(logged).not.toHaveBeenCalled();
+      } finally {
+        logged.mockRestore();
+      }
     });
 
     it('should handle empty pattern results', async () => {
@@ -127,7 +380,905 @@ describe('EditorConfig MCP Server', () => {
       expect(response.body).toMatchObject({
         success: true,
         count: 0,
-        files: [],
+        changed: [],
+        unchanged: [],
+      });
+    });
+  });
+
+  describe('POST /v1/tools/format_content', () => {
+    it('should format content using the rules for the virtual path', async () => {
+      const response = await request(app)
+        .post('/v1/tools/format_content')
+        .send({ content: 'const a = 1;  \nconst b = 2;', file_path: 'src/unsaved.js' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({
+        success: true,
+        file_path: 'src/unsaved.js',
+        changed: true,
+        content: 'const a = 1;\nconst b = 2;\n',
+      });
+    });
+
+    it('should apply section-specific rules from nested .editorconfig files', async () => {
+      await fs.writeFile(
+        path.join(testDir, '.editorconfig'),
+        '[*.md]\ntrim_trailing_whitespace = false\n'
+      );
+
+      const response = await request(app)
+        .post('/v1/tools/format_content')
+        .send({ content: 'line break  \n', file_path: 'test-files/notes.md' });
+
+      await fs.rm(path.join(testDir, '.editorconfig'));
+
+      expect(response.status).toBe(200);
+      expect(response.body.changed).toBe(false);
+      expect(response.body.content).toBe('line break  \n');
+    });
+
+    it('should reject missing content', async () => {
+      const response = await request(app)
+        .post('/v1/tools/format_content')
+        .send({ file_path: 'src/unsaved.js' });
+
+      expect(response.status).toBe(422);
+    });
+
+    it('should reject payloads over 1mb', async () => {
+      const response = await request(app)
+        .post('/v1/tools/format_content')
+        .send({ content: 'x'.repeat(1024 * 1024 + 1), file_path: 'big.txt' });
+
+      expect(response.status).toBe(413);
+      expect(response.body.error).toBe('Payload too large');
+    });
+  });
+
+  describe('POST /v1/tools/check_file', () => {
+    it('should report violations without modifying the file', async () => {
+      const before = await fs.readFile(testFile, 'utf8');
+
+      const response = await request(app)
+        .post('/v1/tools/check_file')
+        .send({ file_path: testFile });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        success: true,
+        file_path: testFile,
+        compliant: false,
+      });
+      expect(response.body.violations).toContainEqual(
+        expect.objectContaining({
+          file: testFile,
+          line: 5,
+          rule: 'insert_final_newline',
+          message: 'expected final newline',
+        })
+      );
+
+      const after = await fs.readFile(testFile, 'utf8');
+      expect(after).toBe(before);
+    });
+
+    it('should report line and column of trailing whitespace', async () => {
+      await fs.writeFile(testFile, 'const a = 1;  \n');
+
+      const response = await request(app)
+        .post('/v1/tools/check_file')
+        .send({ file_path: testFile });
+
+      expect(response.body.violations).toEqual([
+        {
+          file: testFile,
+          line: 1,
+          column: 13,
+          rule: 'trim_trailing_whitespace',
+          message: 'unexpected trailing whitespace',
+        },
+      ]);
+    });
+
+    it('should report compliant files', async () => {
+      await fs.writeFile(testFile, 'const a = 1;\n');
+
+      const response = await request(app)
+        .post('/v1/tools/check_file')
+        .send({ file_path: testFile });
+
+      expect(response.status).toBe(200);
+      expect(response.body.compliant).toBe(true);
+      expect(response.body.violations).toEqual([]);
+    });
+
+    it('should reject path traversal', async () => {
+      const response = await request(app)
+        .post('/v1/tools/check_file')
+        .send({ file_path: '../../../etc/passwd' });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should handle non-existent files', async () => {
+      const response = await request(app)
+        .post('/v1/tools/check_file')
+        .send({ file_path: 'does-not-exist.js' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /v1/tools/check_files', () => {
+    it('should check multiple files', async () => {
+      const testFile2 = path.join(testDir, 'test2.js');
+      await fs.writeFile(testFile2, 'function test2() {}\n');
+
+      const response = await request(app)
+        .post('/v1/tools/check_files')
+        .send({ pattern: 'test-files/*.js' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        success: true,
+        pattern: 'test-files/*.js',
+        count: 2,
+        compliant: false,
+      });
+      expect(response.body.violations.map((v) => v.file)).not.toContain(testFile2);
+    });
+
+    it('should report violations as SARIF', async () => {
+      const response = await request(app)
+        .post('/v1/tools/check_files')
+        .send({ pattern: 'test-files/*.js', report_format: 'sarif', cache: false });
+
+      expect(response.status).toBe(200);
+      const [run] = response.body.report.runs;
+      expect(response.body.report.version).toBe('2.1.0');
+      expect(run.tool.driver.rules.map((rule) => rule.id)).toContain('insert_final_newline');
+      expect(run.results).toContainEqual(
+        expect.objectContaining({
+          ruleId: 'insert_final_newline',
+          locations: [
+            {
+              physicalLocation: {
+                artifactLocation: { uri: 'test-files/test.js', uriBaseId: 'ROOT' },
+                region: { startLine: 5, startColumn: expect.any(Number) },
+              },
+            },
+          ],
+        })
+      );
+      expect(run.results).toHaveLength(response.body.violations.length);
+    });
+
+    it('should report violations as JUnit XML', async () => {
+      const testFile2 = path.join(testDir, 'test2.js');
+      await fs.writeFile(testFile2, 'function test2() {}\n');
+
+      const response = await request(app)
+        .post('/v1/tools/check_files')
+        .send({ pattern: 'test-files/*.js', report_format: 'junit' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.report).toContain(
+        '<testsuites name="editorconfig" tests="2" failures="1"'
+      );
+      expect(response.body.report).toContain(
+        '<testcase classname="editorconfig" name="test-files/test2.js"/>'
+      );
+      expect(response.body.report).toMatch(
+        /<failure type="editorconfig" message="\d+ violations?">/
+      );
+    });
+
+    it('should reject unknown report formats', async () => {
+      const response = await request(app)
+        .post('/v1/tools/check_files')
+        .send({ pattern: 'test-files/*.js', report_format: 'html' });
+
+      expect(response.status).toBe(422);
+      expect(response.body.expected_format.report_format).toBe(
+        'string (json, sarif, junit, optional)'
+      );
+    });
+
+    it('should reject invalid input', async () => {
+      const response = await request(app).post('/v1/tools/check_files').send({ pattern: 42 });
+
+      expect(response.status).toBe(422);
+    });
+
+    it('should reject git refs that look like options', async () => {
+      const response = await request(app)
+        .post('/v1/tools/check_files')
+        .send({ since: '--output=/tmp/x' });
+
+      expect(response.status).toBe(422);
+      expect(response.body.error).toBe('Invalid input');
+    });
+
+    describe('in a git repository', () => {
+      let repo;
+      let server;
+
+      // The checkout may not be a git work tree, so the tests get a repository of their own
+      beforeAll(async () => {
+        repo = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'server-git-')));
+        execFileSync('git', ['init', '-q'], { cwd: repo, stdio: 'pipe' });
+        await fs.writeFile(path.join(repo, 'a.js'), 'const a = 1;\n');
+        server = await startHttpServer(['--root', repo]);
+      });
+
+      afterAll(async () => {
+        server.close();
+        await fs.rm(repo, { recursive: true, force: true });
+      });
+
+      it('should report unknown git refs', async () => {
+        const response = await request(server.url)
+          .post('/v1/tools/check_files')
+          .send({ pattern: '*.js', since: 'no-such-ref' });
+
+        expect(response.status).toBe(422);
+        expect(response.body).toMatchObject({
+          error: 'Git selection failed',
+          hint: 'Unknown ref: no-such-ref',
+        });
+      });
+    });
+  });
+
+  describe('POST /v1/tools/resolve_config', () => {
+    afterEach(async () => {
+      await fs.rm(path.join(testDir, '.editorconfig'), { force: true });
+    });
+
+    it('should report each property with the file and section that supplied it', async () => {
+      const nested = path.join(testDir, '.editorconfig');
+      await fs.writeFile(nested, '[*.js]\nindent_style = space\nindent_size = 4\n');
+
+      const response = await request(app)
+        .post('/v1/tools/resolve_config')
+        .send({ file_path: 'test-files/test.js' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.config_files).toEqual([nested, path.join(__dirname, '.editorconfig')]);
+      expect(response.body.properties).toMatchObject({
+        indent_style: { value: 'space', file: nested, section: '*.js' },
+        indent_size: { value: 4, file: nested, section: '*.js' },
+        tab_width: { value: 4, file: nested, section: '*.js', derived_from: 'indent_size' },
+        end_of_line: { value: 'lf', file: path.join(__dirname, '.editorconfig'), section: '*' },
+        insert_final_newline: { value: true, section: '*' },
+      });
+    });
+
+    it('should stop walking at root = true', async () => {
+      await fs.writeFile(
+        path.join(testDir, '.editorconfig'),
+        'root = true\n\n[*]\ncharset = utf-8\n'
+      );
+
+      const response = await request(app)
+        .post('/v1/tools/resolve_config')
+        .send({ file_path: 'test-files/anything.txt' });
+
+      expect(response.body.config_files).toEqual([path.join(testDir, '.editorconfig')]);
+      expect(Object.keys(response.body.properties)).toEqual(['charset']);
+    });
+
+    it('should reject path traversal', async () => {
+      const response = await request(app)
+        .post('/v1/tools/resolve_config')
+        .send({ file_path: '../../../etc/passwd' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /v1/tools/revert_format and list_operations', () => {
+    it('should list a format_file run and revert it', async () => {
+      const before = await fs.readFile(testFile, 'utf8');
+      const formatted = await request(app)
+        .post('/v1/tools/format_file')
+        .send({ file_path: testFile });
+      const { operation_id } = formatted.body;
+
+      const list = await request(app).post('/v1/tools/list_operations').send({ limit: 1 });
+
+      expect(list.status).toBe(200);
+      expect(list.body.operations).toEqual([
+        expect.objectContaining({ id: operation_id, tool: 'format_file', file_count: 1 }),
+      ]);
+
+      const revert = await request(app).post('/v1/tools/revert_format').send({ operation_id });
+
+      expect(revert.status).toBe(200);
+      expect(revert.body).toEqual({ success: true, operation_id, restored: [testFile] });
+      expect(await fs.readFile(testFile, 'utf8')).toBe(before);
+
+      const again = await request(app).post('/v1/tools/revert_format').send({ operation_id });
+      expect(again.status).toBe(409);
+    });
+
+    it('should return 404 for unknown operations without logging them', async () => {
+      const logged = jest.spyOn(console, 'error').mockImplementation(() => {});
+      try {
+        const response = await request(app)
+          .post('/v1/tools/revert_format')
+          .send({ operation_id: 'nope' });
+
+        expect(response.status).toBe(404);
+        expect(response.body.error).toBe('Operation not found');
+        expect(logged).not.toHaveBeenCalled();
+      } finally {
+        logged.mockRestore();
+      }
+    });
+  });
+
+  describe('POST /v1/tools/get_server_config', () => {
+    it('should return the effective settings and their sources', async () => {
+      const response = await request(app).post('/v1/tools/get_server_config').send({});
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({
+        success: true,
+        settings: { bodyLimit: '1mb', rateLimit: { windowMs: 60000 } },
+        sources: { bodyLimit: 'default', 'rateLimit.windowMs': 'default' },
+      });
+    });
+
+    it('should reject unknown fields', async () => {
+      const response = await request(app)
+        .post('/v1/tools/get_server_config')
+        .send({ verbose: true });
+
+      expect(response.status).toBe(422);
+    });
+  });
+
+  describe('POST /v1/tools/start_watch and GET /v1/watch/events', () => {
+    let server;
+
+    beforeAll((done) => {
+      server = app.listen(0, '127.0.0.1', done);
+    });
+
+    afterAll((done) => {
+      server.close(done);
+    });
+
+    // Collect the raw SSE stream until it contains text
+    function readEvents(query, until) {
+      return new Promise((resolve, reject) => {
+        const { port } = server.address();
+        const req = http.get(`http://127.0.0.1:${port}/v1/watch/events?${query}`, (res) => {
+          let body = '';
+          res.setEncoding('utf8');
+          res.on('data', (chunk) => {
+            body += chunk;
+            if (body.includes(until)) {
+              req.destroy();
+              resolve({ res, body });
+            }
+          });
+        });
+        req.on('error', reject);
+      });
+    }
+
+    it('should stream the results of a watch until it is stopped', async () => {
+      const started = await request(app)
+        .post('/v1/tools/start_watch')
+        .send({ patterns: ['test-files/*.js'], debounce_ms: 50 });
+
+      expect(started.status).toBe(200);
+      expect(started.body).toMatchObject({
+        success: true,
+        patterns: ['test-files/*.js'],
+        mode: 'format',
+        debounce_ms: 50,
+      });
+      const { watch_id } = started.body;
+
+      const events = readEvents(`watch_id=${watch_id}`, 'event: result');
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      await fs.writeFile(testFile, 'const watched = true;');
+      const { res, body } = await events;
+
+      expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+      const result = JSON.parse(body.match(/event: result\ndata: (.*)\n/)[1]);
+      expect(result).toMatchObject({ watch_id, event: 'result', file: testFile });
+      expect(await fs.readFile(testFile, 'utf8')).toBe('const watched = true;\n');
+
+      const stopped = await request(app).post('/v1/tools/stop_watch').send({ watch_id });
+      expect(stopped.body).toEqual({ success: true, watch_id });
+    });
+
+    it('should return 404 when stopping an unknown watch', async () => {
+      const response = await request(app).post('/v1/tools/stop_watch').send({ watch_id: 'nope' });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Watch not found');
+    });
+
+    it('should validate the watch fields', async () => {
+      const response = await request(app)
+        .post('/v1/tools/start_watch')
+        .send({ mode: 'fix', debounce_ms: 1 });
+
+      expect(response.status).toBe(422);
+      expect(response.body.expected_format).toHaveProperty('debounce_ms');
+    });
+  });
+
+  describe('POST /mcp', () => {
+    async function initialize() {
+      const response = await request(app)
+        .post('/mcp')
+        .set('Accept', 'application/json, text/event-stream')
+        .send({
+          jsonrpc: '2.0',
+          id: 1,
+          method: 'initialize',
+          params: { protocolVersion: '2025-06-18', capabilities: {} },
+        });
+      return response;
+    }
+
+    it('should open a session on initialize', async () => {
+      const response = await initialize();
+
+      expect(response.status).toBe(200);
+      expect(response.headers['mcp-session-id']).toBeTruthy();
+      expect(response.body.result.protocolVersion).toBe('2025-06-18');
+    });
+
+    it('should serve tools/list and tools/call within a session', async () => {
+      const sessionId = (await initialize()).headers['mcp-session-id'];
+
+      const list = await request(app)
+        .post('/mcp')
+        .set('Mcp-Session-Id', sessionId)
+        .send({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+      const call = await request(app)
+        .post('/mcp')
+        .set('Mcp-Session-Id', sessionId)
+        .send({
+          jsonrpc: '2.0',
+          id: 3,
+          method: 'tools/call',
+          params: { name: 'check_file', arguments: { file_path: testFile } },
+        });
+
+      expect(list.body.result.tools.map((tool) => tool.name)).toContain('check_files');
+      expect(call.status).toBe(200);
+      expect(JSON.parse(call.body.result.content[0].text)).toMatchObject({
+        success: true,
+        compliant: false,
+      });
+    });
+
+    it('should acknowledge notifications with 202', async () => {
+      const sessionId = (await initialize()).headers['mcp-session-id'];
+
+      const response = await request(app)
+        .post('/mcp')
+        .set('Mcp-Session-Id', sessionId)
+        .send({ jsonrpc: '2.0', method: 'notifications/initialized' });
+
+      expect(response.status).toBe(202);
+      expect(response.text).toBe('');
+    });
+
+    it('should stream the response as SSE when a progress token is sent', async () => {
+      const sessionId = (await initialize()).headers['mcp-session-id'];
+
+      const response = await request(app)
+        .post('/mcp')
+        .set('Mcp-Session-Id', sessionId)
+        .set('Accept', 'application/json, text/event-stream')
+        .send({
+          jsonrpc: '2.0',
+          id: 4,
+          method: 'tools/call',
+          params: {
+            name: 'check_files',
+            arguments: { pattern: 'test-files/*.js' },
+            _meta: { progressToken: 'p1' },
+          },
+        });
+
+      expect(response.headers['content-type']).toMatch(/text\/event-stream/);
+      const events = response.text
+        .split('\n')
+        .filter((line) => line.startsWith('data: '))
+        .map((line) => JSON.parse(line.slice('data: '.length)));
+      expect(events[0]).toMatchObject({
+        method: 'notifications/progress',
+        params: { progressToken: 'p1', progress: 1 },
+      });
+      expect(events[events.length - 1]).toMatchObject({ id: 4, result: {} });
+    });
+
+    it('should require a session for anything but initialize', async () => {
+      const response = await request(app)
+        .post('/mcp')
+        .send({ jsonrpc: '2.0', id: 5, method: 'tools/list' });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should return 404 for unknown and terminated sessions', async () => {
+      const sessionId = (await initialize()).headers['mcp-session-id'];
+
+      const deleted = await request(app).delete('/mcp').set('Mcp-Session-Id', sessionId);
+      const response = await request(app)
+        .post('/mcp')
+        .set('Mcp-Session-Id', sessionId)
+        .send({ jsonrpc: '2.0', id: 6, method: 'ping' });
+
+      expect(deleted.status).toBe(204);
+      expect(response.status).toBe(404);
+    });
+
+    it('should reject non-loopback origins', async () => {
+      const response = await request(app)
+        .post('/mcp')
+        .set('Origin', 'http://evil.example')
+        .send({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should return a JSON-RPC parse error for malformed JSON', async () => {
+      const response = await request(app)
+        .post('/mcp')
+        .set('Content-Type', 'application/json')
+        .send('{"jsonrpc":');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe(-32700);
+    });
+  });
+
+  describe('with clients', () => {
+    const ciToken = 'ci-token-0123456789';
+    const devToken = 'dev-token-0123456789';
+    let root;
+    let server;
+    let authed;
+
+    beforeAll(async () => {
+      root = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'auth-')));
+      await fs.mkdir(path.join(root, 'sub'));
+      await fs.writeFile(
+        path.join(root, '.editorconfig'),
+        'root = true\n[*]\ntrim_trailing_whitespace = true\n'
+      );
+      await fs.writeFile(path.join(root, 'a.js'), 'const a = 1;  \n');
+      await fs.writeFile(path.join(root, 'sub', 'b.js'), 'const b = 1;\n');
+      await fs.writeFile(
+        path.join(root, 'plugin.js'),
+        'module.exports = { properties: { quote_type: { check: () => [] } } };'
+      );
+      const configFile = path.join(root, 'server.json');
+      await fs.writeFile(
+        configFile,
+        JSON.stringify({
+          roots: ['.'],
+          plugins: ['./plugin.js'],
+          workspaces: { top: { root: '.' }, inner: { root: 'sub' } },
+          clients: [
+            { name: 'ci', token: ciToken, tools: ['check_file'], rateLimit: { max: 4 } },
+            { name: 'dev', tokenEnv: 'TEST_DEV_TOKEN', roots: ['sub'] },
+          ],
+        })
+      );
+
+      server = await startHttpServer(['--config', configFile], { TEST_DEV_TOKEN: devToken });
+      authed = server.url;
+    });
+
+    afterAll(async () => {
+      server.close();
+      await fs.rm(root, { recursive: true, force: true });
+    });
+
+    it('should reject requests without a known token', async () => {
+      const missing = await request(authed)
+        .post('/v1/tools/check_file')
+        .send({ file_path: 'a.js' });
+      const unknown = await request(authed)
+        .post('/v1/tools/check_file')
+        .set('Authorization', 'Bearer not-a-client-token')
+        .send({ file_path: 'a.js' });
+      const health = await request(authed).get('/health');
+
+      expect(missing.status).toBe(401);
+      expect(missing.headers['www-authenticate']).toBe('Bearer realm="editorconfig-mcp"');
+      expect(missing.body).toMatchObject({ error: 'Unauthorized', hint: expect.any(String) });
+      expect(unknown.status).toBe(401);
+      expect(unknown.body.hint).toBe('Unknown token');
+      expect(health.status).toBe(200);
+    });
+
+    it('should only let clients call their tools', async () => {
+      const check = await request(authed)
+        .post('/v1/tools/check_file')
+        .set('Authorization', `Bearer ${ciToken}`)
+        .send({ file_path: 'a.js' });
+      const format = await request(authed)
+        .post('/v1/tools/format_file')
+        .set('Authorization', `Bearer ${ciToken}`)
+        .send({ file_path: 'a.js' });
+
+      expect(check.status).toBe(200);
+      expect(check.body.compliant).toBe(false);
+      expect(format.status).toBe(403);
+      expect(format.body).toMatchObject({
+        error: 'Forbidden tool',
+        hint: 'Client ci is not allowed to call format_file',
+      });
+      expect(await fs.readFile(path.join(root, 'a.js'), 'utf8')).toBe('const a = 1;  \n');
+    });
+
+    it('should not let the case of the path get around the tool list', async () => {
+      const response = await request(authed)
+        .post('/v1/tools/Format_File')
+        .set('Authorization', `Bearer ${ciToken}`)
+        .send({ file_path: 'a.js' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.hint).toBe('Client ci is not allowed to call format_file');
+      expect(await fs.readFile(path.join(root, 'a.js'), 'utf8')).toBe('const a = 1;  \n');
+    });
+
+    it('should keep clients within their roots', async () => {
+      const inside = await request(authed)
+        .post('/v1/tools/check_file')
+        .set('X-API-Key', devToken)
+        .send({ file_path: 'b.js' });
+      const outside = await request(authed)
+        .post('/v1/tools/check_file')
+        .set('X-API-Key', devToken)
+        .send({ file_path: path.join(root, 'a.js') });
+
+      expect(inside.status).toBe(200);
+      expect(inside.body).toMatchObject({ success: true, file_path: 'b.js' });
+      expect(outside.status).toBe(403);
+      expect(outside.body.error).toBe('Forbidden path');
+    });
+
+    it('should only show a client its own entry and workspaces in get_server_config', async () => {
+      const response = await request(authed)
+        .post('/v1/tools/get_server_config')
+        .set('X-API-Key', devToken)
+        .send({});
+      const init = await request(authed)
+        .post('/mcp')
+        .set('X-API-Key', devToken)
+        .send({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+      const call = await request(authed)
+        .post('/mcp')
+        .set('X-API-Key', devToken)
+        .set('Mcp-Session-Id', init.headers['mcp-session-id'])
+        .send({
+          jsonrpc: '2.0',
+          id: 2,
+          method: 'tools/call',
+          params: { name: 'get_server_config', arguments: {} },
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.settings.clients).toEqual([
+        expect.objectContaining({ name: 'dev', token: '[redacted]', tokenEnv: 'TEST_DEV_TOKEN' }),
+      ]);
+      expect(Object.keys(response.body.settings.workspaces)).toEqual(['inner']);
+      expect(response.body.settings).toMatchObject({ roots: [], plugins: [] });
+      expect(response.body.files).toEqual([]);
+      expect(response.body.sources.roots).toBe('server.json');
+      expect(JSON.stringify(response.body)).not.toContain(path.join(root, 'server.json'));
+      expect(JSON.stringify(response.body)).not.toContain(devToken);
+      expect(JSON.stringify(response.body)).not.toContain(ciToken);
+      const { settings } = JSON.parse(call.body.result.content[0].text);
+      expect(settings.clients.map(({ name }) => name)).toEqual(['dev']);
+      expect(Object.keys(settings.workspaces)).toEqual(['inner']);
+    });
+
+    it('should scope MCP sessions to the client that opened them', async () => {
+      const init = await request(authed)
+        .post('/mcp')
+        .set('X-API-Key', devToken)
+        .send({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+      const sessionId = init.headers['mcp-session-id'];
+      const message = { jsonrpc: '2.0', id: 2, method: 'tools/list' };
+
+      const own = await request(authed)
+        .post('/mcp')
+        .set('X-API-Key', devToken)
+        .set('Mcp-Session-Id', sessionId)
+        .send(message);
+      const other = await request(authed)
+        .post('/mcp')
+        .set('Authorization', `Bearer ${ciToken}`)
+        .set('Mcp-Session-Id', sessionId)
+        .send(message);
+
+      expect(own.body.result.tools).toHaveLength(12);
+      expect(other.status).toBe(404);
+    });
+
+    it('should count rate limits per client', async () => {
+      const ciCall = () =>
+        request(authed)
+          .post('/v1/tools/check_file')
+          .set('Authorization', `Bearer ${ciToken}`)
+          .send({ file_path: 'a.js' });
+      const statuses = [];
+      for (let i = 0; i < 4; i++) {
+        statuses.push((await ciCall()).status);
+      }
+      const dev = await request(authed)
+        .post('/v1/tools/list_operations')
+        .set('X-API-Key', devToken)
+        .send({});
+
+      expect(statuses).toContain(429);
+      expect(dev.status).toBe(200);
+    });
+  });
+
+  describe('with clients and a --watch watch', () => {
+    const devToken = 'dev-token-0123456789';
+    const opsToken = 'ops-token-0123456789';
+    let root;
+    let server;
+
+    beforeAll(async () => {
+      root = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'auth-watch-')));
+      await fs.mkdir(path.join(root, 'sub'));
+      const configFile = path.join(root, 'server.json');
+      await fs.writeFile(
+        configFile,
+        JSON.stringify({
+          roots: ['.'],
+          clients: [
+            { name: 'dev', token: devToken, roots: ['sub'] },
+            { name: 'ops', token: opsToken },
+          ],
+        })
+      );
+
+      server = await startHttpServer([
+        '--config',
+        configFile,
+        '--watch=**/*.js',
+        '--watch-mode=check',
+        '--watch-debounce=50',
+      ]);
+    });
+
+    afterAll(async () => {
+      server.close();
+      await fs.rm(root, { recursive: true, force: true });
+    });
+
+    // Collect the raw SSE stream of a client until it contains text
+    function readEvents(token, until) {
+      return new Promise((resolve, reject) => {
+        const req = http.get(
+          `${server.url}/v1/watch/events`,
+          { headers: { 'X-API-Key': token } },
+          (res) => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+              body += chunk;
+              if (body.includes(until)) {
+                req.destroy();
+                resolve(body);
+              }
+            });
+          }
+        );
+        req.on('error', reject);
+      });
+    }
+
+    it('should only send the events of files inside a client sandbox', async () => {
+      const outside = path.join(root, 'top.js');
+      const inside = path.join(root, 'sub', 'inner.js');
+      const dev = readEvents(devToken, JSON.stringify(inside));
+      const ops = readEvents(opsToken, JSON.stringify(outside));
+
+      // The watch starts once the server listens; write until it reports
+      let seen = false;
+      ops.then(() => (seen = true));
+      while (!seen) {
+        await fs.writeFile(outside, 'const top = 1;\n');
+        await new Promise((resolve) => setTimeout(resolve, 200));
+      }
+      await fs.writeFile(inside, 'const inner = 1;\n');
+
+      expect(await dev).not.toContain(JSON.stringify(outside));
+    });
+  });
+
+  describe('with workspaces', () => {
+    let root;
+    let server;
+
+    beforeAll(async () => {
+      root = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'workspaces-')));
+      for (const name of ['api', 'web']) {
+        await fs.mkdir(path.join(root, name, 'dist'), { recursive: true });
+        await fs.writeFile(
+          path.join(root, name, '.editorconfig'),
+          'root = true\n[*]\ninsert_final_newline = true\n'
+        );
+        await fs.writeFile(path.join(root, name, 'index.js'), 'const x = 1;');
+        await fs.writeFile(path.join(root, name, 'dist', 'bundle.js'), 'const y = 1;');
+      }
+      const configFile = path.join(root, 'server.json');
+      await fs.writeFile(
+        configFile,
+        JSON.stringify({
+          workspaces: { api: 'api', web: { root: 'web', ignore: ['dist/'] } },
+        })
+      );
+      server = await startHttpServer(['--config', configFile]);
+    });
+
+    afterAll(async () => {
+      server.close();
+      await fs.rm(root, { recursive: true, force: true });
+    });
+
+    it('should list the workspaces', async () => {
+      const response = await request(server.url).post('/v1/tools/list_workspaces').send({});
+
+      expect(response.status).toBe(200);
+      expect(response.body.workspaces).toEqual([
+        { name: 'api', root: path.join(root, 'api'), ignore: expect.any(Array) },
+        { name: 'web', root: path.join(root, 'web'), ignore: ['dist/'] },
+      ]);
+    });
+
+    it('should resolve paths and ignore rules per workspace', async () => {
+      const check = (workspace) =>
+        request(server.url)
+          .post('/v1/tools/check_files')
+          .send({ pattern: '**/*.js', workspace, cache: false });
+
+      const api = await check('api');
+      const web = await check('web');
+      const formatted = await request(server.url)
+        .post('/v1/tools/format_file')
+        .send({ file_path: 'index.js', workspace: 'web' });
+
+      expect(api.body.count).toBe(2);
+      expect(web.body.count).toBe(1);
+      expect(web.body.violations).toEqual([
+        expect.objectContaining({ file: path.join(root, 'web', 'index.js') }),
+      ]);
+      expect(formatted.body.changed).toBe(true);
+      expect(await fs.readFile(path.join(root, 'web', 'index.js'), 'utf8')).toBe('const x = 1;\n');
+      expect(await fs.readFile(path.join(root, 'api', 'index.js'), 'utf8')).toBe('const x = 1;');
+    });
+
+    it('should return 404 for unknown workspaces', async () => {
+      const response = await request(server.url)
+        .post('/v1/tools/check_file')
+        .send({ file_path: 'index.js', workspace: 'docs' });
+
+      expect(response.status).toBe(404);
+      expect(response.body).toMatchObject({
+        error: 'Workspace not found',
+        hint: 'Unknown workspace: docs',
       });
     });
   });